@@ -0,0 +1,35 @@
+import express from "express";
+import bodyParser from "body-parser";
+import kycRoutes from "./routes/kycRoutes.js";
+import ScyllaDb from "./utils/ScyllaDb.js";
+
+const app = express();
+
+// Middleware
+// Keep the raw request bytes around: Shufti webhook signatures are computed
+// over the exact body, not over a re-serialized req.body.
+app.use(
+  bodyParser.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf.toString("utf8");
+    },
+  })
+);
+
+// Routes
+app.use("/kyc", kycRoutes);
+
+app.get("/", (req, res) => {
+  res.send("KYC API running!");
+});
+
+// Database reachability as seen by the ScyllaDb circuit breaker
+app.get("/health", (req, res) => {
+  const database = ScyllaDb.getCircuitState();
+  res.status(database.state === "open" ? 503 : 200).json({
+    ok: database.state !== "open",
+    database,
+  });
+});
+
+export default app;
@@ -15,6 +15,71 @@ const KYC_EVENT = {
   REVIEW_PENDING: "review.pending",
 };
 
+// KYC status state machine (built on KYC_EVENT)
+const allEventsBut = (...skipped) =>
+  Object.values(KYC_EVENT).filter((e) => !skipped.includes(e));
+
+// from → allowed next statuses (self-transitions are always allowed)
+const KYC_TRANSITIONS = {
+  [KYC_EVENT.REQUEST_PENDING]: allEventsBut(),
+  [KYC_EVENT.REQUEST_RECEIVED]: allEventsBut(KYC_EVENT.REQUEST_PENDING),
+  [KYC_EVENT.REVIEW_PENDING]: allEventsBut(
+    KYC_EVENT.REQUEST_PENDING,
+    KYC_EVENT.REQUEST_RECEIVED
+  ),
+  [KYC_EVENT.REQUEST_DATA_CHANGED]: allEventsBut(KYC_EVENT.REQUEST_PENDING),
+  [KYC_EVENT.VERIFICATION_STATUS_CHANGED]: allEventsBut(
+    KYC_EVENT.REQUEST_PENDING,
+    KYC_EVENT.REQUEST_RECEIVED
+  ),
+  // Decisions can only be overridden from the back office, or erased
+  [KYC_EVENT.VERIFICATION_ACCEPTED]: [
+    KYC_EVENT.VERIFICATION_STATUS_CHANGED,
+    KYC_EVENT.VERIFICATION_DECLINED,
+    KYC_EVENT.REQUEST_DELETED,
+  ],
+  [KYC_EVENT.VERIFICATION_DECLINED]: [
+    KYC_EVENT.VERIFICATION_STATUS_CHANGED,
+    KYC_EVENT.VERIFICATION_ACCEPTED,
+    KYC_EVENT.REQUEST_DELETED,
+  ],
+  [KYC_EVENT.VERIFICATION_CANCELLED]: [KYC_EVENT.REQUEST_DELETED],
+  [KYC_EVENT.REQUEST_TIMEOUT]: [KYC_EVENT.REQUEST_DELETED],
+  [KYC_EVENT.REQUEST_INVALID]: [KYC_EVENT.REQUEST_DELETED],
+  [KYC_EVENT.REQUEST_UNAUTHORIZED]: [KYC_EVENT.REQUEST_DELETED],
+  [KYC_EVENT.REQUEST_DELETED]: [],
+};
+
+// Back-office overrides of a decision; they do not make the decision in-progress
+const BACK_OFFICE_MOVES = {
+  [KYC_EVENT.VERIFICATION_ACCEPTED]: [
+    KYC_EVENT.VERIFICATION_STATUS_CHANGED,
+    KYC_EVENT.VERIFICATION_DECLINED,
+  ],
+  [KYC_EVENT.VERIFICATION_DECLINED]: [
+    KYC_EVENT.VERIFICATION_STATUS_CHANGED,
+    KYC_EVENT.VERIFICATION_ACCEPTED,
+  ],
+};
+
+// Terminal = nowhere to go but erasure (or a back-office override);
+// everything else is "active/in-progress".
+const TERMINAL_EVENTS = new Set(
+  Object.entries(KYC_TRANSITIONS)
+    .filter(([from, next]) =>
+      next.every(
+        (to) =>
+          to === KYC_EVENT.REQUEST_DELETED ||
+          BACK_OFFICE_MOVES[from]?.includes(to)
+      )
+    )
+    .map(([from]) => from)
+);
+
+const ACTIVE_EVENTS = new Set(
+  Object.values(KYC_EVENT).filter((e) => !TERMINAL_EVENTS.has(e))
+);
+
 const FetchMode = {
   HAPPY: "HAPPY",
   NON_200: "NON_200",
@@ -35,14 +100,31 @@ const CONFIG = {
     webhook: "kyc_webhook",
     status: "kyc_status",
     ratelimit: "kyc_rate_limit",
+    background: "kyc_background",
     error: "kyc_error",
   },
   CLIENT_ID: process.env.KYC_CLIENT_ID || "",
   SECRET_KEY: process.env.KYC_SECRET_KEY || "",
-  API_URL: "https://api.shuftipro.com/",
-  CALLBACK_URL: "",
-  REDIRECT_URL: "",
+  API_URL: process.env.SHUFTI_API_URL || "https://api.shuftipro.com/",
+  CALLBACK_URL: process.env.KYC_CALLBACK_URL || "",
+  REDIRECT_URL: process.env.KYC_REDIRECT_URL || "",
   HTTP_TIMEOUT_MS: 15000,
+  RECONCILE_OLDER_THAN: "1 hour", // ms or interval string
+  META_WRITE_ATTEMPTS: 5, // versioned meta writes: tries before a conflict is thrown
+  SCAN_SEGMENTS: 4, // full-table jobs (reconcile, re-encrypt): parallel scan segments
+  SCAN_MAX_CAPACITY_PER_SECOND: 100, // read units/s those jobs may consume
+  // Retention per row type (ms or interval string); unlisted types are kept.
+  // Verification rows (meta, requests, status changes, background checks, AML
+  // hits, summaries) are unlisted on purpose: they are the KYC record itself,
+  // kept until deleteVerification erases it.
+  // Rows get an epoch-seconds TTL_ATTRIBUTE when written; the table's TTL
+  // (migrations/002) or sweepExpired deletes them once it has passed.
+  TTL_ATTRIBUTE: "expires_at",
+  RETENTION: {
+    rate_limit: "30 days",
+    webhook_event: "5 years",
+    webhook_delivery: "5 years", // dedupe markers live as long as the events
+  },
   DEFAULT_LANGUAGE: "en",
   LOCALE_MAP: {
     en: "en",
@@ -62,8 +144,29 @@ const CONFIG = {
     pt: "pt",
     ru: "ru",
   },
+  // Field-level encryption (AES-256-GCM) of PII columns.
+  // KEYS: { keyId: base64 32-byte key } or "k1:base64,k2:base64"; empty = disabled
+  ENCRYPTION: {
+    KEYS: process.env.KYC_ENCRYPTION_KEYS || "",
+    ACTIVE_KEY_ID: process.env.KYC_ENCRYPTION_ACTIVE_KEY || null,
+    FIELDS: [
+      "requestPayload",
+      "responsePayload",
+      "webhookPayload",
+      "verificationData",
+      "hit",
+      "hitName",
+    ],
+  },
   PER_MINUTE_LIMIT: 60,
   SLACK_WEBHOOK_URL: null,
 };
 
-export { KYC_EVENT, FetchMode, CONFIG };
+export {
+  KYC_EVENT,
+  TERMINAL_EVENTS,
+  ACTIVE_EVENTS,
+  KYC_TRANSITIONS,
+  FetchMode,
+  CONFIG,
+};
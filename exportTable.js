@@ -0,0 +1,38 @@
+import "dotenv/config";
+import { parseArgs } from "util";
+import ScyllaDb from "./utils/ScyllaDb.js";
+import TableTransfer from "./utils/TableTransfer.js";
+import { CONFIG } from "./constants/constants.js";
+
+// Usage: node exportTable.js <file.jsonl> [--table kyc_shufti] [--format plain|marshalled]
+//          [--type webhook_event,meta] [--from 2025-01-01] [--to 2025-12-31]
+async function run() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      table: { type: "string", default: CONFIG.TABLE },
+      format: { type: "string", default: "plain" },
+      type: { type: "string" },
+      from: { type: "string" },
+      to: { type: "string" },
+    },
+  });
+  const [file] = positionals;
+  if (!file) throw new Error("Usage: node exportTable.js <file.jsonl> [...]");
+
+  await ScyllaDb.loadTableConfigs("./tables.json");
+  const summary = await TableTransfer.exportTable(values.table, file, {
+    format: values.format,
+    type: values.type ? values.type.split(",") : null,
+    from: values.from ?? null,
+    to: values.to ?? null,
+    segments: CONFIG.SCAN_SEGMENTS,
+    maxCapacityPerSecond: CONFIG.SCAN_MAX_CAPACITY_PER_SECOND || null,
+  });
+  console.log("Export summary:", summary);
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
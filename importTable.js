@@ -0,0 +1,32 @@
+import "dotenv/config";
+import { promises as fs } from "fs";
+import { parseArgs } from "util";
+import ScyllaDb from "./utils/ScyllaDb.js";
+import TableTransfer from "./utils/TableTransfer.js";
+import { CONFIG } from "./constants/constants.js";
+
+// Usage: node importTable.js <file.jsonl> [--table kyc_shufti] [--fresh]
+// Re-running after a failure resumes from <file.jsonl>.checkpoint; --fresh starts over.
+async function run() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      table: { type: "string", default: CONFIG.TABLE },
+      fresh: { type: "boolean", default: false },
+    },
+  });
+  const [file] = positionals;
+  if (!file) throw new Error("Usage: node importTable.js <file.jsonl> [...]");
+
+  if (values.fresh) {
+    await fs.rm(`${file}.checkpoint`, { force: true });
+  }
+  await ScyllaDb.loadTableConfigs("./tables.json");
+  const summary = await TableTransfer.importTable(values.table, file);
+  console.log("Import summary:", summary);
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
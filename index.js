@@ -1,23 +1,13 @@
-import express from "express";
-import bodyParser from "body-parser";
-import dotenv from "dotenv";
-import kycRoutes from "./routes/kycRoutes.js";
+// Loads .env before the imports below read process.env (CONFIG is built at import)
+import "dotenv/config";
+import app from "./app.js";
+import ScyllaDb from "./utils/ScyllaDb.js";
 
-dotenv.config();
+// Key schemas for every route (and table creation on the in-memory driver)
+await ScyllaDb.loadTableConfigs("./tables.json");
 
-const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Middleware
-app.use(bodyParser.json());
-
-// Routes
-app.use("/kyc", kycRoutes);
-
-app.get("/", (req, res) => {
-  res.send("KYC API running!");
-});
-
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
 });
@@ -0,0 +1,30 @@
+import "dotenv/config";
+import Migrations from "./utils/Migrations.js";
+
+// Usage: node migrate.js [status | up [<migration id>] | down [<steps>]]
+async function run() {
+  const [command = "status", arg] = process.argv.slice(2);
+
+  switch (command) {
+    case "status":
+      console.table(await Migrations.status());
+      break;
+    case "up": {
+      const applied = await Migrations.up(arg ? { to: arg } : {});
+      console.log(applied.length ? "Applied:" : "Nothing to apply", applied);
+      break;
+    }
+    case "down": {
+      const reverted = await Migrations.down({ steps: arg ? Number(arg) : 1 });
+      console.log("Reverted:", reverted);
+      break;
+    }
+    default:
+      throw new Error(`Unknown command "${command}" (status | up | down)`);
+  }
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
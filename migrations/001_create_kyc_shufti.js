@@ -0,0 +1,17 @@
+import { promises as fs } from "fs";
+import { CONFIG } from "../constants/constants.js";
+
+// Initial schema: the KYC table and GSI1 (reference → all rows of a verification),
+// as declared for CONFIG.TABLE in tables.json. Later schema changes go in new
+// migrations. Environments created by the old createTables.js already have the
+// table; up() is then a no-op. There is deliberately no down(): reverting the
+// baseline would drop the table and every KYC record in it.
+const TABLES = new URL("../tables.json", import.meta.url);
+
+export async function up({ createTable }) {
+  const schemas = JSON.parse(await fs.readFile(TABLES, "utf8"));
+  if (!schemas[CONFIG.TABLE]) {
+    throw new Error(`tables.json has no schema for ${CONFIG.TABLE}`);
+  }
+  await createTable(schemas[CONFIG.TABLE]);
+}
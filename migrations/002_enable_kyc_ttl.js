@@ -0,0 +1,12 @@
+import { CONFIG } from "../constants/constants.js";
+
+// Native expiry of rows past their retention (CONFIG.RETENTION → the
+// CONFIG.TTL_ATTRIBUTE they are written with). Backends without TTL support:
+// run `npm run sweep` on a schedule instead.
+export async function up({ enableTtl }) {
+  await enableTtl(CONFIG.TABLE, CONFIG.TTL_ATTRIBUTE);
+}
+
+export async function down({ disableTtl }) {
+  await disableTtl(CONFIG.TABLE, CONFIG.TTL_ATTRIBUTE);
+}
@@ -0,0 +1,18 @@
+import "dotenv/config";
+import ScyllaDb from "./utils/ScyllaDb.js";
+import ShuftiProKyc from "./service/ShuftiProKyc.js";
+
+// Usage: node reconcilePending.js ["2 hours" | <ms>]
+async function run() {
+  await ScyllaDb.loadTableConfigs("./tables.json");
+
+  const arg = process.argv[2];
+  const olderThan = arg && /^\d+$/.test(arg) ? Number(arg) : arg;
+
+  const summary = await ShuftiProKyc.reconcilePending(
+    olderThan ? { olderThan } : {}
+  );
+  console.log("Reconciliation summary:", summary);
+}
+
+run().catch(console.error);
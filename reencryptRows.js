@@ -0,0 +1,13 @@
+import "dotenv/config";
+import ScyllaDb from "./utils/ScyllaDb.js";
+import ShuftiProKyc from "./service/ShuftiProKyc.js";
+
+// Key rotation: add the new key to KYC_ENCRYPTION_KEYS, point
+// KYC_ENCRYPTION_ACTIVE_KEY at it, run this, then retire the old key.
+async function run() {
+  await ScyllaDb.loadTableConfigs("./tables.json");
+  const summary = await ShuftiProKyc.reencryptRows();
+  console.log("Re-encryption summary:", summary);
+}
+
+run().catch(console.error);
@@ -1,21 +1,28 @@
 import express from "express";
 import ShuftiProKyc from "../service/ShuftiProKyc.js";
 import ScyllaDb from "../utils/ScyllaDb.js";
-import { signatureFor } from "../helper/tinyHelper.js";
-import { KYC_EVENT } from "../constants/constants.js";
 const router = express.Router();
 
 // Example: Create KYC session
 router.post("/create", async (req, res) => {
   try {
-    const { userId, userEmail, appLocale, userCountry, documentConfig } =
-      req.body;
+    const {
+      userId,
+      userEmail,
+      appLocale,
+      userCountry,
+      documentConfig,
+      faceConfig,
+      addressConfig,
+    } = req.body;
     const result = await ShuftiProKyc.createVerificationSession({
       userId,
       userEmail,
       appLocale,
       userCountry,
       documentConfig,
+      faceConfig,
+      addressConfig,
     });
     res.status(201).json(result);
   } catch (error) {
@@ -24,20 +31,60 @@ router.post("/create", async (req, res) => {
   }
 });
 
-// Example: Webhook endpoint
-router.post("/webhook", async (req, res) => {
+// AML / background screening for an existing KYC reference
+router.post("/background-check", async (req, res) => {
   try {
-    await ScyllaDb.loadTableConfigs("./tables.json");
-    const { reference } = req.body;
-    const rawBodyString = JSON.stringify({
+    const {
       reference,
-      event: KYC_EVENT.VERIFICATION_ACCEPTED,
+      firstName,
+      lastName,
+      middleName,
+      dob,
+      filters,
+      ongoing,
+    } = req.body;
+    const result = await ShuftiProKyc.createBackgroundCheck({
+      reference,
+      firstName,
+      lastName,
+      middleName,
+      dob,
+      filters,
+      ongoing,
     });
-    const signatureHeader = signatureFor(rawBodyString, "secret_abc");
+    res.status(201).json(result);
+  } catch (error) {
+    if (error.code === "unknown_reference") {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Shufti callback endpoint
+// Signature is computed over the exact raw bytes, so we verify req.rawBody
+// (captured by the JSON parser in index.js), never a re-serialized req.body.
+router.post("/webhook", async (req, res) => {
+  try {
+    await ScyllaDb.loadTableConfigs("./tables.json");
+    const rawBodyString = typeof req.rawBody === "string" ? req.rawBody : "";
+    const signatureHeader = req.get("Signature") || "";
+
+    if (!rawBodyString || !signatureHeader) {
+      return res.status(401).json({ ok: false, error: "Missing signature" });
+    }
+
     const result = await ShuftiProKyc.handleWebhook({
       rawBodyString,
       signatureHeader,
     });
+    if (!result.ok && result.reason === "invalid_signature") {
+      return res.status(401).json({ ok: false, error: "Invalid signature" });
+    }
+    if (!result.ok) {
+      return res.status(400).json({ ok: false, error: "Invalid payload" });
+    }
     res.json(result);
   } catch (error) {
     console.error(error);
@@ -57,6 +104,25 @@ router.get("/record/:reference", async (req, res) => {
   }
 });
 
+// GDPR erasure: delete at Shufti + scrub PII, keep the audit trail
+router.delete("/record/:reference", async (req, res) => {
+  try {
+    await ScyllaDb.loadTableConfigs("./tables.json");
+    const { reference } = req.params;
+    const reason = req.body?.reason ?? req.query.reason ?? "";
+    const result = await ShuftiProKyc.deleteVerification(reference, {
+      reason,
+    });
+    if (!result) {
+      return res.status(404).json({ error: "Record not found" });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 router.get("/checkingValidate/:userId", async (req, res) => {
   try {
     const { userId } = req.params;
@@ -1,8 +1,51 @@
-import { SafeUtils, ScyllaDb, ErrorHandler, Logger } from "../utils/index.js";
+import {
+  SafeUtils,
+  ScyllaDb,
+  ErrorHandler,
+  Logger,
+  DateTime,
+  FieldCipher,
+} from "../utils/index.js";
 import crypto from "crypto";
-import { KYC_EVENT, CONFIG as BASE_CONFIG } from "../constants/constants.js";
+import { Duration } from "luxon";
+import {
+  KYC_EVENT,
+  ACTIVE_EVENTS,
+  KYC_TRANSITIONS,
+  CONFIG as BASE_CONFIG,
+} from "../constants/constants.js";
 
 let CONFIG = { ...BASE_CONFIG };
+configureFieldCipher();
+
+// ScyllaDb with transparent field encryption (CONFIG.ENCRYPTION.FIELDS):
+// encrypted on write, decrypted on read — callers always see plaintext rows.
+// Written rows also get their retention expiry (CONFIG.RETENTION).
+const KycStore = {
+  putItem: (table, item, options) =>
+    ScyllaDb.putItem(table, encryptRow(withRetention(item)), options),
+  getItem: async (table, key) => decryptRow(await ScyllaDb.getItem(table, key)),
+  query: async (...args) => decryptRows(await ScyllaDb.query(...args)),
+  scan: async (...args) => decryptRows(await ScyllaDb.scan(...args)),
+  parallelScan: (table, { onPage, ...options }) =>
+    ScyllaDb.parallelScan(table, {
+      ...options,
+      onPage: (items, info) => onPage(decryptRows(items), info),
+    }),
+  queryIter: async function* (...args) {
+    for await (const item of ScyllaDb.queryIter(...args)) {
+      yield decryptRow(item);
+    }
+  },
+  deleteItem: (...args) => ScyllaDb.deleteItem(...args),
+  transactWrite: (operations, options) =>
+    ScyllaDb.transactWrite(
+      operations.map((op) =>
+        op.item ? { ...op, item: encryptRow(withRetention(op.item)) } : op
+      ),
+      options
+    ),
+};
 
 // const KYC_EVENT = {
 //   REQUEST_PENDING: "request.pending",
@@ -19,13 +62,6 @@ let CONFIG = { ...BASE_CONFIG };
 //   REVIEW_PENDING: "review.pending",
 // };
 
-const ACTIVE_EVENTS = new Set([
-  KYC_EVENT.REQUEST_PENDING,
-  KYC_EVENT.REQUEST_RECEIVED,
-  KYC_EVENT.REVIEW_PENDING,
-  KYC_EVENT.VERIFICATION_STATUS_CHANGED,
-]);
-
 const LOCAL_REQUEST_TIMESTAMPS = [];
 
 export default class ShuftiProKyc {
@@ -34,6 +70,7 @@ export default class ShuftiProKyc {
     if (!/^https?:\/\//i.test(CONFIG.API_URL))
       CONFIG.API_URL = "https://api.shuftipro.com/";
     if (!CONFIG.API_URL.endsWith("/")) CONFIG.API_URL += "/";
+    configureFieldCipher();
     Logger.writeLog({
       flag: CONFIG.LOG_FLAGS.request,
       action: "configure",
@@ -42,6 +79,7 @@ export default class ShuftiProKyc {
         api: CONFIG.API_URL,
         callback: !!CONFIG.CALLBACK_URL,
         table: CONFIG.TABLE,
+        encryption: FieldCipher.isEnabled(),
       },
     });
   }
@@ -50,6 +88,10 @@ export default class ShuftiProKyc {
    * createVerificationSession
    * - Reuse ACCEPTED or ACTIVE attempt if it exists
    * - Otherwise create a NEW Shufti session
+   * - Document service always; face (selfie/liveness) only when faceConfig is given
+   *   (faceConfig: true for defaults, or { proof, allow_online, allow_offline, check_duplicate_request })
+   * - Address (proof of address) only when addressConfig is given
+   *   (addressConfig: { full_address, name, supported_types, address_fuzzy_match, ... })
    *
    * Returns one of:
    *  { alreadyValidated: true, reference, status, verificationUrl }
@@ -63,6 +105,8 @@ export default class ShuftiProKyc {
     userCountry = "",
     verificationMode = "any",
     documentConfig = {},
+    faceConfig = null,
+    addressConfig = null,
   }) {
     // Validate inputs via your helper (explicit types/required)
     const clean = SafeUtils.sanitizeValidate({
@@ -90,73 +134,40 @@ export default class ShuftiProKyc {
 
     const { pk, sk, gsi_meta } = CONFIG.KEYS;
 
-    // 1) REUSE if ACCEPTED or ACTIVE exists
-    //    We fetch the user's timeline (primary index), then check meta via GSI, then pick the latest in Node.
-    const timeline = await ScyllaDb.query(
-      CONFIG.TABLE,
-      `${pk} = :pk`,
-      { ":pk": `user_${clean.userId}` },
-      { Limit: 50 } // NO ScanIndexForward; we'll reverse/process in Node as needed
-    );
-
-    const sortedTimeline = Array.isArray(timeline)
-      ? timeline.slice().reverse()
-      : []; // newest last? normalize by reversing
-    let activeCandidate = null;
-
-    for (const item of sortedTimeline) {
-      if (item.type !== "verification_request") continue;
+    // 1) REUSE if ACCEPTED or ACTIVE exists (one read of the user's summary row)
+    const summary = await loadUserSummary(clean.userId);
 
-      // Fetch rows for this reference (GSI: ppk = reference). We get multiple rows, pick the meta row if present.
-      const byRef = await ScyllaDb.query(
-        CONFIG.TABLE,
-        `${gsi_meta.pk} = :ref`,
-        { ":ref": item.reference },
-        { IndexName: gsi_meta.name }
-      );
-      const latestByRef = Array.isArray(byRef) ? byRef.slice().reverse() : [];
-      const meta = pickMeta(latestByRef) || latestByRef[0] || null;
-
-      const status = meta?.status || item.event || "unknown";
-      const verificationUrl =
-        meta?.verificationUrl ?? item.verificationUrl ?? null;
-
-      if (status === KYC_EVENT.VERIFICATION_ACCEPTED) {
-        Logger.writeLog({
-          flag: CONFIG.LOG_FLAGS.request,
-          action: "reuse_accepted",
-          message: "User already verified; returning accepted session",
-          data: { userId: clean.userId, reference: item.reference },
-        });
-        return {
-          alreadyValidated: true,
-          reference: item.reference,
-          status,
-          verificationUrl,
-        };
-      }
-      if (!activeCandidate && ACTIVE_EVENTS.has(status)) {
-        activeCandidate = {
-          alreadyHasActive: true,
-          reference: item.reference,
-          status,
-          verificationUrl,
-        };
-      }
+    if (summary.validated) {
+      Logger.writeLog({
+        flag: CONFIG.LOG_FLAGS.request,
+        action: "reuse_accepted",
+        message: "User already verified; returning accepted session",
+        data: { userId: clean.userId, reference: summary.validatedReference },
+      });
+      return {
+        alreadyValidated: true,
+        reference: summary.validatedReference,
+        status: KYC_EVENT.VERIFICATION_ACCEPTED,
+        verificationUrl: summary.validatedVerificationUrl ?? null,
+      };
     }
-
-    if (activeCandidate) {
+    if (summary.activeReference) {
       Logger.writeLog({
         flag: CONFIG.LOG_FLAGS.request,
         action: "reuse_active",
         message: "Active verification session exists; reusing",
         data: {
           userId: clean.userId,
-          reference: activeCandidate.reference,
-          status: activeCandidate.status,
+          reference: summary.activeReference,
+          status: summary.activeStatus,
         },
       });
-      return activeCandidate;
+      return {
+        alreadyHasActive: true,
+        reference: summary.activeReference,
+        status: summary.activeStatus,
+        verificationUrl: summary.activeVerificationUrl ?? null,
+      };
     }
 
     // 2) CREATE a new session
@@ -167,6 +178,7 @@ export default class ShuftiProKyc {
       clean.appLocale || CONFIG.DEFAULT_LANGUAGE
     );
     const created_at = new Date().toISOString();
+    const face = faceConfig === true ? {} : faceConfig;
 
     const payload = {
       reference,
@@ -187,7 +199,7 @@ export default class ShuftiProKyc {
       ...(CONFIG.CALLBACK_URL ? { callback_url: CONFIG.CALLBACK_URL } : {}),
       ...(CONFIG.REDIRECT_URL ? { redirect_url: CONFIG.REDIRECT_URL } : {}),
 
-      // Document only (no face)
+      // Document (always)
       document: {
         name: documentConfig.name ?? "",
         dob: documentConfig.dob ?? "",
@@ -211,7 +223,50 @@ export default class ShuftiProKyc {
           ...(documentConfig.verification_instructions || {}),
         },
       },
+
+      // Face (selfie/liveness match) — opt-in
+      ...(face
+        ? {
+            face: {
+              proof: face.proof ?? "",
+              allow_offline: face.allow_offline ?? "1",
+              allow_online: face.allow_online ?? "1",
+              check_duplicate_request: face.check_duplicate_request ?? "0",
+            },
+          }
+        : {}),
+
+      // Address (proof of address) — opt-in
+      ...(addressConfig
+        ? {
+            address: {
+              full_address: addressConfig.full_address ?? "",
+              name: addressConfig.name ?? documentConfig.name ?? "",
+              address_fuzzy_match: addressConfig.address_fuzzy_match ?? "1",
+              supported_types: addressConfig.supported_types ?? [
+                "utility_bill",
+                "bank_statement",
+                "rent_agreement",
+                "tax_bill",
+                "id_card",
+                "driving_license",
+                "passport",
+              ],
+              ...(addressConfig.verification_instructions
+                ? {
+                    verification_instructions:
+                      addressConfig.verification_instructions,
+                  }
+                : {}),
+            },
+          }
+        : {}),
     };
+    const services = [
+      "document",
+      ...(face ? ["face"] : []),
+      ...(addressConfig ? ["address"] : []),
+    ];
 
     Logger.writeLog({
       flag: CONFIG.LOG_FLAGS.request,
@@ -221,166 +276,234 @@ export default class ShuftiProKyc {
     });
 
     // HTTP to Shufti (Basic auth)
-    const authHeader =
-      "Basic " +
-      Buffer.from(`${CONFIG.CLIENT_ID}:${CONFIG.SECRET_KEY}`, "utf8").toString(
-        "base64"
-      );
-    const ctrl = new AbortController();
-    const timer = setTimeout(() => ctrl.abort(), CONFIG.HTTP_TIMEOUT_MS);
+    const { parsed } = await callShufti(
+      "",
+      payload,
+      "createVerificationSession",
+      {
+        userId: clean.userId,
+        reference,
+      }
+    );
 
-    let res;
+    const event = parsed?.event || "unknown";
+    const verificationUrl = parsed?.verification_url || null;
+    const { documentResult, faceResult, addressResult } =
+      extractServiceResults(parsed);
+
+    // Attempt on the user timeline + meta row (direct primary + GSI sentinel
+    // via same reference) + user summary, committed as one transaction
+    const requestRow = {
+      [pk]: `user_${clean.userId}`,
+      [sk]: created_at, // natural ISO sort
+      [gsi_meta.pk]: reference,
+      [gsi_meta.sk]: created_at, // GSI sort = created_at
+      type: "verification_request",
+      userId: clean.userId,
+      reference,
+      event,
+      verificationUrl,
+      services,
+      documentResult,
+      faceResult,
+      addressResult,
+      requestPayload: payload,
+      responsePayload: parsed,
+      language,
+      created_at,
+    };
     try {
-      res = await fetch(CONFIG.API_URL, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: authHeader,
-        },
-        body: JSON.stringify(payload),
-        signal: ctrl.signal,
-      });
-      // console.log("res inside the ", res.headers);
-      // const signatureHeader =
-      //   res.headers.get("signature") || res.headers.get("Signature") || "";
-      // console.log("Signature header from response:", signatureHeader);
+      await writeMeta(
+        reference,
+        () => ({
+          ...metaKey(reference),
+          [gsi_meta.pk]: reference,
+          [gsi_meta.sk]: created_at,
+          type: "meta",
+          userId: clean.userId,
+          reference,
+          status: event,
+          verificationUrl,
+          ...buildOutcomeFields({ services }, event, parsed),
+          language,
+          created_at,
+        }),
+        [{ table: CONFIG.TABLE, action: "put", item: requestRow }]
+      );
     } catch (err) {
-      clearTimeout(timer);
-      ErrorHandler.add_error("KYC network error (createVerificationSession)", {
-        userId: clean.userId,
+      ErrorHandler.add_error("KYC createVerificationSession: store failed", {
         reference,
         error: String(err),
       });
       Logger.writeLog({
         flag: CONFIG.LOG_FLAGS.error,
-        action: "network_error",
-        message: "Network error contacting Shufti",
-        data: { userId: clean.userId, reference, error: String(err) },
-        critical: true,
+        action: "store_failed",
+        message: "Verification attempt not stored",
+        data: { userId: clean.userId, reference },
       });
-      throw err;
     }
-    clearTimeout(timer);
 
-    // const signatureHeader =
-    //   res.headers.get("signature") || res.headers.get("Signature") || "";
-    const rawBody = await res.text();
-    // console.log("=== Debug signature verification ===");
-    // console.log("Raw response body (rawBody):", rawBody);
-    // console.log("Signature header from response:", signatureHeader);
+    Logger.writeLog({
+      flag: CONFIG.LOG_FLAGS.request,
+      action: "created",
+      message: "New Shufti session created",
+      data: { userId: clean.userId, reference, event },
+    });
 
-    let parsed;
-    try {
-      parsed = rawBody ? JSON.parse(rawBody) : {};
-    } catch (e) {
-      ErrorHandler.add_error("KYC response invalid JSON", {
-        userId: clean.userId,
-        reference,
-        snippet: rawBody?.slice(0, 500),
-      });
-      Logger.writeLog({
-        flag: CONFIG.LOG_FLAGS.error,
-        action: "invalid_json",
-        message: "Shufti returned invalid JSON",
-        data: { userId: clean.userId, reference },
-        critical: true,
-      });
-      throw e;
-    }
+    return { reference, verificationUrl };
+  }
 
-    if (!res.ok) {
-      // Not fatal for flow, but is an error condition to record
-      ErrorHandler.add_error("KYC response non-200", {
-        userId: clean.userId,
-        reference,
-        status: res.status,
-        parsed,
+  /**
+   * createBackgroundCheck
+   * - AML / background screening tied to an existing KYC reference
+   * - Sends Shufti's background_checks service under its own "bgc-" reference
+   * - Stores a background_check row + one aml_hit row per match, all under ppk = KYC reference
+   *
+   * Returns { reference, backgroundReference, event, hitCount }
+   */
+  static async createBackgroundCheck({
+    reference,
+    firstName,
+    lastName,
+    middleName = "",
+    dob = "",
+    filters = null,
+    ongoing = false,
+  }) {
+    const clean = SafeUtils.sanitizeValidate({
+      reference: { value: reference, type: "string", required: true },
+      firstName: { value: firstName, type: "string", required: true },
+      lastName: { value: lastName, type: "string", required: true },
+      middleName: {
+        value: middleName ?? "",
+        type: "string",
+        required: false,
+        default: "",
+      },
+      dob: { value: dob ?? "", type: "string", required: false, default: "" },
+      filters: { value: filters, type: "array", required: false, default: [] },
+      ongoing: {
+        value: ongoing,
+        type: "boolean",
+        required: false,
+        default: false,
+      },
+    });
+
+    const { pk, sk, gsi_meta } = CONFIG.KEYS;
+
+    // Link to the user's verification_request timeline row for this reference
+    const byRef = await rowsByReference(clean.reference);
+    const requestRow = Array.isArray(byRef)
+      ? byRef.find((it) => it.type === "verification_request")
+      : null;
+    if (!requestRow) {
+      ErrorHandler.add_error("KYC createBackgroundCheck: unknown reference", {
+        reference: clean.reference,
       });
       Logger.writeLog({
         flag: CONFIG.LOG_FLAGS.error,
-        action: "non_200",
-        message: "Shufti returned non-200",
-        data: { userId: clean.userId, reference, status: res.status },
+        action: "invalid_reference",
+        message: "No verification request found for background check",
+        data: { reference: clean.reference },
       });
+      const err = new Error(`Unknown KYC reference: ${clean.reference}`);
+      err.code = "unknown_reference";
+      throw err;
     }
 
-    // (!verifyShuftiSignature(rawBodyString, signatureHeader)) {
-    //   ErrorHandler.add_error("KYC response signature invalid", {
-    //     userId: clean.userId,
-    //     reference,
-    //   });
-    //   Logger.writeLog({
-    //     flag: CONFIG.LOG_FLAGS.error,
-    //     action: "invalid_signature",
-    //     message: "Invalid signature in Shufti response",
-    //     data: { userId: clean.userId, reference },
-    //     critical: true,
-    //   });
-    //   throw new Error("Invalid Shufti HTTP signature");
-    // }
+    await registerLocalRateAndMaybeAlert("createBackgroundCheck");
 
-    const event = parsed?.event || "unknown";
-    const verificationUrl = parsed?.verification_url || null;
+    const userId = requestRow.userId;
+    const backgroundReference = generateReference("bgc");
+    const created_at = new Date().toISOString();
 
-    try {
-      const firstInsert = await ScyllaDb.putItem(CONFIG.TABLE, {
-        [pk]: `user_${clean.userId}`,
-        [sk]: created_at, // natural ISO sort
-        [gsi_meta.pk]: reference,
-        [gsi_meta.sk]: created_at, // GSI sort = created_at
-        type: "verification_request",
-        userId: clean.userId,
-        reference,
-        event,
-        verificationUrl,
-        requestPayload: payload,
-        responsePayload: parsed,
-        language,
-        created_at,
-      });
-      console.log("firstinsert", firstInsert);
-    } catch (error) {
-      console.log(error);
-    }
+    const payload = {
+      reference: backgroundReference,
+      ...(CONFIG.CALLBACK_URL ? { callback_url: CONFIG.CALLBACK_URL } : {}),
+      background_checks: {
+        name: {
+          first_name: clean.firstName,
+          middle_name: clean.middleName,
+          last_name: clean.lastName,
+        },
+        dob: clean.dob,
+        ...(clean.filters.length ? { filters: clean.filters } : {}),
+        ongoing: clean.ongoing ? "1" : "0",
+      },
+    };
 
-    // Persist attempt on user timeline
+    Logger.writeLog({
+      flag: CONFIG.LOG_FLAGS.background,
+      action: "create_new",
+      message: "Creating Shufti background check",
+      data: { userId, reference: clean.reference, backgroundReference },
+    });
 
-    // Upsert meta row (direct primary + GSI sentinel via same reference)
-    console.log("Before second insert");
-    try {
-      const secondInsert = await ScyllaDb.putItem(CONFIG.TABLE, {
-        [pk]: `meta_${reference}`,
-        [sk]: "meta",
-        [gsi_meta.pk]: reference,
-        [gsi_meta.sk]: created_at,
-        type: "meta",
-        userId: clean.userId,
-        reference,
-        status: event,
-        verificationUrl,
-        language,
-        created_at,
-      });
-      console.log("second insert result:", secondInsert);
-    } catch (e) {
-      console.error("Error on second insert:", e);
-    }
-    // console.log("second insert", secondInsert);
+    const { parsed } = await callShufti("", payload, "createBackgroundCheck", {
+      userId,
+      reference: clean.reference,
+      backgroundReference,
+    });
+
+    const event = parsed?.event || "unknown";
+    const hits = distinctAmlHits(extractAmlHits(parsed));
+
+    await KycStore.putItem(CONFIG.TABLE, {
+      [pk]: `bgc_${backgroundReference}`,
+      [sk]: "meta",
+      [gsi_meta.pk]: clean.reference,
+      [gsi_meta.sk]: created_at,
+      type: "background_check",
+      userId,
+      reference: clean.reference,
+      backgroundReference,
+      linkedRequestAt: requestRow[sk],
+      status: event,
+      ongoing: clean.ongoing,
+      hitCount: hits.length,
+      requestPayload: payload,
+      responsePayload: parsed,
+      created_at,
+    });
+    await storeAmlHits({
+      userId,
+      reference: clean.reference,
+      backgroundReference,
+      event,
+      hits,
+      created_at,
+    });
 
     Logger.writeLog({
-      flag: CONFIG.LOG_FLAGS.request,
+      flag: CONFIG.LOG_FLAGS.background,
       action: "created",
-      message: "New Shufti session created",
-      data: { userId: clean.userId, reference, event },
+      message: "Background check created",
+      data: {
+        userId,
+        reference: clean.reference,
+        backgroundReference,
+        event,
+        hitCount: hits.length,
+      },
     });
 
-    return { reference, verificationUrl };
+    return {
+      reference: clean.reference,
+      backgroundReference,
+      event,
+      hitCount: hits.length,
+    };
   }
 
   /**
    * handleWebhook
    * Validate signature → save webhook row → update meta
-   * Returns { ok, reference, event }
+   * - rawBodyString must be the exact bytes Shufti sent (signature is over the raw body)
+   * - "bgc-" references are background checks (incl. ongoing-monitoring alerts)
+   * - Retries are deduplicated on reference + event + body hash ({ duplicate: true })
+   * - Older provider timestamps than meta's are stored but not applied ({ stale: true })
+   * Returns { ok, reference, event } or { ok: false, reason }
    */
   static async handleWebhook({ rawBodyString, signatureHeader }) {
     Logger.writeLog({
@@ -390,17 +513,19 @@ export default class ShuftiProKyc {
       data: { bytes: rawBodyString ? String(rawBodyString).length : 0 },
     });
 
-    // if (!verifyShuftiSignature(rawBodyString, signatureHeader)) {
-    //   ErrorHandler.add_error("KYC webhook signature invalid");
-    //   Logger.writeLog({
-    //     flag: CONFIG.LOG_FLAGS.error,
-    //     action: "invalid_signature",
-    //     message: "Invalid signature on webhook",
-    //     data: {},
-    //     critical: true,
-    //   });
-    //   return { ok: false };
-    // }
+    if (!verifyShuftiSignature(rawBodyString, signatureHeader)) {
+      ErrorHandler.add_error("KYC webhook signature invalid", {
+        hasSignature: !!signatureHeader,
+      });
+      Logger.writeLog({
+        flag: CONFIG.LOG_FLAGS.error,
+        action: "invalid_signature",
+        message: "Invalid signature on webhook",
+        data: { hasSignature: !!signatureHeader },
+        critical: true,
+      });
+      return { ok: false, reason: "invalid_signature" };
+    }
 
     let payload;
     try {
@@ -416,80 +541,145 @@ export default class ShuftiProKyc {
         data: {},
         critical: true,
       });
-      return { ok: false };
+      return { ok: false, reason: "invalid_json" };
     }
 
-    const reference = payload?.reference || "unknown";
-    const event = payload?.event || "unknown";
-    const created_at = new Date().toISOString();
+    return processKycPayload(payload, rawBodyString);
+  }
 
-    const { pk, sk, gsi_meta } = CONFIG.KEYS;
+  /**
+   * fetchStatus
+   * - Ask Shufti for the authoritative status of a reference (/status)
+   * Returns the parsed provider response ({ reference, event, verification_result, ... })
+   */
+  static async fetchStatus(reference) {
+    const clean = SafeUtils.sanitizeValidate({
+      reference: { value: reference, type: "string", required: true },
+    });
 
-    // Fetch rows for this reference; prefer the meta row if present to get userId
-    const byRef = await ScyllaDb.query(
-      CONFIG.TABLE,
-      `${gsi_meta.pk} = :ref`,
-      { ":ref": reference },
-      { IndexName: gsi_meta.name }
-    );
-    const latestByRef = Array.isArray(byRef) ? byRef.slice().reverse() : [];
-    const meta = pickMeta(latestByRef) || latestByRef[0] || null;
-    const userId = meta?.userId || payload?.user_id || "unknown";
+    const { parsed } = await requestStatus(clean.reference);
+    return parsed;
+  }
 
-    // Write webhook row to timeline + GSI
-    await ScyllaDb.putItem(CONFIG.TABLE, {
-      [pk]: `user_${userId}`,
-      [sk]: created_at,
-      [gsi_meta.pk]: reference,
-      [gsi_meta.sk]: created_at,
-      type: "webhook_event",
-      userId,
-      reference,
-      event,
-      webhookPayload: payload,
-      created_at,
+  /**
+   * reconcilePending
+   * - Finds meta rows stuck in an ACTIVE status for longer than olderThan
+   * - Polls Shufti /status for each and applies the result via the webhook path
+   *   (same dedupe, ordering and state-machine rules)
+   * - olderThan: ms, or an interval string like "2 hours"
+   *
+   * Returns { checked, updated, unchanged, failed, results }
+   */
+  static async reconcilePending({
+    olderThan = CONFIG.RECONCILE_OLDER_THAN,
+  } = {}) {
+    const cutoff = new Date(Date.now() - intervalMs(olderThan)).toISOString();
+
+    const stuck = [];
+    await KycStore.parallelScan(CONFIG.TABLE, {
+      ...tableScanOptions(),
+      filter: ScyllaDb.expr
+        .eq("type", "meta")
+        .and.in("status", [...ACTIVE_EVENTS]),
+      onPage: (metas) => {
+        stuck.push(
+          ...metas.filter(
+            (meta) => (meta.lastEventAt ?? meta.created_at ?? "") < cutoff
+          )
+        );
+      },
     });
 
-    // Update meta row
-    await ScyllaDb.putItem(CONFIG.TABLE, {
-      [pk]: `meta_${reference}`,
-      [sk]: "meta",
-      [gsi_meta.pk]: reference,
-      [gsi_meta.sk]: created_at, // track last change time on GSI too
-      type: "meta",
-      userId,
-      reference,
-      status: event,
-      lastEvent: event,
-      lastEventAt: created_at,
-      verificationUrl: meta?.verificationUrl ?? null,
-      language: meta?.language ?? CONFIG.DEFAULT_LANGUAGE,
-      created_at: meta?.created_at ?? created_at,
+    Logger.writeLog({
+      flag: CONFIG.LOG_FLAGS.status,
+      action: "reconcile_start",
+      message: "Reconciling stuck KYC sessions",
+      data: { cutoff, candidates: stuck.length },
     });
 
+    const summary = {
+      checked: 0,
+      updated: 0,
+      unchanged: 0,
+      failed: 0,
+      results: [],
+    };
+    for (const meta of stuck) {
+      summary.checked += 1;
+      try {
+        const {
+          res,
+          rawBody,
+          parsed: status,
+        } = await requestStatus(meta.reference);
+        // A non-200 body is Shufti's error, not the session's status
+        if (!res.ok) {
+          throw new Error(`Shufti status failed (HTTP ${res.status})`);
+        }
+        if (!status?.event || status.event === meta.status) {
+          summary.unchanged += 1;
+          summary.results.push({
+            reference: meta.reference,
+            status: meta.status,
+            applied: false,
+          });
+          continue;
+        }
+
+        const applied = await processKycPayload(
+          { ...status, reference: meta.reference },
+          rawBody
+        );
+        const changed =
+          applied.ok &&
+          !applied.duplicate &&
+          !applied.stale &&
+          !applied.rejected;
+        summary[changed ? "updated" : "unchanged"] += 1;
+        summary.results.push({
+          reference: meta.reference,
+          status: changed ? status.event : meta.status,
+          applied: changed,
+        });
+      } catch (err) {
+        summary.failed += 1;
+        summary.results.push({
+          reference: meta.reference,
+          status: meta.status,
+          applied: false,
+          error: String(err),
+        });
+        ErrorHandler.add_error("KYC reconcilePending: status fetch failed", {
+          reference: meta.reference,
+          error: String(err),
+        });
+      }
+    }
+
     Logger.writeLog({
-      flag: CONFIG.LOG_FLAGS.webhook,
-      action: "stored",
-      message: "Webhook stored and meta updated",
-      data: { userId, reference, event },
+      flag: CONFIG.LOG_FLAGS.status,
+      action: "reconcile_done",
+      message: "Reconciliation finished",
+      data: {
+        checked: summary.checked,
+        updated: summary.updated,
+        unchanged: summary.unchanged,
+        failed: summary.failed,
+      },
     });
 
-    return { ok: true, reference, event };
+    return summary;
   }
 
   /**
    * getRecordByReference
-   * - Returns { meta, verificationRequests, webhookEvents, statusChanges }
+   * - Returns { meta, verificationRequests, webhookEvents, statusChanges, backgroundChecks, amlHits, result }
+   * - result is the normalized verdict: { status, accepted, declined, declinedReason, declinedCodes, services }
    */
   static async getRecordByReference(reference) {
-    const { pk, sk, gsi_meta } = CONFIG.KEYS;
+    const { pk, sk } = CONFIG.KEYS;
 
-    const items = await ScyllaDb.query(
-      CONFIG.TABLE,
-      `${gsi_meta.pk} = :ref`,
-      { ":ref": reference },
-      { IndexName: gsi_meta.name }
-    );
+    const items = await rowsByReference(reference);
     if (!Array.isArray(items) || !items.length) return null;
 
     // Normalize newest-first for consumers
@@ -499,6 +689,8 @@ export default class ShuftiProKyc {
     const verificationRequests = [];
     const webhookEvents = [];
     const statusChanges = [];
+    const backgroundChecks = [];
+    const amlHits = [];
 
     for (const item of sorted) {
       if (item.type === "meta") meta = item;
@@ -506,67 +698,53 @@ export default class ShuftiProKyc {
         verificationRequests.push(item);
       else if (item.type === "webhook_event") webhookEvents.push(item);
       else if (item.type === "status_change") statusChanges.push(item);
+      else if (item.type === "background_check") backgroundChecks.push(item);
+      else if (item.type === "aml_hit") amlHits.push(item);
     }
 
     if (!meta) {
       // Fallback direct get if meta wasn’t present in GSI scan (shouldn’t happen, but safe)
-      meta = await ScyllaDb.getItem(CONFIG.TABLE, {
+      meta = await KycStore.getItem(CONFIG.TABLE, {
         [pk]: `meta_${reference}`,
         [sk]: "meta",
       });
     }
 
-    return { meta, verificationRequests, webhookEvents, statusChanges };
+    return {
+      meta,
+      verificationRequests,
+      webhookEvents,
+      statusChanges,
+      backgroundChecks,
+      amlHits,
+      result: normalizeResult(meta),
+    };
   }
 
   /**
    * isUserValidated
    * - TRUE if ANY attempt in history has status === verification.accepted
+   * - Reads the user's summary row (kept in step with every meta write)
    */
   static async isUserValidated(userId) {
-    const { pk, gsi_meta } = CONFIG.KEYS;
-
-    const timeline = await ScyllaDb.query(
-      CONFIG.TABLE,
-      `${pk} = :pk`,
-      { ":pk": `user_${userId}` },
-      { Limit: 50 }
-    );
-    console.log("timeline", timeline);
-    if (!Array.isArray(timeline) || !timeline.length) return false;
-
-    const sortedTimeline = timeline.slice().reverse(); // newest-first for the loop
-    for (const item of sortedTimeline) {
-      if (item.type !== "verification_request") continue;
-
-      const byRef = await ScyllaDb.query(
-        CONFIG.TABLE,
-        `${gsi_meta.pk} = :ref`,
-        { ":ref": item.reference },
-        { IndexName: gsi_meta.name }
-      );
-      const latestByRef = Array.isArray(byRef) ? byRef.slice().reverse() : [];
-      const meta = pickMeta(latestByRef) || latestByRef[0] || null;
-
-      if (meta?.status === KYC_EVENT.VERIFICATION_ACCEPTED) return true;
-    }
-    return false;
+    const summary = await loadUserSummary(userId);
+    return summary.validated === true;
   }
 
   /**
    * updateRecordStatus
    * - Manually update meta.status and log a status_change row
+   * - Illegal transitions (see KYC_TRANSITIONS) are logged as rejected and return false
+   * - source tags the status_change row ("manual", "erasure", ...)
    */
-  static async updateRecordStatus(reference, newStatus) {
+  static async updateRecordStatus(
+    reference,
+    newStatus,
+    { source = "manual" } = {}
+  ) {
     const { pk, sk, gsi_meta } = CONFIG.KEYS;
 
-    const byRef = await ScyllaDb.query(
-      CONFIG.TABLE,
-      `${gsi_meta.pk} = :ref`,
-      { ":ref": reference },
-      { IndexName: gsi_meta.name }
-    );
-    // console.log("byRef", byRef);
+    const byRef = await rowsByReference(reference);
     if (!Array.isArray(byRef) || byRef.length === 0) {
       // No records found for this reference - invalid reference
       ErrorHandler.add_error(
@@ -591,7 +769,7 @@ export default class ShuftiProKyc {
     let meta = pickMeta(latestByRef) || latestByRef[0] || null;
 
     if (!meta) {
-      meta = await ScyllaDb.getItem(CONFIG.TABLE, {
+      meta = await KycStore.getItem(CONFIG.TABLE, {
         [pk]: `meta_${reference}`,
         [sk]: "meta",
       });
@@ -611,26 +789,45 @@ export default class ShuftiProKyc {
     }
 
     const created_at = new Date().toISOString();
-
-    // Update meta
-    await ScyllaDb.putItem(CONFIG.TABLE, {
-      [pk]: `meta_${reference}`,
-      [sk]: "meta",
-      [gsi_meta.pk]: reference,
-      [gsi_meta.sk]: created_at,
-      type: "meta",
-      userId: meta.userId,
-      reference,
-      status: newStatus,
-      lastEvent: newStatus,
-      lastEventAt: created_at,
-      verificationUrl: meta.verificationUrl ?? null,
-      language: meta.language ?? CONFIG.DEFAULT_LANGUAGE,
-      created_at: meta.created_at ?? created_at,
+    let previousStatus = meta.status ?? null;
+
+    // Update meta + user summary; re-checked against the latest meta on conflict
+    const written = await writeMeta(reference, (current) => {
+      const latest = current || meta;
+      previousStatus = latest.status ?? null;
+      if (!isValidTransition(previousStatus, newStatus)) return null;
+      return {
+        ...metaKey(reference),
+        [gsi_meta.pk]: reference,
+        [gsi_meta.sk]: created_at,
+        type: "meta",
+        userId: latest.userId,
+        reference,
+        status: newStatus,
+        lastEvent: newStatus,
+        lastEventAt: created_at,
+        providerEventAt: latest.providerEventAt ?? null,
+        verificationUrl: latest.verificationUrl ?? null,
+        ...buildOutcomeFields(latest, newStatus),
+        language: latest.language ?? CONFIG.DEFAULT_LANGUAGE,
+        created_at: latest.created_at ?? created_at,
+      };
     });
 
+    if (!written) {
+      await recordRejectedTransition({
+        userId: meta.userId,
+        reference,
+        previousStatus,
+        newStatus,
+        source,
+        created_at,
+      });
+      return false;
+    }
+
     // Log status change on timeline
-    await ScyllaDb.putItem(CONFIG.TABLE, {
+    await KycStore.putItem(CONFIG.TABLE, {
       [pk]: `user_${meta.userId}`,
       [sk]: created_at,
       [gsi_meta.pk]: reference,
@@ -639,7 +836,10 @@ export default class ShuftiProKyc {
       userId: meta.userId,
       reference,
       event: KYC_EVENT.VERIFICATION_STATUS_CHANGED,
+      previousStatus,
       newStatus,
+      rejected: false,
+      source,
       created_at,
     });
 
@@ -652,10 +852,221 @@ export default class ShuftiProKyc {
 
     return true;
   }
+  /**
+   * deleteVerification
+   * - GDPR erasure: asks Shufti to delete the request and every background check
+   *   linked to it (/delete), then scrubs PII from every row for the reference
+   *   (timeline rows included)
+   * - Emits a request.deleted status change and keeps an erasure audit row
+   *
+   * Returns { reference, erased } or false when the reference is unknown
+   */
+  static async deleteVerification(reference, { reason = "" } = {}) {
+    const clean = SafeUtils.sanitizeValidate({
+      reference: { value: reference, type: "string", required: true },
+      reason: { value: reason, type: "string", required: false, default: "" },
+    });
+    const { pk, sk, gsi_meta } = CONFIG.KEYS;
+
+    const record = await ShuftiProKyc.getRecordByReference(clean.reference);
+    if (!record?.meta) {
+      ErrorHandler.add_error("KYC deleteVerification: meta not found", {
+        reference: clean.reference,
+      });
+      Logger.writeLog({
+        flag: CONFIG.LOG_FLAGS.error,
+        action: "meta_missing",
+        message: "Meta not found for reference during deletion",
+        data: { reference: clean.reference },
+      });
+      return false;
+    }
+    const { userId } = record.meta;
+
+    // Background checks are separate Shufti requests holding the name + DOB;
+    // they go first so the main reference is only deleted once they are gone.
+    // Keep our data until every provider copy is gone, so the request can be retried.
+    const backgroundReferences = [
+      ...new Set(record.backgroundChecks.map((c) => c.backgroundReference)),
+    ];
+    for (const backgroundReference of backgroundReferences) {
+      const { res } = await callShufti(
+        "delete",
+        { reference: backgroundReference, comment: clean.reason },
+        "deleteVerification",
+        { userId, reference: clean.reference, backgroundReference }
+      );
+      if (!res.ok) {
+        throw new Error(
+          `Shufti delete of ${backgroundReference} failed (HTTP ${res.status})`
+        );
+      }
+    }
+
+    const { res, parsed } = await callShufti(
+      "delete",
+      { reference: clean.reference, comment: clean.reason },
+      "deleteVerification",
+      { userId, reference: clean.reference }
+    );
+    if (!res.ok) {
+      throw new Error(`Shufti delete failed (HTTP ${res.status})`);
+    }
+
+    await ShuftiProKyc.updateRecordStatus(
+      clean.reference,
+      KYC_EVENT.REQUEST_DELETED,
+      { source: "erasure" }
+    );
+
+    // Scrub every row grouped under the reference (meta, timeline, AML rows)
+    const erased_at = new Date().toISOString();
+    const rows = await rowsByReference(clean.reference);
+    let erased = 0;
+    for (const row of Array.isArray(rows) ? rows : []) {
+      if (row.type === "erasure") continue;
+      if (row.type === "meta") {
+        await writeMeta(clean.reference, (current) =>
+          erasePii(current || row, erased_at)
+        );
+      } else {
+        await KycStore.putItem(CONFIG.TABLE, erasePii(row, erased_at));
+      }
+      erased += 1;
+    }
+
+    // Audit trail of the deletion itself (no PII)
+    await KycStore.putItem(CONFIG.TABLE, {
+      [pk]: `user_${userId}`,
+      [sk]: `${erased_at}#erasure`,
+      [gsi_meta.pk]: clean.reference,
+      [gsi_meta.sk]: erased_at,
+      type: "erasure",
+      userId,
+      reference: clean.reference,
+      reason: clean.reason,
+      providerEvent: parsed?.event ?? null,
+      backgroundReferences,
+      rowsErased: erased,
+      created_at: erased_at,
+    });
+
+    Logger.writeLog({
+      flag: CONFIG.LOG_FLAGS.status,
+      action: "erased",
+      message: "Verification deleted at Shufti and PII erased",
+      data: { userId, reference: clean.reference, rowsErased: erased },
+    });
+
+    return { reference: clean.reference, erased };
+  }
+  /**
+   * reencryptRows
+   * - Key rotation: rewrites rows whose encrypted fields are plaintext or under
+   *   a non-active key, using the active key
+   * - Conditional on encKeyId so a concurrent write is never overwritten
+   * - Throws when no key ring is configured (KYC_ENCRYPTION_KEYS unset)
+   *
+   * Returns { scanned, reencrypted, skipped }
+   */
+  static async reencryptRows() {
+    const { FIELDS } = CONFIG.ENCRYPTION;
+    const summary = { scanned: 0, reencrypted: 0, skipped: 0 };
+    if (!FieldCipher.isEnabled()) {
+      throw new Error("reencryptRows: no encryption key ring is configured");
+    }
+
+    // Raw scan: we need the stored envelopes to see which key wrote them
+    await ScyllaDb.parallelScan(CONFIG.TABLE, {
+      ...tableScanOptions(),
+      onPage: async (rows) => {
+        summary.scanned += rows.length;
+        for (const row of rows) {
+          if (!FieldCipher.needsReencryption(row, FIELDS)) continue;
+          const condition = row.encKeyId
+            ? ScyllaDb.expr.eq("encKeyId", row.encKeyId)
+            : ScyllaDb.expr.notExists("encKeyId");
+          try {
+            await KycStore.putItem(CONFIG.TABLE, decryptRow(row), {
+              ConditionExpression: condition,
+            });
+            summary.reencrypted += 1;
+          } catch (err) {
+            if (!(err instanceof ScyllaDb.ConditionalCheckFailedError)) {
+              throw err;
+            }
+            summary.skipped += 1; // rewritten meanwhile, already on the active key
+          }
+        }
+      },
+    });
+
+    Logger.writeLog({
+      flag: CONFIG.LOG_FLAGS.request,
+      action: "reencrypted",
+      message: "Re-encrypted rows with the active key",
+      data: { ...summary, activeKeyId: FieldCipher.getActiveKeyId() },
+    });
+
+    return summary;
+  }
+
+  /**
+   * sweepExpired
+   * - Fallback for backends without native TTL: deletes rows whose
+   *   CONFIG.TTL_ATTRIBUTE (epoch seconds) has passed
+   * - Does nothing while the table's TTL is enabled on that attribute, unless force
+   * - Deletes are conditional on the expiry, so a row rewritten meanwhile survives
+   *
+   * Returns { skipped, scanned, deleted }
+   */
+  static async sweepExpired({ force = false } = {}) {
+    const attribute = CONFIG.TTL_ATTRIBUTE;
+    const summary = { skipped: false, scanned: 0, deleted: 0 };
+
+    if (!force && (await hasNativeTtl(attribute))) {
+      summary.skipped = true;
+      return summary;
+    }
+
+    const { pk, sk } = CONFIG.KEYS;
+    const now = Math.floor(Date.now() / 1000);
+    const { scannedCount } = await ScyllaDb.parallelScan(CONFIG.TABLE, {
+      ...tableScanOptions(),
+      filter: ScyllaDb.expr.lte(attribute, now),
+      onPage: async (rows) => {
+        for (const row of rows) {
+          try {
+            const deleted = await ScyllaDb.deleteItem(
+              CONFIG.TABLE,
+              { [pk]: row[pk], [sk]: row[sk] },
+              { ConditionExpression: ScyllaDb.expr.lte(attribute, now) }
+            );
+            if (deleted) summary.deleted += 1;
+          } catch (err) {
+            if (!(err instanceof ScyllaDb.ConditionalCheckFailedError)) {
+              throw err;
+            }
+            // expiry extended by a concurrent write
+          }
+        }
+      },
+    });
+    summary.scanned = scannedCount;
+
+    Logger.writeLog({
+      flag: CONFIG.LOG_FLAGS.request,
+      action: "swept",
+      message: "Deleted rows past their retention",
+      data: summary,
+    });
+
+    return summary;
+  }
 }
 
-function generateReference() {
-  return `ref-${Date.now()}-${Math.floor(Math.random() * 100000)}`;
+function generateReference(prefix = "ref") {
+  return `${prefix}-${Date.now()}-${Math.floor(Math.random() * 100000)}`;
 }
 function normalizeLocaleToLanguage(appLocale) {
   if (!appLocale) return CONFIG.DEFAULT_LANGUAGE;
@@ -667,13 +1078,89 @@ function normalizeLocaleToLanguage(appLocale) {
   );
 }
 
+// POST to Shufti (Basic auth) → { res, rawBody, parsed }
+// Network error / invalid JSON throw; non-200 is recorded but returned to the caller
+async function callShufti(path, payload, contextLabel, logData = {}) {
+  const authHeader =
+    "Basic " +
+    Buffer.from(`${CONFIG.CLIENT_ID}:${CONFIG.SECRET_KEY}`, "utf8").toString(
+      "base64"
+    );
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), CONFIG.HTTP_TIMEOUT_MS);
+
+  let res;
+  try {
+    res = await fetch(CONFIG.API_URL + path, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: authHeader,
+      },
+      body: JSON.stringify(payload),
+      signal: ctrl.signal,
+    });
+  } catch (err) {
+    clearTimeout(timer);
+    ErrorHandler.add_error(`KYC network error (${contextLabel})`, {
+      ...logData,
+      error: String(err),
+    });
+    Logger.writeLog({
+      flag: CONFIG.LOG_FLAGS.error,
+      action: "network_error",
+      message: "Network error contacting Shufti",
+      data: { ...logData, contextLabel, error: String(err) },
+      critical: true,
+    });
+    throw err;
+  }
+  clearTimeout(timer);
+
+  const rawBody = await res.text();
+
+  let parsed;
+  try {
+    parsed = rawBody ? JSON.parse(rawBody) : {};
+  } catch (e) {
+    ErrorHandler.add_error("KYC response invalid JSON", {
+      ...logData,
+      contextLabel,
+      snippet: rawBody?.slice(0, 500),
+    });
+    Logger.writeLog({
+      flag: CONFIG.LOG_FLAGS.error,
+      action: "invalid_json",
+      message: "Shufti returned invalid JSON",
+      data: { ...logData, contextLabel },
+      critical: true,
+    });
+    throw e;
+  }
+
+  if (!res.ok) {
+    // Not fatal for flow, but is an error condition to record
+    ErrorHandler.add_error("KYC response non-200", {
+      ...logData,
+      contextLabel,
+      status: res.status,
+      parsed,
+    });
+    Logger.writeLog({
+      flag: CONFIG.LOG_FLAGS.error,
+      action: "non_200",
+      message: "Shufti returned non-200",
+      data: { ...logData, contextLabel, status: res.status },
+    });
+  }
+
+  return { res, rawBody, parsed };
+}
+
 function verifyShuftiSignature(rawBodyString, signatureHeaderValue) {
-  // console.log(
-  //   "rawBodyString, signatureHeaderValue",
-  //   rawBodyString,
-  //   signatureHeaderValue
-  // );
-  if (!rawBodyString || !signatureHeaderValue) return false;
+  if (!rawBodyString || !signatureHeaderValue || !CONFIG.SECRET_KEY) {
+    return false;
+  }
   const inner = crypto
     .createHash("sha256")
     .update(CONFIG.SECRET_KEY, "utf8")
@@ -682,9 +1169,572 @@ function verifyShuftiSignature(rawBodyString, signatureHeaderValue) {
     .createHash("sha256")
     .update(String(rawBodyString) + inner, "utf8")
     .digest("hex");
-  // console.log("computed", computed, String(signatureHeaderValue).trim());
 
-  return computed === String(signatureHeaderValue).trim();
+  // Constant-time compare; lengths must match before timingSafeEqual
+  const expected = Buffer.from(computed, "utf8");
+  const received = Buffer.from(
+    String(signatureHeaderValue).trim().toLowerCase(),
+    "utf8"
+  );
+  if (expected.length !== received.length) return false;
+  return crypto.timingSafeEqual(expected, received);
+}
+
+// per-service verdicts from a Shufti response/callback (null until decided)
+function extractServiceResults(payload) {
+  const result = payload?.verification_result || {};
+  return {
+    documentResult: result.document ?? null,
+    faceResult: result.face ?? null,
+    addressResult: result.address ?? null,
+  };
+}
+
+function isBackgroundReference(reference) {
+  return String(reference).startsWith("bgc-");
+}
+
+// AML match hits from a background_checks response/callback
+function extractAmlHits(payload) {
+  const hits =
+    payload?.verification_data?.background_checks?.aml_data?.hits ?? [];
+  return Array.isArray(hits) ? hits : [];
+}
+
+// Hits keyed by a hash of their content; the same match reported twice
+// (e.g. by an ongoing-monitoring alert) gets the same hitId
+function distinctAmlHits(hits) {
+  const byId = new Map();
+  for (const hit of hits) {
+    const hitId = crypto
+      .createHash("sha256")
+      .update(canonicalJson(hit))
+      .digest("hex")
+      .slice(0, 32);
+    if (!byId.has(hitId)) byId.set(hitId, { hitId, hit });
+  }
+  return [...byId.values()];
+}
+
+// JSON with object keys sorted, so equal values hash equally
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// One aml_hit row per distinct match, grouped under the KYC reference (ppk).
+// Rows are keyed on hitId and written only if absent → number of new hits.
+async function storeAmlHits({
+  userId,
+  reference,
+  backgroundReference,
+  event,
+  hits,
+  created_at,
+}) {
+  const { pk, sk, gsi_meta } = CONFIG.KEYS;
+  let stored = 0;
+  for (const { hitId, hit } of hits) {
+    try {
+      await KycStore.putItem(
+        CONFIG.TABLE,
+        {
+          [pk]: `bgc_${backgroundReference}`,
+          [sk]: `hit#${hitId}`,
+          [gsi_meta.pk]: reference,
+          [gsi_meta.sk]: created_at,
+          type: "aml_hit",
+          userId,
+          reference,
+          backgroundReference,
+          hitId,
+          event,
+          hitName: hit?.name ?? null,
+          matchTypes: hit?.match_types ?? [],
+          hit,
+          created_at,
+        },
+        { ifNotExists: true }
+      );
+      stored += 1;
+    } catch (err) {
+      if (!(err instanceof ScyllaDb.ConditionalCheckFailedError)) throw err;
+    }
+  }
+  return stored;
+}
+
+// Background check callback (initial result or ongoing-monitoring alert)
+async function handleBackgroundCheckEvent(payload) {
+  const { pk, sk } = CONFIG.KEYS;
+  const backgroundReference = payload.reference;
+  const event = payload?.event || "unknown";
+  const created_at = new Date().toISOString();
+
+  const check = await KycStore.getItem(CONFIG.TABLE, {
+    [pk]: `bgc_${backgroundReference}`,
+    [sk]: "meta",
+  });
+  if (!check) {
+    ErrorHandler.add_error("KYC background webhook: unknown reference", {
+      backgroundReference,
+      event,
+    });
+    Logger.writeLog({
+      flag: CONFIG.LOG_FLAGS.error,
+      action: "invalid_reference",
+      message: "Background check not found for webhook",
+      data: { backgroundReference, event },
+    });
+    return { ok: false, reason: "unknown_reference" };
+  }
+
+  const hits = distinctAmlHits(extractAmlHits(payload));
+  const newHits = await storeAmlHits({
+    userId: check.userId,
+    reference: check.reference,
+    backgroundReference,
+    event,
+    hits,
+    created_at,
+  });
+
+  // Versioned so concurrent monitoring alerts never lose a hitCount increment
+  await writeVersioned(
+    { [pk]: `bgc_${backgroundReference}`, [sk]: "meta" },
+    (current) => ({
+      ...(current || check),
+      status: event,
+      lastEvent: event,
+      lastEventAt: created_at,
+      hitCount: ((current || check).hitCount ?? 0) + newHits,
+      webhookPayload: payload,
+    })
+  );
+
+  Logger.writeLog({
+    flag: CONFIG.LOG_FLAGS.background,
+    action: newHits ? "monitoring_alert" : "stored",
+    message: "Background check webhook stored",
+    data: {
+      userId: check.userId,
+      reference: check.reference,
+      backgroundReference,
+      event,
+      hitCount: newHits,
+      repeatedHits: hits.length - newHits,
+    },
+    critical: newHits > 0,
+  });
+
+  return {
+    ok: true,
+    reference: check.reference,
+    backgroundReference,
+    event,
+  };
+}
+
+// Verdict fields kept on the meta row. Callback values win over what meta had;
+// decline details are cleared on acceptance and kept across non-decision events.
+// validated survives later status changes; only a decline or deletion revokes it.
+function buildOutcomeFields(meta, event, payload = null) {
+  const { documentResult, faceResult, addressResult } =
+    extractServiceResults(payload);
+  const declined = event === KYC_EVENT.VERIFICATION_DECLINED;
+  const accepted = event === KYC_EVENT.VERIFICATION_ACCEPTED;
+  const revoked = declined || event === KYC_EVENT.REQUEST_DELETED;
+
+  let declinedReason = accepted ? null : (meta?.declinedReason ?? null);
+  let declinedCodes = accepted ? [] : (meta?.declinedCodes ?? []);
+  if (declined) {
+    declinedReason = payload?.declined_reason ?? declinedReason;
+    declinedCodes = payload?.declined_codes ?? declinedCodes;
+  }
+
+  return {
+    services: meta?.services ?? ["document"],
+    documentResult: documentResult ?? meta?.documentResult ?? null,
+    faceResult: faceResult ?? meta?.faceResult ?? null,
+    addressResult: addressResult ?? meta?.addressResult ?? null,
+    verificationResult:
+      payload?.verification_result ?? meta?.verificationResult ?? null,
+    verificationData:
+      payload?.verification_data ?? meta?.verificationData ?? null,
+    declinedReason,
+    declinedCodes,
+    validated: accepted || (!revoked && isValidatedMeta(meta)),
+  };
+}
+
+// Meta rows written before validated was tracked fall back to their status
+function isValidatedMeta(meta) {
+  return meta?.validated ?? meta?.status === KYC_EVENT.VERIFICATION_ACCEPTED;
+}
+
+// Support-friendly view of the meta row (why did this user pass / fail?)
+function normalizeResult(meta) {
+  if (!meta) return null;
+  const services = {};
+  for (const name of meta.services ?? ["document"]) {
+    services[name] = {
+      result: meta.verificationResult?.[name] ?? meta[`${name}Result`] ?? null,
+      data: meta.verificationData?.[name] ?? null,
+    };
+  }
+  return {
+    reference: meta.reference,
+    status: meta.status ?? null,
+    accepted: meta.status === KYC_EVENT.VERIFICATION_ACCEPTED,
+    declined: meta.status === KYC_EVENT.VERIFICATION_DECLINED,
+    declinedReason: meta.declinedReason ?? null,
+    declinedCodes: meta.declinedCodes ?? [],
+    services,
+    updatedAt: meta.lastEventAt ?? meta.created_at ?? null,
+  };
+}
+
+// POST /status → { res, rawBody, parsed } (raw body kept for the dedupe hash)
+async function requestStatus(reference) {
+  const { res, rawBody, parsed } = await callShufti(
+    "status",
+    { reference },
+    "fetchStatus",
+    { reference }
+  );
+
+  Logger.writeLog({
+    flag: CONFIG.LOG_FLAGS.status,
+    action: "fetched",
+    message: "Fetched status from Shufti",
+    data: { reference, event: parsed?.event ?? null },
+  });
+
+  return { res, rawBody, parsed };
+}
+
+// Shared path for callbacks and polled statuses: dedupe → dispatch → apply
+async function processKycPayload(payload, rawBodyString) {
+  const reference = payload?.reference || "unknown";
+  const event = payload?.event || "unknown";
+  const { pk, sk } = CONFIG.KEYS;
+
+  // Retries: same reference + event + body is processed once
+  const payloadHash = crypto
+    .createHash("sha256")
+    .update(String(rawBodyString), "utf8")
+    .digest("hex");
+  const deliveryKey = {
+    [pk]: `webhook_${reference}`,
+    [sk]: `${event}#${payloadHash}`,
+  };
+  if (!(await claimWebhookDelivery(deliveryKey))) {
+    Logger.writeLog({
+      flag: CONFIG.LOG_FLAGS.webhook,
+      action: "duplicate",
+      message: "Duplicate webhook delivery ignored",
+      data: { reference, event },
+    });
+    return { ok: true, reference, event, duplicate: true };
+  }
+
+  try {
+    if (isBackgroundReference(reference)) {
+      return await handleBackgroundCheckEvent(payload);
+    }
+    return await applyWebhookEvent(payload, payloadHash);
+  } catch (err) {
+    // Release the claim so Shufti's retry is processed again
+    await KycStore.deleteItem(CONFIG.TABLE, deliveryKey).catch(() => {});
+    throw err;
+  }
+}
+
+// Store a (deduplicated) KYC callback and apply it to meta when it's newer + legal
+async function applyWebhookEvent(payload, payloadHash) {
+  const reference = payload?.reference || "unknown";
+  const event = payload?.event || "unknown";
+  const created_at = new Date().toISOString();
+
+  const { pk, sk, gsi_meta } = CONFIG.KEYS;
+
+  // Fetch rows for this reference; prefer the meta row if present to get userId
+  const byRef = await rowsByReference(reference);
+  const latestByRef = Array.isArray(byRef) ? byRef.slice().reverse() : [];
+  const meta = pickMeta(latestByRef) || latestByRef[0] || null;
+  const userId = meta?.userId || payload?.user_id || "unknown";
+  const providerEventAt = extractProviderTimestamp(payload);
+
+  // Write webhook row to timeline + GSI
+  await KycStore.putItem(CONFIG.TABLE, {
+    [pk]: `user_${userId}`,
+    [sk]: created_at,
+    [gsi_meta.pk]: reference,
+    [gsi_meta.sk]: created_at,
+    type: "webhook_event",
+    userId,
+    reference,
+    event,
+    payloadHash,
+    providerEventAt,
+    webhookPayload: payload,
+    created_at,
+  });
+
+  // Update meta row + user summary. Checks run against the latest meta, so a
+  // concurrent callback that wins the race is re-evaluated rather than overwritten.
+  let outcome = null;
+  let latest = meta;
+  await writeMeta(reference, (current) => {
+    latest = current || meta;
+
+    // Out-of-order delivery: an older provider event never overwrites a newer one.
+    // Only provider clocks are compared; without both, events apply in arrival order.
+    if (
+      providerEventAt &&
+      latest?.providerEventAt &&
+      providerEventAt < latest.providerEventAt
+    ) {
+      outcome = "stale";
+      return null;
+    }
+    // Late / illegal transition (e.g. accepted → request.pending): keep meta as-is
+    if (!isValidTransition(latest?.status ?? null, event)) {
+      outcome = "rejected";
+      return null;
+    }
+    outcome = null;
+    return {
+      ...metaKey(reference),
+      [gsi_meta.pk]: reference,
+      [gsi_meta.sk]: created_at, // track last change time on GSI too
+      type: "meta",
+      userId,
+      reference,
+      status: event,
+      lastEvent: event,
+      lastEventAt: created_at,
+      providerEventAt: providerEventAt ?? latest?.providerEventAt ?? null,
+      verificationUrl: latest?.verificationUrl ?? null,
+      ...buildOutcomeFields(latest, event, payload),
+      language: latest?.language ?? CONFIG.DEFAULT_LANGUAGE,
+      created_at: latest?.created_at ?? created_at,
+    };
+  });
+
+  if (outcome === "stale") {
+    Logger.writeLog({
+      flag: CONFIG.LOG_FLAGS.webhook,
+      action: "stale",
+      message: "Stale webhook stored but not applied to meta",
+      data: {
+        userId,
+        reference,
+        event,
+        providerEventAt,
+        metaProviderEventAt: latest.providerEventAt,
+      },
+    });
+    return { ok: true, reference, event, stale: true };
+  }
+  if (outcome === "rejected") {
+    await recordRejectedTransition({
+      userId,
+      reference,
+      previousStatus: latest?.status ?? null,
+      newStatus: event,
+      source: "webhook",
+      created_at,
+    });
+    return { ok: true, reference, event, rejected: true };
+  }
+
+  Logger.writeLog({
+    flag: CONFIG.LOG_FLAGS.webhook,
+    action: "stored",
+    message: "Webhook stored and meta updated",
+    data: { userId, reference, event },
+  });
+
+  return { ok: true, reference, event };
+}
+
+// First delivery wins: conditional put of a marker row keyed on the dedupe key
+async function claimWebhookDelivery(deliveryKey) {
+  try {
+    await KycStore.putItem(
+      CONFIG.TABLE,
+      {
+        ...deliveryKey,
+        type: "webhook_delivery",
+        created_at: new Date().toISOString(),
+      },
+      { ifNotExists: true }
+    );
+    return true;
+  } catch (err) {
+    if (err instanceof ScyllaDb.ConditionalCheckFailedError) return false;
+    throw err;
+  }
+}
+
+// Provider-side event time (epoch seconds/ms or ISO) → ISO, or null if absent
+function extractProviderTimestamp(payload) {
+  const raw = payload?.timestamp ?? payload?.created_at ?? null;
+  if (raw === null || raw === "") return null;
+  const n = Number(raw);
+  const date = Number.isFinite(n)
+    ? new Date(n < 1e12 ? n * 1000 : n)
+    : new Date(raw);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Is fromStatus → toStatus legal? No current status (first event) accepts any known event.
+function isValidTransition(fromStatus, toStatus) {
+  if (!Object.values(KYC_EVENT).includes(toStatus)) return false;
+  if (!fromStatus || !KYC_TRANSITIONS[fromStatus]) return true;
+  if (fromStatus === toStatus) return true;
+  return KYC_TRANSITIONS[fromStatus].includes(toStatus);
+}
+
+// Audit row for a refused status move; meta is left untouched
+async function recordRejectedTransition({
+  userId,
+  reference,
+  previousStatus,
+  newStatus,
+  source,
+  created_at,
+}) {
+  const { pk, sk, gsi_meta } = CONFIG.KEYS;
+
+  Logger.writeLog({
+    flag: CONFIG.LOG_FLAGS.status,
+    action: "transition_rejected",
+    message: "Illegal KYC status transition rejected",
+    data: { userId, reference, previousStatus, newStatus, source },
+  });
+
+  // "#rejected" keeps the sk distinct from a webhook row written in the same ms
+  await KycStore.putItem(CONFIG.TABLE, {
+    [pk]: `user_${userId}`,
+    [sk]: `${created_at}#rejected`,
+    [gsi_meta.pk]: reference,
+    [gsi_meta.sk]: created_at,
+    type: "status_change",
+    userId,
+    reference,
+    event: KYC_EVENT.VERIFICATION_STATUS_CHANGED,
+    previousStatus,
+    newStatus,
+    rejected: true,
+    source,
+    created_at,
+  });
+}
+
+// Copy of a row with PII replaced/dropped (keys, statuses and timestamps are kept)
+function erasePii(item, erased_at) {
+  const ERASED = "[erased]";
+  const out = { ...item, piiErasedAt: erased_at };
+
+  if (out.requestPayload) {
+    const req = { ...out.requestPayload };
+    if ("email" in req) req.email = ERASED;
+    if (req.document) {
+      req.document = {
+        ...eraseProofs(req.document, ERASED),
+        name: ERASED,
+        dob: ERASED,
+      };
+    }
+    if (req.face) req.face = eraseProofs(req.face, ERASED);
+    if (req.address) {
+      req.address = {
+        ...eraseProofs(req.address, ERASED),
+        full_address: ERASED,
+        name: ERASED,
+      };
+    }
+    if (req.background_checks) {
+      req.background_checks = {
+        ...req.background_checks,
+        name: ERASED,
+        dob: ERASED,
+      };
+    }
+    out.requestPayload = req;
+  }
+  for (const field of [
+    "responsePayload",
+    "webhookPayload",
+    "verificationData",
+    "hit",
+  ]) {
+    if (field in out) out[field] = null;
+  }
+  if (out.type === "aml_hit") out.hitName = null;
+
+  return out;
+}
+
+// Uploaded images (selfie, document / address scans): proof, backside_proof, ...
+function eraseProofs(block, ERASED) {
+  const out = { ...block };
+  for (const field of Object.keys(out)) {
+    if (/proof$/.test(field) && out[field]) out[field] = ERASED;
+  }
+  return out;
+}
+
+// Key ring from CONFIG.ENCRYPTION (no keys → encryption disabled, rows stay plaintext)
+function configureFieldCipher() {
+  FieldCipher.configure({
+    keys: CONFIG.ENCRYPTION?.KEYS ?? {},
+    activeKeyId: CONFIG.ENCRYPTION?.ACTIVE_KEY_ID ?? null,
+  });
+}
+
+// AAD binds each ciphertext to its row + field (no copy/paste between rows)
+function rowAad(item) {
+  const { pk, sk } = CONFIG.KEYS;
+  return (field) => `${item[pk]}|${item[sk]}|${field}`;
+}
+function encryptRow(item) {
+  return FieldCipher.encryptFields(
+    item,
+    CONFIG.ENCRYPTION?.FIELDS ?? [],
+    rowAad(item)
+  );
+}
+function decryptRow(item) {
+  if (!item || typeof item !== "object") return item;
+  return FieldCipher.decryptFields(
+    item,
+    CONFIG.ENCRYPTION?.FIELDS ?? [],
+    rowAad(item)
+  );
+}
+function decryptRows(items) {
+  return Array.isArray(items) ? items.map(decryptRow) : items;
+}
+
+// Every row grouped under a reference (GSI ppk = reference), oldest first
+function rowsByReference(reference) {
+  const { gsi_meta } = CONFIG.KEYS;
+  return KycStore.query(
+    CONFIG.TABLE,
+    ScyllaDb.expr.eq(gsi_meta.pk, reference),
+    {
+      IndexName: gsi_meta.name,
+    }
+  );
 }
 
 // prefer the “meta” row if it exists in a list
@@ -694,6 +1744,227 @@ function pickMeta(items) {
   return null;
 }
 
+// Per-user projection of the meta rows: validated flag, active + latest attempt.
+// No GSI keys, so it never shows up among a reference's rows.
+function summaryKey(userId) {
+  const { pk, sk } = CONFIG.KEYS;
+  return { [pk]: `user_${userId}`, [sk]: "summary" };
+}
+
+function emptySummary(userId) {
+  return {
+    ...summaryKey(userId),
+    type: "user_summary",
+    userId,
+    validated: false,
+    validatedReference: null,
+    validatedVerificationUrl: null,
+    activeReference: null,
+    activeStatus: null,
+    activeVerificationUrl: null,
+    latestReference: null,
+    latestStatus: null,
+    updatedAt: null,
+  };
+}
+
+// Fold one meta write into the summary
+function applyMetaToSummary(summary, meta) {
+  const { reference, status } = meta;
+  const verificationUrl = meta.verificationUrl ?? null;
+  const next = {
+    ...summary,
+    latestReference: reference,
+    latestStatus: status,
+    updatedAt: meta.lastEventAt ?? meta.created_at ?? null,
+  };
+
+  if (isValidatedMeta(meta)) {
+    next.validated = true;
+    next.validatedReference = reference;
+    next.validatedVerificationUrl = verificationUrl;
+  } else if (summary.validatedReference === reference) {
+    next.validated = false;
+    next.validatedReference = null;
+    next.validatedVerificationUrl = null;
+  }
+
+  if (ACTIVE_EVENTS.has(status)) {
+    next.activeReference = reference;
+    next.activeStatus = status;
+    next.activeVerificationUrl = verificationUrl;
+  } else if (summary.activeReference === reference) {
+    next.activeReference = null;
+    next.activeStatus = null;
+    next.activeVerificationUrl = null;
+  }
+  return next;
+}
+
+// Whole-table walks (reconcile, re-encrypt, sweep): segmented and throttled
+function tableScanOptions() {
+  return {
+    segments: CONFIG.SCAN_SEGMENTS,
+    maxCapacityPerSecond: CONFIG.SCAN_MAX_CAPACITY_PER_SECOND || null,
+  };
+}
+
+// ms, or an interval string like "2 hours" → ms
+function intervalMs(value) {
+  return typeof value === "number"
+    ? value
+    : Duration.fromObject(
+        DateTime.parseIntervalToDuration(String(value))
+      ).toMillis();
+}
+
+// Stamp the expiry for the row's type (counted from created_at), unless set
+function withRetention(item) {
+  const retention = CONFIG.RETENTION?.[item?.type];
+  const attribute = CONFIG.TTL_ATTRIBUTE;
+  if (retention == null || item[attribute] != null) return item;
+
+  const createdAt = Date.parse(item.created_at);
+  const from = Number.isNaN(createdAt) ? Date.now() : createdAt;
+  return {
+    ...item,
+    [attribute]: Math.floor((from + intervalMs(retention)) / 1000),
+  };
+}
+
+// Table TTL enabled on attribute? Backends without the TTL API count as "no"
+async function hasNativeTtl(attribute) {
+  try {
+    const ttl = await ScyllaDb.describeTimeToLive(CONFIG.TABLE);
+    return (
+      ttl?.TimeToLiveStatus === "ENABLED" && ttl.AttributeName === attribute
+    );
+  } catch (err) {
+    Logger.writeLog({
+      flag: CONFIG.LOG_FLAGS.error,
+      action: "ttl_unavailable",
+      message: "Could not read table TTL; sweeping instead",
+      data: { table: CONFIG.TABLE, error: String(err) },
+    });
+    return false;
+  }
+}
+
+function metaKey(reference) {
+  const { pk, sk } = CONFIG.KEYS;
+  return { [pk]: `meta_${reference}`, [sk]: "meta" };
+}
+
+function writeMeta(reference, build, extraOps) {
+  return writeVersioned(metaKey(reference), build, extraOps);
+}
+
+// Optimistic read-modify-write of one row: build(current) → next row (null = skip).
+// A concurrent writer bumps the version; we then re-read, rebuild and try again.
+// extraOps (transactWrite ops) commit in the same transaction.
+async function writeVersioned(key, build, extraOps = []) {
+  for (let attempt = 1; ; attempt++) {
+    const current = (await KycStore.getItem(CONFIG.TABLE, key)) || null;
+    const next = build(current);
+    if (!next) return null;
+
+    try {
+      await KycStore.transactWrite([
+        ...extraOps,
+        ...(await versionedWrites(next, current)),
+      ]);
+      return next;
+    } catch (err) {
+      if (
+        !(err instanceof ScyllaDb.ConditionalCheckFailedError) ||
+        attempt >= CONFIG.META_WRITE_ATTEMPTS
+      ) {
+        throw err;
+      }
+      Logger.writeLog({
+        flag: CONFIG.LOG_FLAGS.status,
+        action: "version_conflict",
+        message: "Concurrent meta write; retrying",
+        data: { key, attempt },
+      });
+    }
+  }
+}
+
+// The row itself plus, for KYC meta, the user's summary — committed together
+async function versionedWrites(next, current) {
+  const ops = [
+    {
+      table: CONFIG.TABLE,
+      action: "put",
+      item: next,
+      options: { ifVersion: current?.version ?? 0 },
+    },
+  ];
+  if (next.type === "meta") {
+    const summary = await loadUserSummary(next.userId, { persist: false });
+    ops.push({
+      table: CONFIG.TABLE,
+      action: "put",
+      item: applyMetaToSummary(summary, next),
+      options: { ifVersion: summary.version ?? 0 },
+    });
+  }
+  return ops;
+}
+
+// Summary row; users from before summaries existed get one rebuilt from their timeline
+// (persist: false when the caller writes the summary itself)
+async function loadUserSummary(userId, { persist = true } = {}) {
+  const stored = await KycStore.getItem(CONFIG.TABLE, summaryKey(userId));
+  if (stored) return stored;
+
+  const rebuilt = await rebuildUserSummary(userId);
+  // No attempts yet → nothing worth storing
+  if (!persist || !rebuilt.latestReference) return rebuilt;
+
+  try {
+    await KycStore.putItem(CONFIG.TABLE, rebuilt, { ifNotExists: true });
+  } catch (err) {
+    if (!(err instanceof ScyllaDb.ConditionalCheckFailedError)) throw err;
+    return (
+      (await KycStore.getItem(CONFIG.TABLE, summaryKey(userId))) || rebuilt
+    );
+  }
+  Logger.writeLog({
+    flag: CONFIG.LOG_FLAGS.status,
+    action: "summary_rebuilt",
+    message: "User summary rebuilt from timeline",
+    data: { userId, latestReference: rebuilt.latestReference },
+  });
+  return rebuilt;
+}
+
+// Replay every attempt's meta, oldest first
+async function rebuildUserSummary(userId) {
+  const { pk } = CONFIG.KEYS;
+  let summary = emptySummary(userId);
+
+  for await (const item of KycStore.queryIter(
+    CONFIG.TABLE,
+    ScyllaDb.expr.eq(pk, `user_${userId}`),
+    { Limit: 50 }
+  )) {
+    if (item.type !== "verification_request") continue;
+    const meta = await KycStore.getItem(CONFIG.TABLE, metaKey(item.reference));
+    summary = applyMetaToSummary(
+      summary,
+      meta || {
+        reference: item.reference,
+        status: item.event,
+        verificationUrl: item.verificationUrl,
+        created_at: item.created_at,
+      }
+    );
+  }
+  return summary;
+}
+
 // Local naive rate-limiter alert
 async function registerLocalRateAndMaybeAlert(contextLabel) {
   const now = Date.now();
@@ -714,7 +1985,7 @@ async function registerLocalRateAndMaybeAlert(contextLabel) {
       critical: true,
     });
     // Persist a system row for visibility
-    await ScyllaDb.putItem(CONFIG.TABLE, {
+    await KycStore.putItem(CONFIG.TABLE, {
       pk: "system_shufti",
       sk: new Date().toISOString(),
       ppk: "rate_limit",
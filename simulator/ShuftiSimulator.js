@@ -0,0 +1,357 @@
+import express from "express";
+import { promises as fs } from "fs";
+import { fileURLToPath } from "url";
+import { signatureFor } from "../helper/tinyHelper.js";
+import { KYC_EVENT } from "../constants/constants.js";
+
+let CONFIG = {
+  port: Number(process.env.SHUFTI_SIM_PORT) || 4010,
+  clientId: process.env.KYC_CLIENT_ID || "",
+  secretKey: process.env.KYC_SECRET_KEY || "",
+  callbackUrl: process.env.KYC_CALLBACK_URL || "", // used when the request has none
+  scenario: process.env.SHUFTI_SIM_SCENARIO || "accepted",
+  delayScale: Number(process.env.SHUFTI_SIM_DELAY_SCALE ?? 1), // 0 = fire immediately
+};
+
+const SESSIONS = new Map(); // reference → session
+const TIMERS = new Map(); // reference → pending callback timers
+const SCENARIOS = {}; // name → { description, callbacks }
+let SERVER = null;
+
+/**
+ * ShuftiSimulator - local stand-in for the Shufti Pro API
+ * - POST /        → create verification / background check session
+ * - POST /status  → latest status of a reference
+ * - POST /delete  → delete a reference
+ * Responses and callbacks are signed like Shufti (Signature header), and
+ * scripted callbacks from scenarios/*.json are POSTed to the callback URL.
+ */
+export default class ShuftiSimulator {
+  static SCENARIOS_DIR = fileURLToPath(
+    new URL("./scenarios/", import.meta.url)
+  );
+
+  /**
+   * Start the simulator → { port, url }
+   */
+  static async start(options = {}) {
+    if (SERVER) {
+      throw new Error("ShuftiSimulator: already running");
+    }
+    CONFIG = { ...CONFIG, ...options };
+    await ShuftiSimulator.loadScenarios(options.scenariosDir);
+    ShuftiSimulator.setScenario(CONFIG.scenario);
+
+    const app = ShuftiSimulator.createApp();
+    SERVER = await new Promise((resolve, reject) => {
+      const server = app.listen(CONFIG.port, () => resolve(server));
+      server.on("error", reject);
+    });
+
+    const { port } = SERVER.address();
+    const url = `http://localhost:${port}/`;
+    console.log("Shufti simulator listening", {
+      url,
+      scenario: CONFIG.scenario,
+    });
+    return { port, url };
+  }
+
+  /**
+   * Stop the server and cancel pending callbacks
+   */
+  static async stop() {
+    ShuftiSimulator.reset();
+    if (!SERVER) return;
+    await new Promise((resolve) => SERVER.close(resolve));
+    SERVER = null;
+  }
+
+  /**
+   * Forget all sessions and cancel pending callbacks
+   */
+  static reset() {
+    for (const reference of TIMERS.keys()) cancelCallbacks(reference);
+    SESSIONS.clear();
+  }
+
+  /**
+   * Load every scenario file in a directory (name = file name)
+   */
+  static async loadScenarios(dir = ShuftiSimulator.SCENARIOS_DIR) {
+    const files = (await fs.readdir(dir)).filter((f) => f.endsWith(".json"));
+    for (const file of files) {
+      const raw = await fs.readFile(
+        `${dir.replace(/\/?$/, "/")}${file}`,
+        "utf8"
+      );
+      const scenario = JSON.parse(raw);
+      if (!Array.isArray(scenario.callbacks)) {
+        throw new TypeError(`ShuftiSimulator: ${file} has no callbacks array`);
+      }
+      SCENARIOS[file.replace(/\.json$/, "")] = scenario;
+    }
+    return Object.keys(SCENARIOS);
+  }
+
+  /**
+   * Scenario used for sessions created from now on
+   */
+  static setScenario(name) {
+    if (!SCENARIOS[name]) {
+      throw new Error(`ShuftiSimulator: unknown scenario "${name}"`);
+    }
+    CONFIG.scenario = name;
+    return true;
+  }
+
+  /**
+   * Session state for a reference (null if unknown)
+   */
+  static getSession(reference) {
+    return SESSIONS.get(reference) ?? null;
+  }
+
+  /**
+   * All sessions, oldest first
+   */
+  static listSessions() {
+    return [...SESSIONS.values()];
+  }
+
+  /**
+   * Build the Express app (exported for tests that mount it themselves)
+   */
+  static createApp() {
+    const app = express();
+    app.use(express.json());
+
+    // Simulator controls (not part of the Shufti API)
+    app.get("/__simulator/sessions", (req, res) => {
+      res.json(ShuftiSimulator.listSessions());
+    });
+    app.post("/__simulator/scenario", (req, res) => {
+      try {
+        ShuftiSimulator.setScenario(req.body?.scenario);
+        res.json({ scenario: CONFIG.scenario });
+      } catch (err) {
+        res.status(400).json({ error: err.message });
+      }
+    });
+    app.post("/__simulator/reset", (req, res) => {
+      ShuftiSimulator.reset();
+      res.json({ ok: true });
+    });
+
+    app.use((req, res, next) => {
+      if (isAuthorized(req.get("Authorization"))) return next();
+      sendSigned(res, 401, {
+        event: KYC_EVENT.REQUEST_UNAUTHORIZED,
+        error: {
+          service: "",
+          key: "",
+          message: "Authorization keys are invalid",
+        },
+      });
+    });
+
+    app.post("/", (req, res) => {
+      const request = req.body ?? {};
+      const reference = request.reference;
+      if (!reference) {
+        return sendInvalid(
+          res,
+          null,
+          "reference",
+          "The reference field is required"
+        );
+      }
+      if (SESSIONS.has(reference)) {
+        return sendInvalid(
+          res,
+          reference,
+          "reference",
+          "The reference has already been taken"
+        );
+      }
+
+      const scenarioName = CONFIG.scenario;
+      const session = {
+        reference,
+        scenario: scenarioName,
+        request,
+        services: requestedServices(request),
+        callbackUrl: request.callback_url || CONFIG.callbackUrl,
+        status: { reference, event: KYC_EVENT.REQUEST_PENDING },
+        callbacks: [],
+        created_at: new Date().toISOString(),
+      };
+      SESSIONS.set(reference, session);
+
+      const verificationUrl = `http://localhost:${
+        req.socket.localPort
+      }/verify/${encodeURIComponent(reference)}`;
+      sendSigned(res, 200, {
+        reference,
+        event: KYC_EVENT.REQUEST_PENDING,
+        verification_url: verificationUrl,
+        email: request.email ?? null,
+        country: request.country ?? null,
+      });
+
+      scheduleCallbacks(session, SCENARIOS[scenarioName]);
+    });
+
+    app.post("/status", (req, res) => {
+      const session = SESSIONS.get(req.body?.reference);
+      if (!session) {
+        return sendInvalid(
+          res,
+          req.body?.reference,
+          "reference",
+          "The selected reference is invalid"
+        );
+      }
+      sendSigned(res, 200, session.status);
+    });
+
+    app.post("/delete", (req, res) => {
+      const session = SESSIONS.get(req.body?.reference);
+      if (!session) {
+        return sendInvalid(
+          res,
+          req.body?.reference,
+          "reference",
+          "The selected reference is invalid"
+        );
+      }
+      cancelCallbacks(session.reference);
+      session.deleted = { comment: req.body?.comment ?? null };
+      session.status = {
+        reference: session.reference,
+        event: KYC_EVENT.REQUEST_DELETED,
+      };
+      sendSigned(res, 200, session.status);
+    });
+
+    return app;
+  }
+}
+
+/* ============================================================
+ *  Module-private helpers
+ * ========================================================== */
+
+function isAuthorized(header) {
+  const { clientId, secretKey } = CONFIG;
+  const expected =
+    "Basic " +
+    Buffer.from(`${clientId}:${secretKey}`, "utf8").toString("base64");
+  return header === expected;
+}
+
+// JSON body + Shufti-style Signature header over the exact bytes sent
+function sendSigned(res, status, body) {
+  const raw = JSON.stringify(body);
+  res
+    .status(status)
+    .set("Content-Type", "application/json")
+    .set("Signature", signatureFor(raw, CONFIG.secretKey))
+    .send(raw);
+}
+
+function sendInvalid(res, reference, key, message) {
+  sendSigned(res, 400, {
+    reference: reference ?? null,
+    event: KYC_EVENT.REQUEST_INVALID,
+    error: { service: "", key, message },
+  });
+}
+
+function requestedServices(request) {
+  return ["document", "face", "address", "background_checks"].filter(
+    (service) => request[service]
+  );
+}
+
+// Fire scenario callbacks in order; each delayMs is relative to the previous
+function scheduleCallbacks(session, scenario) {
+  const timers = [];
+  let at = 0;
+  for (const step of scenario?.callbacks ?? []) {
+    at += Math.max(0, Number(step.delayMs) || 0) * CONFIG.delayScale;
+    timers.push(
+      setTimeout(() => {
+        deliverCallback(session, step).catch((err) =>
+          console.error("Shufti simulator callback failed", {
+            reference: session.reference,
+            event: step.event,
+            error: String(err),
+          })
+        );
+      }, at)
+    );
+  }
+  TIMERS.set(session.reference, timers);
+}
+
+function cancelCallbacks(reference) {
+  for (const timer of TIMERS.get(reference) ?? []) clearTimeout(timer);
+  TIMERS.delete(reference);
+}
+
+async function deliverCallback(session, step) {
+  const payload = buildCallbackPayload(session, step);
+  session.status = payload;
+
+  if (!session.callbackUrl) {
+    session.callbacks.push({ event: payload.event, delivered: false });
+    return;
+  }
+
+  const raw = JSON.stringify(payload);
+  const res = await fetch(session.callbackUrl, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Signature: signatureFor(raw, CONFIG.secretKey),
+    },
+    body: raw,
+  });
+  session.callbacks.push({
+    event: payload.event,
+    delivered: true,
+    status: res.status,
+  });
+}
+
+// Final verdicts get per-service results + echoed data unless the step sets them
+function buildCallbackPayload(session, step) {
+  const { delayMs, ...fields } = step;
+  const payload = {
+    reference: session.reference,
+    email: session.request.email ?? null,
+    country: session.request.country ?? null,
+    ...fields,
+  };
+
+  const verdict =
+    step.event === KYC_EVENT.VERIFICATION_ACCEPTED
+      ? 1
+      : step.event === KYC_EVENT.VERIFICATION_DECLINED
+        ? 0
+        : null;
+  if (verdict === null) return payload;
+
+  if (!payload.verification_result) {
+    payload.verification_result = Object.fromEntries(
+      session.services.map((service) => [service, verdict])
+    );
+  }
+  if (!payload.verification_data) {
+    payload.verification_data = Object.fromEntries(
+      session.services.map((service) => [service, session.request[service]])
+    );
+  }
+  return payload;
+}
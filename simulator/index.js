@@ -0,0 +1,19 @@
+// Before ShuftiSimulator.js, which reads its defaults from process.env at import
+import "dotenv/config";
+import ShuftiSimulator from "./ShuftiSimulator.js";
+
+// Usage: node simulator/index.js [accepted | declined | timeout | cancelled]
+async function run() {
+  const scenario = process.argv[2];
+  await ShuftiSimulator.start(scenario ? { scenario } : {});
+
+  process.on("SIGINT", async () => {
+    await ShuftiSimulator.stop();
+    process.exit(0);
+  });
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,15 @@
+import "dotenv/config";
+import ScyllaDb from "./utils/ScyllaDb.js";
+import ShuftiProKyc from "./service/ShuftiProKyc.js";
+
+// Usage: node sweepExpired.js [--force]
+// Deletes rows past their retention when the table has no native TTL.
+async function run() {
+  await ScyllaDb.loadTableConfigs("./tables.json");
+  const summary = await ShuftiProKyc.sweepExpired({
+    force: process.argv.includes("--force"),
+  });
+  console.log("Sweep summary:", summary);
+}
+
+run().catch(console.error);
@@ -0,0 +1,96 @@
+import { describe, test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import ShuftiProKyc from "../service/ShuftiProKyc.js";
+import FieldCipher from "../utils/FieldCipher.js";
+import { CONFIG as BASE_CONFIG, KYC_EVENT } from "../constants/constants.js";
+import {
+  setupKyc,
+  tableRows,
+  createSession,
+  mockShuftiResponse,
+} from "./helpers.js";
+
+const k1 = crypto.randomBytes(32).toString("base64");
+const k2 = crypto.randomBytes(32).toString("base64");
+
+const encryption = (KEYS, ACTIVE_KEY_ID) => ({
+  ENCRYPTION: { ...BASE_CONFIG.ENCRYPTION, KEYS, ACTIVE_KEY_ID },
+});
+
+beforeEach(() => setupKyc(encryption({ k1 }, "k1")));
+
+describe("field-level encryption", () => {
+  test("stores PII fields encrypted and reads them back in clear", async () => {
+    const { reference } = await createSession("e1");
+
+    const [stored] = await tableRows((r) => r.type === "verification_request");
+    assert.equal(stored.encKeyId, "k1");
+    assert.equal(FieldCipher.keyIdOf(stored.requestPayload), "k1");
+    assert.equal(stored.reference, reference); // keys/indexed fields stay clear
+
+    const record = await ShuftiProKyc.getRecordByReference(reference);
+    assert.equal(
+      record.verificationRequests[0].requestPayload.email,
+      "e1@example.com"
+    );
+  });
+
+  test("encrypts the name copied onto AML hit rows", async () => {
+    const { reference } = await createSession("e3");
+    mockShuftiResponse("", (request) => ({
+      reference: request.reference,
+      event: KYC_EVENT.VERIFICATION_DECLINED,
+      verification_data: {
+        background_checks: { aml_data: { hits: [{ name: "John Does" }] } },
+      },
+    }));
+    await ShuftiProKyc.createBackgroundCheck({
+      reference,
+      firstName: "John",
+      lastName: "Does",
+    });
+
+    const [stored] = await tableRows((r) => r.type === "aml_hit");
+    assert.ok(FieldCipher.isEncrypted(stored.hitName));
+    assert.equal(FieldCipher.keyIdOf(stored.hitName), "k1");
+
+    const record = await ShuftiProKyc.getRecordByReference(reference);
+    assert.equal(record.amlHits[0].hitName, "John Does");
+  });
+});
+
+describe("reencryptRows", () => {
+  test("rewrites rows under the active key after rotation", async () => {
+    const { reference } = await createSession("e2");
+
+    ShuftiProKyc.configure(encryption({ k1, k2 }, "k2"));
+    const summary = await ShuftiProKyc.reencryptRows();
+
+    assert.equal(summary.reencrypted, 1);
+    assert.equal(summary.skipped, 0);
+    const [stored] = await tableRows((r) => r.type === "verification_request");
+    assert.equal(stored.encKeyId, "k2");
+    assert.equal(FieldCipher.keyIdOf(stored.responsePayload), "k2");
+
+    const record = await ShuftiProKyc.getRecordByReference(reference);
+    assert.equal(
+      record.verificationRequests[0].responsePayload.reference,
+      reference
+    );
+
+    // Nothing left to do on a second pass
+    const again = await ShuftiProKyc.reencryptRows();
+    assert.equal(again.reencrypted, 0);
+  });
+
+  test("refuses to run without a key ring", async () => {
+    await setupKyc(encryption({}, null));
+    await createSession("e3");
+
+    await assert.rejects(
+      ShuftiProKyc.reencryptRows(),
+      /no encryption key ring is configured/
+    );
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import ShuftiProKyc from "../service/ShuftiProKyc.js";
+import ErrorHandler from "../utils/ErrorHandler.js";
+import { KYC_EVENT, FetchMode } from "../constants/constants.js";
+import {
+  setupKyc,
+  setFetchMode,
+  shuftiCalls,
+  tableRows,
+  createSession,
+} from "./helpers.js";
+
+beforeEach(() => setupKyc());
+
+const errorMessages = () =>
+  ErrorHandler.get_all_errors().map((error) => error.message);
+
+describe("createVerificationSession per FetchMode", () => {
+  test(FetchMode.HAPPY, async () => {
+    setFetchMode(FetchMode.HAPPY);
+    const { reference, verificationUrl } = await createSession("f1");
+
+    assert.equal(verificationUrl, `https://verify.example/${reference}`);
+    assert.deepEqual(errorMessages(), []);
+  });
+
+  test(FetchMode.NON_200, async () => {
+    setFetchMode(FetchMode.NON_200);
+    const { reference, verificationUrl } = await createSession("f2");
+
+    // The attempt is still stored, with Shufti's error event
+    assert.equal(verificationUrl, null);
+    const [meta] = await tableRows(
+      (r) => r.type === "meta" && r.reference === reference
+    );
+    assert.equal(meta.status, KYC_EVENT.REQUEST_INVALID);
+    assert.ok(errorMessages().includes("KYC response non-200"));
+  });
+
+  test(FetchMode.INVALID_JSON, async () => {
+    setFetchMode(FetchMode.INVALID_JSON);
+
+    await assert.rejects(createSession("f3"), SyntaxError);
+    assert.deepEqual(await tableRows(), []);
+    assert.ok(errorMessages().includes("KYC response invalid JSON"));
+  });
+
+  test(FetchMode.BAD_SIGNATURE, async () => {
+    // API responses are not signature-checked; only callbacks are
+    setFetchMode(FetchMode.BAD_SIGNATURE);
+    const { reference } = await createSession("f4");
+
+    assert.match(reference, /^ref-/);
+    assert.equal(shuftiCalls("").length, 1);
+  });
+
+  test(FetchMode.NETWORK_ERROR, async () => {
+    setFetchMode(FetchMode.NETWORK_ERROR);
+
+    await assert.rejects(createSession("f5"), /Simulated network failure/);
+    assert.deepEqual(await tableRows(), []);
+    assert.ok(
+      errorMessages().includes("KYC network error (createVerificationSession)")
+    );
+  });
+});
+
+describe("fetchStatus per FetchMode", () => {
+  test(`${FetchMode.INVALID_JSON} throws`, async () => {
+    setFetchMode(FetchMode.INVALID_JSON);
+    await assert.rejects(ShuftiProKyc.fetchStatus("ref-1"), SyntaxError);
+  });
+
+  test(`${FetchMode.NETWORK_ERROR} throws`, async () => {
+    setFetchMode(FetchMode.NETWORK_ERROR);
+    await assert.rejects(
+      ShuftiProKyc.fetchStatus("ref-1"),
+      /Simulated network failure/
+    );
+  });
+
+  test(`${FetchMode.NON_200} returns the error body`, async () => {
+    setFetchMode(FetchMode.NON_200);
+    const status = await ShuftiProKyc.fetchStatus("ref-1");
+    assert.equal(status.event, KYC_EVENT.REQUEST_INVALID);
+  });
+});
@@ -0,0 +1,168 @@
+import { fileURLToPath } from "url";
+import ShuftiProKyc from "../service/ShuftiProKyc.js";
+import ScyllaDb from "../utils/ScyllaDb.js";
+import ErrorHandler from "../utils/ErrorHandler.js";
+import { signatureFor } from "../helper/tinyHelper.js";
+import {
+  KYC_EVENT,
+  FetchMode,
+  CONFIG as BASE_CONFIG,
+} from "../constants/constants.js";
+
+export const SECRET_KEY = "secret_abc";
+export const API_URL = "https://api.shufti.test/";
+export const TABLE = BASE_CONFIG.TABLE;
+const TABLES_PATH = fileURLToPath(new URL("../tables.json", import.meta.url));
+
+// Mocked Shufti: current FetchMode, recorded calls, per-path response overrides
+const shufti = {
+  mode: FetchMode.HAPPY,
+  calls: [],
+  responses: {}, // path → body | (request) => body
+};
+
+/**
+ * Fresh in-memory table + configured service for one test
+ */
+export async function setupKyc(overrides = {}) {
+  ScyllaDb.configure({ driver: "memory" });
+  await ScyllaDb.loadTableConfigs(TABLES_PATH);
+  ShuftiProKyc.configure({
+    CLIENT_ID: "client_test",
+    SECRET_KEY,
+    API_URL,
+    CALLBACK_URL: "https://your.app/kyc/webhook",
+    REDIRECT_URL: "https://your.app/kyc/status",
+    TABLE,
+    ...overrides,
+  });
+  ErrorHandler.clear();
+  shufti.mode = FetchMode.HAPPY;
+  shufti.calls = [];
+  shufti.responses = {};
+  global.fetch = mockShuftiFetch;
+}
+
+export function setFetchMode(mode) {
+  shufti.mode = mode;
+}
+
+/**
+ * Override the mocked body for a Shufti path ("" = create, "status", "delete")
+ */
+export function mockShuftiResponse(path, body) {
+  shufti.responses[path] = body;
+}
+
+/**
+ * Requests the service sent to Shufti: [{ path, body, headers }]
+ */
+export function shuftiCalls(path = null) {
+  return path === null
+    ? shufti.calls
+    : shufti.calls.filter((call) => call.path === path);
+}
+
+/**
+ * Signed webhook delivery for handleWebhook
+ */
+export function signedWebhook(payload) {
+  const rawBodyString =
+    typeof payload === "string" ? payload : JSON.stringify(payload);
+  return {
+    rawBodyString,
+    signatureHeader: signatureFor(rawBodyString, SECRET_KEY),
+  };
+}
+
+/**
+ * Raw table rows as stored (no decryption)
+ */
+export async function tableRows(filter = () => true) {
+  return (await ScyllaDb.scan(TABLE)).filter(filter);
+}
+
+// Timeline rows are keyed on ISO ms; keep consecutive steps in distinct ms
+export async function nextMs() {
+  await new Promise((resolve) => setTimeout(resolve, 2));
+}
+
+export async function createSession(userId = "u123", extra = {}) {
+  await nextMs();
+  return ShuftiProKyc.createVerificationSession({
+    userId,
+    userEmail: `${userId}@example.com`,
+    appLocale: "en-AU",
+    userCountry: "AU",
+    documentConfig: { name: "John Does", dob: "1990-01-01" },
+    ...extra,
+  });
+}
+
+export async function deliverWebhook(payload) {
+  await nextMs();
+  return ShuftiProKyc.handleWebhook(signedWebhook(payload));
+}
+
+async function mockShuftiFetch(url, options = {}) {
+  if (shufti.mode === FetchMode.NETWORK_ERROR) {
+    throw new Error("Simulated network failure");
+  }
+
+  const path = String(url).slice(API_URL.length);
+  const request = JSON.parse(options.body || "{}");
+  shufti.calls.push({ path, body: request, headers: options.headers ?? {} });
+
+  let status = 200;
+  let rawBody;
+  switch (shufti.mode) {
+    case FetchMode.NON_200:
+      status = 400;
+      rawBody = JSON.stringify({
+        event: KYC_EVENT.REQUEST_INVALID,
+        error: "Bad request",
+      });
+      break;
+    case FetchMode.INVALID_JSON:
+      rawBody = "{ not-json";
+      break;
+    default: {
+      // HAPPY + BAD_SIGNATURE both send a JSON body
+      const override = shufti.responses[path];
+      const body =
+        typeof override === "function"
+          ? override(request)
+          : (override ?? defaultResponse(path, request));
+      rawBody = JSON.stringify(body);
+    }
+  }
+
+  const signature =
+    shufti.mode === FetchMode.BAD_SIGNATURE
+      ? "WRONG"
+      : signatureFor(rawBody, SECRET_KEY);
+
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    text: async () => rawBody,
+    headers: {
+      get: (k) => (k.toLowerCase() === "signature" ? signature : null),
+    },
+  };
+}
+
+function defaultResponse(path, request) {
+  switch (path) {
+    case "status":
+      return { reference: request.reference, event: KYC_EVENT.REQUEST_PENDING };
+    case "delete":
+      return { reference: request.reference, event: KYC_EVENT.REQUEST_DELETED };
+    default:
+      return {
+        reference: request.reference,
+        event: KYC_EVENT.REQUEST_PENDING,
+        verification_url: `https://verify.example/${request.reference}`,
+      };
+  }
+}
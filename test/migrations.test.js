@@ -0,0 +1,268 @@
+import { describe, test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import ScyllaDb from "../utils/ScyllaDb.js";
+import MemoryDriver from "../utils/MemoryDriver.js";
+import Migrations from "../utils/Migrations.js";
+import { CONFIG } from "../constants/constants.js";
+
+const TABLES_URL = new URL("../tables.json", import.meta.url);
+
+const FIXTURES = {
+  "001_create_events.js": `
+export async function up({ createTable }) {
+  await createTable({
+    TableName: "events",
+    KeySchema: [{ AttributeName: "pk", KeyType: "HASH" }],
+    AttributeDefinitions: [{ AttributeName: "pk", AttributeType: "S" }],
+    BillingMode: "PAY_PER_REQUEST",
+  });
+}
+export async function down({ deleteTable }) {
+  await deleteTable("events");
+}
+`,
+  "002_events_by_type.js": `
+export async function up({ addIndex, enableTtl }) {
+  await addIndex(
+    "events",
+    {
+      IndexName: "GSI_TYPE",
+      KeySchema: [{ AttributeName: "type", KeyType: "HASH" }],
+      Projection: { ProjectionType: "ALL" },
+    },
+    [{ AttributeName: "type", AttributeType: "S" }]
+  );
+  await enableTtl("events", "expires_at");
+}
+export async function down({ removeIndex, disableTtl }) {
+  await disableTtl("events", "expires_at");
+  await removeIndex("events", "GSI_TYPE");
+}
+`,
+};
+
+describe("schema migrations", () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "migrations-"));
+    for (const [file, source] of Object.entries(FIXTURES)) {
+      await fs.writeFile(path.join(dir, file), source);
+    }
+  });
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+    ScyllaDb.configure({ driver: "memory" });
+  });
+
+  beforeEach((t) => {
+    t.mock.method(console, "log", () => {});
+    ScyllaDb.configure({ driver: new MemoryDriver() });
+  });
+
+  test("up applies pending migrations in order and records them", async () => {
+    assert.deepEqual(
+      (await Migrations.status({ dir })).map((m) => m.applied),
+      [false, false]
+    );
+
+    const applied = await Migrations.up({ dir });
+    assert.deepEqual(applied, ["001_create_events", "002_events_by_type"]);
+
+    const { Table } = await ScyllaDb.describeTable("events");
+    assert.deepEqual(
+      Table.GlobalSecondaryIndexes.map((i) => i.IndexName),
+      ["GSI_TYPE"]
+    );
+    assert.deepEqual(await ScyllaDb.describeTimeToLive("events"), {
+      TimeToLiveStatus: "ENABLED",
+      AttributeName: "expires_at",
+    });
+
+    const status = await Migrations.status({ dir });
+    assert.ok(status.every((m) => m.applied && m.appliedAt && !m.changed));
+    assert.deepEqual(await Migrations.up({ dir }), []);
+  });
+
+  test("up stops at the requested migration", async () => {
+    assert.deepEqual(await Migrations.up({ dir, to: "001_create_events" }), [
+      "001_create_events",
+    ]);
+    assert.deepEqual(await Migrations.up({ dir }), ["002_events_by_type"]);
+    await assert.rejects(() => Migrations.up({ dir, to: "999_nope" }), {
+      message: /unknown migration/,
+    });
+  });
+
+  test("down reverts the newest migrations first", async () => {
+    await Migrations.up({ dir });
+
+    assert.deepEqual(await Migrations.down({ dir }), ["002_events_by_type"]);
+    const { Table } = await ScyllaDb.describeTable("events");
+    assert.deepEqual(Table.GlobalSecondaryIndexes ?? [], []);
+    assert.equal(
+      (await ScyllaDb.describeTimeToLive("events")).TimeToLiveStatus,
+      "DISABLED"
+    );
+
+    assert.deepEqual(await Migrations.down({ dir, steps: 5 }), [
+      "001_create_events",
+    ]);
+    await assert.rejects(() => ScyllaDb.describeTable("events"), {
+      awsType: /ResourceNotFoundException/,
+    });
+    assert.ok((await Migrations.status({ dir })).every((m) => !m.applied));
+  });
+
+  test("status flags migrations edited after they were applied", async () => {
+    await Migrations.up({ dir });
+    const file = path.join(dir, "002_events_by_type.js");
+    await fs.appendFile(file, "// edited\n");
+    try {
+      const status = await Migrations.status({ dir });
+      assert.deepEqual(
+        status.map((m) => m.changed),
+        [false, true]
+      );
+    } finally {
+      await fs.writeFile(file, FIXTURES["002_events_by_type.js"]);
+    }
+  });
+
+  test("a second runner is refused while the first holds the lock", async () => {
+    // Start another runner while the first is inside its first migration
+    const createTable = ScyllaDb.createTable;
+    let second;
+    ScyllaDb.createTable = async (schema) => {
+      if (schema.TableName === "events") {
+        ScyllaDb.createTable = createTable;
+        second = await Migrations.up({ dir }).catch((err) => err);
+      }
+      return createTable.call(ScyllaDb, schema);
+    };
+    let first;
+    try {
+      first = await Migrations.up({ dir });
+    } finally {
+      ScyllaDb.createTable = createTable;
+    }
+
+    assert.deepEqual(first, ["001_create_events", "002_events_by_type"]);
+    assert.match(second.message, /another runner holds the lock/);
+    assert.ok((await Migrations.status({ dir })).every((m) => m.applied));
+  });
+
+  test("a live lock blocks up; an expired one is taken over", async () => {
+    const lock = (lockedAt) =>
+      ScyllaDb.rawRequest("PutItem", {
+        TableName: Migrations.TABLE,
+        Item: ScyllaDb.marshalItem({
+          id: Migrations.LOCK_ID,
+          holder: "other",
+          lockedAt,
+        }),
+      });
+    await Migrations.up({ dir, to: "001_create_events" });
+
+    await lock(new Date().toISOString());
+    await assert.rejects(() => Migrations.up({ dir }), {
+      message: /another runner holds the lock/,
+    });
+    await assert.rejects(() => Migrations.down({ dir }), {
+      message: /another runner holds the lock/,
+    });
+
+    await lock(
+      new Date(Date.now() - Migrations.LOCK_TIMEOUT_MS - 1).toISOString()
+    );
+    assert.deepEqual(await Migrations.up({ dir }), ["002_events_by_type"]);
+    assert.deepEqual(
+      await ScyllaDb.scan(Migrations.TABLE).then((rows) =>
+        rows.map((r) => r.id).sort()
+      ),
+      ["001_create_events", "002_events_by_type"]
+    );
+  });
+
+  test("a failing migration is not recorded", async () => {
+    const failing = await fs.mkdtemp(path.join(os.tmpdir(), "migrations-"));
+    try {
+      await fs.copyFile(
+        path.join(dir, "001_create_events.js"),
+        path.join(failing, "001_create_events.js")
+      );
+      await fs.writeFile(
+        path.join(failing, "002_broken.js"),
+        `export async function up({ addIndex }) {
+  await addIndex("events", {
+    IndexName: "GSI_BAD",
+    KeySchema: [{ AttributeName: "undeclared", KeyType: "HASH" }],
+    Projection: { ProjectionType: "ALL" },
+  });
+}
+`
+      );
+
+      await assert.rejects(() => Migrations.up({ dir: failing }), {
+        awsType: /ValidationException/,
+      });
+      const status = await Migrations.status({ dir: failing });
+      assert.deepEqual(
+        status.map((m) => [m.id, m.applied]),
+        [
+          ["001_create_events", true],
+          ["002_broken", false],
+        ]
+      );
+    } finally {
+      await fs.rm(failing, { recursive: true, force: true });
+    }
+  });
+
+  test("the KYC migrations build the table from tables.json", async () => {
+    const schema = JSON.parse(await fs.readFile(TABLES_URL, "utf8"))[
+      CONFIG.TABLE
+    ];
+    await Migrations.up();
+
+    const { Table } = await ScyllaDb.describeTable(CONFIG.TABLE);
+    assert.deepEqual(Table.KeySchema, schema.KeySchema);
+    assert.deepEqual(
+      Table.GlobalSecondaryIndexes.map((i) => i.IndexName),
+      schema.GlobalSecondaryIndexes.map((i) => i.IndexName)
+    );
+    assert.equal(
+      (await ScyllaDb.describeTimeToLive(CONFIG.TABLE)).AttributeName,
+      CONFIG.TTL_ATTRIBUTE
+    );
+  });
+
+  test("the initial KYC migration cannot be reverted", async () => {
+    await ScyllaDb.loadTableConfigs(TABLES_URL.pathname);
+    await Migrations.up();
+    await ScyllaDb.putItem(CONFIG.TABLE, { pk: "a", sk: "b" });
+
+    await assert.rejects(() => Migrations.down({ steps: 2 }), {
+      message: /001_create_kyc_shufti cannot be reverted/,
+    });
+    assert.ok((await Migrations.status()).every((m) => m.applied));
+    assert.ok(await ScyllaDb.getItem(CONFIG.TABLE, { pk: "a", sk: "b" }));
+  });
+
+  test("the initial migration adopts an existing kyc_shufti table", async () => {
+    await ScyllaDb.loadTableConfigs(TABLES_URL.pathname);
+    await ScyllaDb.putItem("kyc_shufti", { pk: "a", sk: "b", v: 1 });
+
+    assert.deepEqual(await Migrations.up({ to: "001_create_kyc_shufti" }), [
+      "001_create_kyc_shufti",
+    ]);
+    assert.equal(
+      (await ScyllaDb.getItem("kyc_shufti", { pk: "a", sk: "b" })).v,
+      1
+    );
+  });
+});
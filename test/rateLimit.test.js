@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import ScyllaDb from "../utils/ScyllaDb.js";
+import { setupKyc, createSession, TABLE } from "./helpers.js";
+
+// The limiter window is process-wide, so this file holds a single test
+test("writes a rate_limit row for each new session over the per-minute limit", async () => {
+  await setupKyc({ PER_MINUTE_LIMIT: 3 });
+  const rateLimitRows = () =>
+    ScyllaDb.query(
+      TABLE,
+      "ppk = :ppk",
+      { ":ppk": "rate_limit" },
+      { IndexName: "GSI1" }
+    );
+
+  for (let i = 0; i < 3; i++) await createSession(`flood${i}`);
+  // Reused sessions never reach Shufti and are not counted
+  for (let i = 0; i < 3; i++) await createSession("flood0");
+  assert.deepEqual(await rateLimitRows(), []);
+
+  for (let i = 3; i < 5; i++) await createSession(`flood${i}`);
+
+  const rows = await rateLimitRows();
+  assert.equal(rows.length, 2);
+  for (const row of rows) {
+    assert.equal(row.pk, "system_shufti");
+    assert.equal(row.type, "rate_limit");
+    assert.equal(row.context, "createVerificationSession");
+  }
+  assert.deepEqual(
+    rows.map((row) => row.countInLastMinute),
+    [4, 5]
+  );
+});
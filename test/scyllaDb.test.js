@@ -0,0 +1,1110 @@
+import { describe, test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import ScyllaDb, { ConditionalCheckFailedError } from "../utils/ScyllaDb.js";
+import MemoryDriver from "../utils/MemoryDriver.js";
+import { fileURLToPath } from "url";
+import http from "http";
+
+const TABLE = "kyc_shufti";
+const TABLES_PATH = fileURLToPath(new URL("../tables.json", import.meta.url));
+
+describe("marshalling", () => {
+  test("marshalValue maps JS types to attribute values", () => {
+    assert.deepEqual(ScyllaDb.marshalValue("a"), { S: "a" });
+    assert.deepEqual(ScyllaDb.marshalValue(42), { N: "42" });
+    assert.deepEqual(ScyllaDb.marshalValue(1.5), { N: "1.5" });
+    assert.deepEqual(ScyllaDb.marshalValue(true), { BOOL: true });
+    assert.deepEqual(ScyllaDb.marshalValue(null), { NULL: true });
+    assert.deepEqual(ScyllaDb.marshalValue(undefined), { NULL: true });
+    assert.deepEqual(ScyllaDb.marshalValue([1, "x"]), {
+      L: [{ N: "1" }, { S: "x" }],
+    });
+    assert.deepEqual(ScyllaDb.marshalValue({ a: { b: false } }), {
+      M: { a: { M: { b: { BOOL: false } } } },
+    });
+  });
+
+  test("unmarshalItem reverses marshalItem", () => {
+    const item = {
+      pk: "user_1",
+      count: 3,
+      ratio: 0.25,
+      ok: false,
+      missing: null,
+      tags: ["a", 1],
+      nested: { deep: { list: [{ x: "y" }] } },
+    };
+    const marshalled = ScyllaDb.marshalItem(item);
+
+    assert.equal(ScyllaDb.isMarshalledItem(marshalled), true);
+    assert.equal(ScyllaDb.isMarshalledItem(item), false);
+    assert.deepEqual(ScyllaDb.unmarshalItem(marshalled), item);
+  });
+
+  test("marshalItem rejects non-objects", () => {
+    assert.throws(() => ScyllaDb.marshalItem(null), TypeError);
+    assert.throws(() => ScyllaDb.marshalItem("x"), TypeError);
+  });
+});
+
+describe("expression builder", () => {
+  test("renders conditions with name and value placeholders", () => {
+    const { expression, ExpressionAttributeNames, ExpressionAttributeValues } =
+      ScyllaDb.expr
+        .eq("ppk", "ref-1")
+        .and.beginsWith("sk", "2025")
+        .or.group((e) => e.exists("a.b[1]").or.not.in("status", ["x", "y"]))
+        .build();
+
+    assert.equal(
+      expression,
+      "#n0 = :v0 AND begins_with(#n1, :v1) OR " +
+        "(attribute_exists(#n2.#n3[1]) OR NOT #n4 IN (:v2, :v3))"
+    );
+    assert.deepEqual(ExpressionAttributeNames, {
+      "#n0": "ppk",
+      "#n1": "sk",
+      "#n2": "a",
+      "#n3": "b",
+      "#n4": "status",
+    });
+    assert.deepEqual(ExpressionAttributeValues, {
+      ":v0": "ref-1",
+      ":v1": "2025",
+      ":v2": "x",
+      ":v3": "y",
+    });
+  });
+
+  test("renders update and projection expressions", () => {
+    const update = ScyllaDb.expr
+      .set("status", "ok")
+      .increment("hits")
+      .append("tags", ["t"])
+      .remove("note", "tmp")
+      .add("score", 2)
+      .build("update");
+    assert.equal(
+      update.expression,
+      "SET #n0 = :v0, #n1 = if_not_exists(#n1, :v1) + :v2, " +
+        "#n2 = list_append(if_not_exists(#n2, :v3), :v4) " +
+        "REMOVE #n3, #n4 ADD #n5 :v5"
+    );
+
+    const projection = ScyllaDb.expr
+      .project("pk", "status")
+      .build("projection");
+    assert.equal(projection.expression, "#n0, #n1");
+    assert.deepEqual(projection.ExpressionAttributeValues, {});
+  });
+
+  test("rejects undefined values and malformed paths", () => {
+    assert.throws(() => ScyllaDb.expr.eq("a", undefined), TypeError);
+    assert.throws(() => ScyllaDb.expr.eq("a..b", 1), TypeError);
+    assert.throws(() => ScyllaDb.expr.in("a", []), TypeError);
+    assert.throws(() => ScyllaDb.expr.build(), /no conditions/);
+  });
+});
+
+describe("memory driver", () => {
+  beforeEach(async () => {
+    ScyllaDb.configure({ driver: "memory" });
+    await ScyllaDb.loadTableConfigs(TABLES_PATH);
+  });
+
+  test("derives PK/SK from the tables.json KeySchema", async () => {
+    const schema = ScyllaDb.getSchemaFromConfig(TABLE);
+    assert.equal(schema.PK, "pk");
+    assert.equal(schema.SK, "sk");
+    assert.throws(
+      () => ScyllaDb.validateKeys(TABLE, { pk: "a" }),
+      /Missing required key attribute\(s\): sk/
+    );
+    await assert.rejects(ScyllaDb.putItem(TABLE, { pk: "a" }), /sk/);
+  });
+
+  test("putItem / getItem / updateItem / deleteItem round-trip", async () => {
+    const key = { pk: "a", sk: "1" };
+    await ScyllaDb.putItem(TABLE, { ...key, n: 1, tags: ["x"] });
+    assert.deepEqual(await ScyllaDb.getItem(TABLE, key), {
+      ...key,
+      n: 1,
+      tags: ["x"],
+    });
+
+    const updated = await ScyllaDb.updateItem(TABLE, key, { n: 2, s: "y" });
+    assert.deepEqual(updated, { ...key, n: 2, tags: ["x"], s: "y" });
+
+    await ScyllaDb.deleteItem(TABLE, key);
+    assert.equal(await ScyllaDb.getItem(TABLE, key), false);
+  });
+
+  test("putItem reports inserted vs updated with trackChange", async () => {
+    const item = { pk: "a", sk: "1" };
+    assert.equal(await ScyllaDb.putItem(TABLE, item, {}, true), "inserted");
+    assert.equal(await ScyllaDb.putItem(TABLE, item, {}, true), "updated");
+  });
+
+  test("conditional put fails with ConditionalCheckFailedException", async () => {
+    const item = { pk: "a", sk: "1" };
+    const options = { ConditionExpression: "attribute_not_exists(pk)" };
+    await ScyllaDb.putItem(TABLE, item, options);
+
+    await assert.rejects(ScyllaDb.putItem(TABLE, item, options), (err) => {
+      assert.match(err.awsType, /ConditionalCheckFailedException$/);
+      assert.equal(err.httpStatus, 400);
+      return true;
+    });
+  });
+
+  test("ifNotExists / ifVersion guard puts and bump the version", async () => {
+    const key = { pk: "v", sk: "1" };
+    await ScyllaDb.putItem(TABLE, { ...key, n: 1 }, { ifNotExists: true });
+    assert.equal((await ScyllaDb.getItem(TABLE, key)).version, 1);
+
+    await assert.rejects(
+      ScyllaDb.putItem(TABLE, { ...key, n: 2 }, { ifNotExists: true }),
+      (err) => {
+        assert.ok(err instanceof ConditionalCheckFailedError);
+        assert.match(err.awsType, /ConditionalCheckFailedException$/);
+        return true;
+      }
+    );
+
+    await ScyllaDb.putItem(TABLE, { ...key, n: 2 }, { ifVersion: 1 });
+    await assert.rejects(
+      ScyllaDb.putItem(TABLE, { ...key, n: 3 }, { ifVersion: 1 }),
+      ConditionalCheckFailedError
+    );
+    assert.deepEqual(await ScyllaDb.getItem(TABLE, key), {
+      ...key,
+      n: 2,
+      version: 2,
+    });
+
+    // 0 = not versioned yet: matches a missing item or one without a version
+    await ScyllaDb.putItem(TABLE, { pk: "v", sk: "2" });
+    await ScyllaDb.putItem(TABLE, { pk: "v", sk: "2" }, { ifVersion: 0 });
+    await assert.rejects(
+      ScyllaDb.putItem(TABLE, { pk: "v", sk: "2" }, { ifVersion: 0 }),
+      ConditionalCheckFailedError
+    );
+    await assert.rejects(
+      ScyllaDb.putItem(TABLE, key, { ifVersion: -1 }),
+      TypeError
+    );
+  });
+
+  test("updateItem honours ifVersion and keeps raw conditions working", async () => {
+    const key = { pk: "v", sk: "1" };
+    await ScyllaDb.putItem(TABLE, { ...key, n: 1 }, { ifNotExists: true });
+
+    const updated = await ScyllaDb.updateItem(
+      TABLE,
+      key,
+      { n: 2, version: 99 },
+      { ifVersion: 1 }
+    );
+    assert.equal(updated.n, 2);
+    assert.equal(updated.version, 2);
+    await assert.rejects(
+      ScyllaDb.updateItem(TABLE, key, { n: 3 }, { ifVersion: 1 }),
+      ConditionalCheckFailedError
+    );
+
+    // Raw ConditionExpression failures are typed too, and AND-ed with guards
+    await assert.rejects(
+      ScyllaDb.putItem(
+        TABLE,
+        { ...key, n: 4 },
+        {
+          ifVersion: 2,
+          ConditionExpression: "n = :n",
+          ExpressionAttributeValues: ScyllaDb.marshalItem({ ":n": 1 }),
+        }
+      ),
+      ConditionalCheckFailedError
+    );
+  });
+
+  test("query honours key conditions, GSI order and filters", async () => {
+    for (const [sk, created_at, n] of [
+      ["1", "2024-01-03", 1],
+      ["2", "2024-01-01", 2],
+      ["3", "2024-01-02", 3],
+    ]) {
+      await ScyllaDb.putItem(TABLE, { pk: "u", sk, ppk: "ref", created_at, n });
+    }
+    await ScyllaDb.putItem(TABLE, { pk: "other", sk: "1", n: 9 });
+
+    const byPk = await ScyllaDb.query(TABLE, "pk = :pk AND sk >= :sk", {
+      ":pk": "u",
+      ":sk": "2",
+    });
+    assert.deepEqual(
+      byPk.map((it) => it.sk),
+      ["2", "3"]
+    );
+
+    const byGsi = await ScyllaDb.query(
+      TABLE,
+      "ppk = :ref",
+      { ":ref": "ref" },
+      { IndexName: "GSI1" }
+    );
+    assert.deepEqual(
+      byGsi.map((it) => it.created_at),
+      ["2024-01-01", "2024-01-02", "2024-01-03"]
+    );
+
+    const filtered = await ScyllaDb.query(
+      TABLE,
+      "pk = :pk",
+      { ":pk": "u" },
+      {
+        FilterExpression: "#n IN (:a, :b)",
+        ExpressionAttributeNames: { "#n": "n" },
+        ExpressionAttributeValues: { ":a": 1, ":b": 3 },
+      }
+    );
+    assert.deepEqual(
+      filtered.map((it) => it.n),
+      [1, 3]
+    );
+  });
+
+  test("query and scan follow LastEvaluatedKey across pages", async () => {
+    for (let i = 0; i < 7; i++) {
+      await ScyllaDb.putItem(TABLE, { pk: "p", sk: `s${i}` });
+    }
+
+    const queried = await ScyllaDb.query(
+      TABLE,
+      "pk = :pk",
+      { ":pk": "p" },
+      { Limit: 3 }
+    );
+    assert.equal(queried.length, 7);
+
+    const scanned = await ScyllaDb.scan(TABLE, { Limit: 2 });
+    assert.equal(scanned.length, 7);
+  });
+
+  test("accepts Expressions for key, filter, projection, update and condition", async () => {
+    for (const [sk, status] of [
+      ["2025-01", "a"],
+      ["2025-02", "b"],
+      ["2024-12", "a"],
+    ]) {
+      await ScyllaDb.putItem(TABLE, { pk: "e", sk, status, n: 1 });
+    }
+
+    const rows = await ScyllaDb.query(
+      TABLE,
+      ScyllaDb.expr.eq("pk", "e").and.beginsWith("sk", "2025"),
+      {
+        FilterExpression: ScyllaDb.expr.eq("status", "a"),
+        ProjectionExpression: ScyllaDb.expr.project("sk", "status"),
+      }
+    );
+    assert.deepEqual(rows, [{ sk: "2025-01", status: "a" }]);
+
+    // Mixed with hand-written placeholders, which are left alone
+    const mixed = await ScyllaDb.query(
+      TABLE,
+      "pk = :v0",
+      { ":v0": "e" },
+      { FilterExpression: ScyllaDb.expr.ne("status", "a") }
+    );
+    assert.deepEqual(
+      mixed.map((it) => it.sk),
+      ["2025-02"]
+    );
+
+    const scanned = await ScyllaDb.scan(TABLE, {
+      FilterExpression: ScyllaDb.expr.between("sk", "2024-12", "2025-01"),
+    });
+    assert.equal(scanned.length, 2);
+
+    const key = { pk: "e", sk: "2025-01" };
+    const updated = await ScyllaDb.updateItem(
+      TABLE,
+      key,
+      ScyllaDb.expr.increment("n", 4).append("log", ["x"]).remove("status")
+    );
+    assert.deepEqual(updated, { ...key, n: 5, log: ["x"] });
+
+    await assert.rejects(
+      ScyllaDb.putItem(TABLE, key, {
+        ConditionExpression: ScyllaDb.expr.gt("n", 5),
+      }),
+      ConditionalCheckFailedError
+    );
+    await ScyllaDb.deleteItem(TABLE, key, {
+      ConditionExpression: ScyllaDb.expr.eq("n", 5),
+    });
+    assert.equal(await ScyllaDb.getItem(TABLE, key), false);
+  });
+
+  test("paginate returns one page and a cursor that resumes", async () => {
+    for (let i = 0; i < 5; i++) {
+      await ScyllaDb.putItem(TABLE, { pk: "p", sk: `s${i}` });
+    }
+    const page = (cursor) =>
+      ScyllaDb.query(
+        TABLE,
+        "pk = :pk",
+        { ":pk": "p" },
+        { Limit: 2, paginate: true, cursor }
+      );
+
+    const first = await page();
+    assert.deepEqual(
+      first.items.map((it) => it.sk),
+      ["s0", "s1"]
+    );
+    assert.equal(typeof first.nextCursor, "string");
+
+    const second = await page(first.nextCursor);
+    assert.deepEqual(
+      second.items.map((it) => it.sk),
+      ["s2", "s3"]
+    );
+
+    const last = await page(second.nextCursor);
+    assert.deepEqual(
+      last.items.map((it) => it.sk),
+      ["s4"]
+    );
+    assert.equal(last.nextCursor, null);
+
+    const scanned = await ScyllaDb.scan(TABLE, { Limit: 10, paginate: true });
+    assert.equal(scanned.items.length, 5);
+    assert.equal(scanned.nextCursor, null);
+  });
+
+  test("rejects a malformed cursor", async () => {
+    assert.equal(ScyllaDb.encodeCursor(null), null);
+    assert.throws(() => ScyllaDb.decodeCursor("not-a-cursor"), TypeError);
+    await assert.rejects(
+      ScyllaDb.scan(TABLE, { paginate: true, cursor: "e30" }),
+      /Invalid pagination cursor/
+    );
+  });
+
+  test("queryIter / scanIter stream across pages and stop early", async () => {
+    for (let i = 0; i < 5; i++) {
+      await ScyllaDb.putItem(TABLE, { pk: "p", sk: `s${i}` });
+    }
+
+    const newestFirst = [];
+    for await (const item of ScyllaDb.queryIter(
+      TABLE,
+      "pk = :pk",
+      { ":pk": "p" },
+      { Limit: 2, ScanIndexForward: false }
+    )) {
+      newestFirst.push(item.sk);
+    }
+    assert.deepEqual(newestFirst, ["s4", "s3", "s2", "s1", "s0"]);
+
+    let seen = 0;
+    for await (const item of ScyllaDb.scanIter(TABLE, { Limit: 1 })) {
+      seen++;
+      if (item.sk === "s1") break;
+    }
+    assert.equal(seen, 2);
+  });
+
+  test("batchWriteItem and batchGetItem", async () => {
+    const items = [1, 2, 3].map((i) => ({ pk: "b", sk: String(i), i }));
+    await ScyllaDb.batchWriteItem(TABLE, items);
+
+    const got = await ScyllaDb.batchGetItem(TABLE, [
+      { pk: "b", sk: "1" },
+      { pk: "b", sk: "3" },
+      { pk: "b", sk: "9" },
+    ]);
+    assert.deepEqual(
+      got.map((it) => it?.i ?? null),
+      [1, 3, null]
+    );
+  });
+
+  test("parallelScan visits every item once across segments", async () => {
+    for (let i = 0; i < 30; i++) {
+      await ScyllaDb.putItem(TABLE, { pk: `p${i % 10}`, sk: String(i), i });
+    }
+
+    const seen = [];
+    const segmentsSeen = new Set();
+    const stats = await ScyllaDb.parallelScan(TABLE, {
+      segments: 3,
+      concurrency: 2,
+      Limit: 4,
+      filter: ScyllaDb.expr.lt("i", 20),
+      onPage: async (items, { segment }) => {
+        segmentsSeen.add(segment);
+        seen.push(...items.map((it) => it.i));
+      },
+    });
+
+    assert.deepEqual(
+      seen.sort((a, b) => a - b),
+      Array.from({ length: 20 }, (_, i) => i)
+    );
+    assert.deepEqual([...segmentsSeen].sort(), [0, 1, 2]);
+    assert.equal(stats.count, 20);
+    assert.equal(stats.scannedCount, 30);
+    assert.ok(stats.pages >= 9);
+    assert.ok(stats.consumedCapacity >= stats.pages * 0.5);
+    await assert.rejects(
+      ScyllaDb.parallelScan(TABLE, { segments: 2 }),
+      /onPage callback is required/
+    );
+  });
+
+  test("parallelScan throttles on consumed capacity", async () => {
+    for (let i = 0; i < 6; i++) {
+      await ScyllaDb.putItem(TABLE, { pk: "p", sk: String(i) });
+    }
+
+    // 6 pages x 0.5 units at 2 units/s: 4 fit the initial budget, the 5th
+    // starts at ~0 and the 6th has to wait for its debt (250 ms) to refill
+    const started = Date.now();
+    const stats = await ScyllaDb.parallelScan(TABLE, {
+      segments: 1,
+      Limit: 1,
+      maxCapacityPerSecond: 2,
+      onPage: () => {},
+    });
+    assert.ok(stats.pages >= 6);
+    assert.ok(Date.now() - started >= 200);
+  });
+
+  test("batch operations split into request-sized chunks", async () => {
+    const sizes = [];
+    const request = ScyllaDb.request;
+    ScyllaDb.request = (target, payload, ...rest) => {
+      const [entry] = Object.values(payload.RequestItems);
+      sizes.push([target, (entry.Keys ?? entry).length]);
+      return request.call(ScyllaDb, target, payload, ...rest);
+    };
+    let report;
+    let got;
+    try {
+      const items = Array.from({ length: 60 }, (_, i) => ({
+        pk: "b",
+        sk: String(i).padStart(3, "0"),
+        i,
+      }));
+      report = await ScyllaDb.batchWriteItem(TABLE, items, { concurrency: 2 });
+      got = await ScyllaDb.batchGetItem(
+        TABLE,
+        Array.from({ length: 150 }, (_, i) => ({
+          pk: "b",
+          sk: String(149 - i).padStart(3, "0"),
+        }))
+      );
+    } finally {
+      ScyllaDb.request = request;
+    }
+
+    assert.deepEqual(sizes, [
+      ["BatchWriteItem", 25],
+      ["BatchWriteItem", 25],
+      ["BatchWriteItem", 10],
+      ["BatchGetItem", 100],
+      ["BatchGetItem", 50],
+    ]);
+    assert.equal(report.inserted.length, 60);
+    assert.deepEqual(report.failures, []);
+    assert.deepEqual(
+      got.slice(88, 92).map((it) => it?.i ?? null),
+      [null, null, 59, 58]
+    );
+  });
+
+  test("transactWrite applies every operation", async () => {
+    await ScyllaDb.transactWrite([
+      { table: TABLE, action: "put", item: { pk: "t", sk: "1" } },
+      { table: TABLE, action: "put", item: { pk: "t", sk: "2" } },
+    ]);
+    const rows = await ScyllaDb.query(TABLE, "pk = :pk", { ":pk": "t" });
+    assert.equal(rows.length, 2);
+  });
+
+  test("transactWrite passes options and rethrows version conflicts", async () => {
+    await ScyllaDb.putItem(TABLE, { pk: "t", sk: "1" }, { ifNotExists: true });
+
+    await assert.rejects(
+      ScyllaDb.transactWrite([
+        {
+          table: TABLE,
+          action: "put",
+          item: { pk: "t", sk: "1" },
+          options: { ifNotExists: true },
+        },
+      ]),
+      ConditionalCheckFailedError
+    );
+  });
+
+  test("transactWrite commits nothing when a condition fails", async () => {
+    await ScyllaDb.putItem(TABLE, { pk: "t", sk: "1", n: 1 }, { ifVersion: 0 });
+
+    await assert.rejects(
+      ScyllaDb.transactWrite([
+        { table: TABLE, action: "put", item: { pk: "t", sk: "2" } },
+        {
+          table: TABLE,
+          action: "update",
+          key: { pk: "t", sk: "1" },
+          data: { n: 2 },
+          options: { ifVersion: 7 },
+        },
+        {
+          table: TABLE,
+          action: "check",
+          key: { pk: "t", sk: "3" },
+          options: { ifNotExists: true },
+        },
+      ]),
+      (err) =>
+        err instanceof ConditionalCheckFailedError &&
+        err.cancellationReasons.map((r) => r.Code).join() ===
+          "None,ConditionalCheckFailed,None"
+    );
+    assert.equal(await ScyllaDb.getItem(TABLE, { pk: "t", sk: "2" }), false);
+    assert.equal((await ScyllaDb.getItem(TABLE, { pk: "t", sk: "1" })).n, 1);
+  });
+
+  test("transactWrite check ops assert without writing", async () => {
+    await ScyllaDb.transactWrite([
+      { table: TABLE, action: "put", item: { pk: "t", sk: "2" } },
+      {
+        table: TABLE,
+        action: "check",
+        key: { pk: "t", sk: "1" },
+        options: { ifNotExists: true },
+      },
+    ]);
+    assert.equal(await ScyllaDb.getItem(TABLE, { pk: "t", sk: "1" }), false);
+    assert.ok(await ScyllaDb.getItem(TABLE, { pk: "t", sk: "2" }));
+
+    await assert.rejects(
+      ScyllaDb.transactWrite([
+        { table: TABLE, action: "check", key: { pk: "t", sk: "2" } },
+      ]),
+      /Check operation requires a condition/
+    );
+    await assert.rejects(
+      ScyllaDb.transactWrite([
+        { table: TABLE, action: "put", item: { pk: "t", sk: "2" } },
+        { table: TABLE, action: "delete", key: { pk: "t", sk: "2" } },
+      ]),
+      /multiple operations on one item/
+    );
+  });
+
+  test("enabled TTL hides and drops expired items", async () => {
+    const now = Math.floor(Date.now() / 1000);
+    await ScyllaDb.putItem(TABLE, { pk: "t", sk: "old", expires_at: now - 1 });
+    await ScyllaDb.putItem(TABLE, { pk: "t", sk: "new", expires_at: now + 60 });
+    await ScyllaDb.putItem(TABLE, { pk: "t", sk: "kept" });
+    assert.equal((await ScyllaDb.scan(TABLE)).length, 3);
+
+    await ScyllaDb.updateTimeToLive(TABLE, "expires_at");
+    assert.equal(await ScyllaDb.getItem(TABLE, { pk: "t", sk: "old" }), false);
+    assert.deepEqual((await ScyllaDb.scan(TABLE)).map((r) => r.sk).sort(), [
+      "kept",
+      "new",
+    ]);
+    const { Table } = await ScyllaDb.describeTable(TABLE);
+    assert.equal(Table.ItemCount, 2);
+  });
+
+  test("unknown tables fail like Alternator", async () => {
+    await assert.rejects(ScyllaDb.describeTable("nope"), (err) =>
+      err.awsType.endsWith("ResourceNotFoundException")
+    );
+  });
+
+  test("switching driver starts from an empty store", async () => {
+    await ScyllaDb.putItem(TABLE, { pk: "a", sk: "1" });
+    ScyllaDb.configure({ driver: "memory" });
+    await ScyllaDb.loadTableConfigs(TABLES_PATH);
+    assert.deepEqual(await ScyllaDb.scan(TABLE), []);
+  });
+});
+
+describe("transactWrite without TransactWriteItems", () => {
+  const sk = "2024-05-01T10:00:00.000Z"; // ":" in keys must survive rollback
+  let targets;
+
+  beforeEach(async () => {
+    targets = [];
+    ScyllaDb.configure({ driver: new NoTransactionsDriver(targets) });
+    await ScyllaDb.loadTableConfigs(TABLES_PATH);
+  });
+
+  test("falls back once and applies every operation", async () => {
+    await ScyllaDb.transactWrite([
+      { table: TABLE, action: "put", item: { pk: "t", sk } },
+    ]);
+    await ScyllaDb.transactWrite([
+      {
+        table: TABLE,
+        action: "update",
+        key: { pk: "t", sk },
+        data: { n: 1 },
+      },
+    ]);
+
+    assert.equal((await ScyllaDb.getItem(TABLE, { pk: "t", sk })).n, 1);
+    assert.equal(targets.filter((t) => t === "TransactWriteItems").length, 1);
+  });
+
+  test("undoes applied writes when a later one fails", async () => {
+    await ScyllaDb.putItem(TABLE, { pk: "t", sk, n: 1 }, { ifVersion: 0 });
+    await ScyllaDb.putItem(TABLE, { pk: "gone", sk: "1" });
+
+    await assert.rejects(
+      ScyllaDb.transactWrite([
+        {
+          table: TABLE,
+          action: "put",
+          item: { pk: "t", sk, n: 2 },
+          options: { ifVersion: 1 },
+        },
+        { table: TABLE, action: "put", item: { pk: "new", sk } },
+        { table: TABLE, action: "delete", key: { pk: "gone", sk: "1" } },
+        {
+          table: TABLE,
+          action: "check",
+          key: { pk: "other", sk: "1" },
+          options: { ifVersion: 3 },
+        },
+      ]),
+      ConditionalCheckFailedError
+    );
+
+    const rows = await ScyllaDb.scan(TABLE);
+    assert.deepEqual(
+      rows.map((r) => [r.pk, r.n ?? null, r.version ?? null]).sort(),
+      [
+        ["gone", null, null],
+        ["t", 1, 1],
+      ]
+    );
+  });
+
+  test("check ops write nothing, so a concurrent writer is kept", async () => {
+    await ScyllaDb.putItem(TABLE, { pk: "c", sk: "1", n: 1 });
+
+    // Another client writes each checked row right after we read it
+    const request = ScyllaDb.request;
+    ScyllaDb.request = async (target, payload, ...rest) => {
+      const res = await request.call(ScyllaDb, target, payload, ...rest);
+      if (target === "GetItem" && payload.Key.pk.S === "c") {
+        const key = ScyllaDb.unmarshalItem(payload.Key);
+        await request.call(
+          ScyllaDb,
+          "PutItem",
+          { TableName: TABLE, Item: ScyllaDb.marshalItem({ ...key, n: 2 }) },
+          ...rest
+        );
+      }
+      return res;
+    };
+    try {
+      await ScyllaDb.transactWrite([
+        { table: TABLE, action: "put", item: { pk: "t", sk } },
+        {
+          table: TABLE,
+          action: "check",
+          key: { pk: "c", sk: "1" },
+          options: { ConditionExpression: ScyllaDb.expr.eq("n", 1) },
+        },
+        {
+          table: TABLE,
+          action: "check",
+          key: { pk: "c", sk: "2" },
+          options: { ifNotExists: true },
+        },
+      ]);
+    } finally {
+      ScyllaDb.request = request;
+    }
+
+    assert.equal((await ScyllaDb.getItem(TABLE, { pk: "c", sk: "1" })).n, 2);
+    assert.equal((await ScyllaDb.getItem(TABLE, { pk: "c", sk: "2" })).n, 2);
+    assert.ok(await ScyllaDb.getItem(TABLE, { pk: "t", sk }));
+  });
+
+  test("native mode does not fall back", async () => {
+    ScyllaDb.configure({ transactions: "native" });
+    try {
+      await assert.rejects(
+        ScyllaDb.transactWrite([
+          { table: TABLE, action: "put", item: { pk: "t", sk } },
+        ]),
+        /UnknownOperationException/
+      );
+    } finally {
+      ScyllaDb.configure({ transactions: "auto" });
+    }
+  });
+});
+
+describe("batch retries", () => {
+  beforeEach(async () => {
+    ScyllaDb.configure({ driver: new ThrottledBatchDriver() });
+    await ScyllaDb.loadTableConfigs(TABLES_PATH);
+  });
+
+  test("retries unprocessed items and reports the ones that never land", async () => {
+    const items = ["a", "b", "stuck", "c"].map((pk) => ({ pk, sk: "1" }));
+    const report = await ScyllaDb.batchWriteItem(TABLE, items, {
+      retries: 2,
+      backoff: 1,
+    });
+
+    assert.deepEqual(report.inserted, ["item_0", "item_1", "item_3"]);
+    assert.deepEqual(report.failed, ["item_2"]);
+    assert.deepEqual(report.failures, [
+      { id: "item_2", item: items[2], reason: "unprocessed after retries" },
+    ]);
+    assert.equal(report.unprocessed.length, 1);
+    assert.deepEqual((await ScyllaDb.scan(TABLE)).map((r) => r.pk).sort(), [
+      "a",
+      "b",
+      "c",
+    ]);
+  });
+
+  test("batchDeleteItem retries unprocessed keys and reports the rest", async () => {
+    for (const pk of ["a", "b", "stuck", "c"]) {
+      await ScyllaDb.putItem(TABLE, { pk, sk: "1" });
+    }
+    const keys = ["a", "b", "stuck"].map((pk) => ({ pk, sk: "1" }));
+    const report = await ScyllaDb.batchDeleteItem(TABLE, keys, {
+      retries: 2,
+      backoff: 1,
+    });
+
+    assert.deepEqual(report.deleted, ["key_0", "key_1"]);
+    assert.deepEqual(report.failed, ["key_2"]);
+    assert.deepEqual(report.failures, [
+      { id: "key_2", key: keys[2], reason: "unprocessed after retries" },
+    ]);
+    assert.deepEqual(report.unprocessed, [
+      { DeleteRequest: { Key: ScyllaDb.marshalItem(keys[2]) } },
+    ]);
+    assert.deepEqual((await ScyllaDb.scan(TABLE)).map((r) => r.pk).sort(), [
+      "c",
+      "stuck",
+    ]);
+  });
+
+  test("batchGetItem retries unprocessed keys and throws for the rest", async () => {
+    await ScyllaDb.putItem(TABLE, { pk: "a", sk: "1" });
+    await ScyllaDb.putItem(TABLE, { pk: "b", sk: "1" });
+    const keys = ["a", "b"].map((pk) => ({ pk, sk: "1" }));
+    assert.deepEqual(
+      (await ScyllaDb.batchGetItem(TABLE, keys, { backoff: 1 })).map(
+        (it) => it.pk
+      ),
+      ["a", "b"]
+    );
+
+    await assert.rejects(
+      ScyllaDb.batchGetItem(TABLE, [...keys, { pk: "stuck", sk: "1" }], {
+        retries: 1,
+        backoff: 1,
+      }),
+      (err) =>
+        /1 key\(s\) unprocessed/.test(err.message) &&
+        err.failedKeys[0].pk === "stuck" &&
+        err.items[0].pk === "a"
+    );
+  });
+});
+
+describe("item cache", () => {
+  const key = { pk: "c", sk: "1" };
+  // Writes that bypass the cache, like another instance would
+  const putBehindCache = (item) =>
+    ScyllaDb.rawRequest("PutItem", {
+      TableName: TABLE,
+      Item: ScyllaDb.marshalItem(item),
+    });
+
+  beforeEach(async () => {
+    ScyllaDb.configure({ driver: "memory", enableCache: true });
+    await ScyllaDb.loadTableConfigs(TABLES_PATH);
+  });
+
+  after(() =>
+    ScyllaDb.configure({
+      enableCache: false,
+      cacheMaxEntries: 1000,
+      cacheTtls: {},
+      cacheNegative: false,
+    })
+  );
+
+  test("evicts the least recently used item and counts hits", async () => {
+    ScyllaDb.configure({ cacheMaxEntries: 2 });
+    for (const sk of ["1", "2", "3"]) {
+      await ScyllaDb.putItem(TABLE, { pk: "c", sk });
+    }
+
+    await ScyllaDb.getItem(TABLE, { pk: "c", sk: "1" }); // miss
+    await ScyllaDb.getItem(TABLE, { pk: "c", sk: "2" }); // miss
+    await ScyllaDb.getItem(TABLE, { pk: "c", sk: "1" }); // hit
+    await ScyllaDb.getItem(TABLE, { pk: "c", sk: "3" }); // miss, evicts 2
+    await ScyllaDb.getItem(TABLE, { pk: "c", sk: "1" }); // hit
+
+    const stats = ScyllaDb.getCacheStats();
+    assert.equal(stats.size, 2);
+    assert.equal(stats.hits, 2);
+    assert.equal(stats.misses, 3);
+    assert.equal(stats.evictions, 1);
+  });
+
+  test("expires items after the table's TTL", async () => {
+    ScyllaDb.configure({ cacheTtls: { [TABLE]: 20 } });
+    await ScyllaDb.putItem(TABLE, { ...key, n: 1 });
+    await ScyllaDb.getItem(TABLE, key);
+    await putBehindCache({ ...key, n: 2 });
+
+    assert.equal((await ScyllaDb.getItem(TABLE, key)).n, 1);
+    await new Promise((r) => setTimeout(r, 30));
+    assert.equal((await ScyllaDb.getItem(TABLE, key)).n, 2);
+    assert.equal(ScyllaDb.getCacheStats().expirations, 1);
+  });
+
+  test("caches misses only when negative caching is on", async () => {
+    assert.equal(await ScyllaDb.getItem(TABLE, key), false);
+    await putBehindCache(key);
+    assert.ok(await ScyllaDb.getItem(TABLE, key));
+
+    ScyllaDb.configure({ cacheNegative: true });
+    const missing = { pk: "c", sk: "2" };
+    assert.equal(await ScyllaDb.getItem(TABLE, missing), false);
+    await putBehindCache(missing);
+    assert.equal(await ScyllaDb.getItem(TABLE, missing), false);
+    await ScyllaDb.putItem(TABLE, missing); // own writes invalidate
+    assert.ok(await ScyllaDb.getItem(TABLE, missing));
+  });
+
+  test("does not cache a read that a write overtook", async () => {
+    await ScyllaDb.putItem(TABLE, { ...key, n: 1 });
+
+    // Our own write lands after GetItem answered but before getItem returns
+    const request = ScyllaDb.request;
+    ScyllaDb.request = async (target, ...rest) => {
+      const res = await request.call(ScyllaDb, target, ...rest);
+      if (target === "GetItem") {
+        ScyllaDb.request = request;
+        await ScyllaDb.putItem(TABLE, { ...key, n: 2 });
+      }
+      return res;
+    };
+    try {
+      assert.equal((await ScyllaDb.getItem(TABLE, key)).n, 1);
+    } finally {
+      ScyllaDb.request = request;
+    }
+    assert.equal((await ScyllaDb.getItem(TABLE, key)).n, 2);
+  });
+
+  test("hands out copies and reports writes to invalidation hooks", async () => {
+    const reported = [];
+    const unsubscribe = ScyllaDb.onInvalidate(({ table, key }) =>
+      reported.push([table, key.sk])
+    );
+    await ScyllaDb.putItem(TABLE, { ...key, n: 1 });
+    (await ScyllaDb.getItem(TABLE, key)).n = 99;
+    assert.equal((await ScyllaDb.getItem(TABLE, key)).n, 1);
+
+    await ScyllaDb.updateItem(TABLE, key, { n: 2 });
+    await ScyllaDb.deleteItem(TABLE, { pk: "c", sk: "9" });
+    unsubscribe();
+    await ScyllaDb.putItem(TABLE, key);
+    assert.deepEqual(reported, [
+      [TABLE, "1"],
+      [TABLE, "1"],
+      [TABLE, "9"],
+    ]);
+  });
+
+  test("drops entries on explicit invalidation", async () => {
+    await ScyllaDb.putItem(TABLE, { ...key, n: 1 });
+    await ScyllaDb.putItem(TABLE, { pk: "c", sk: "2" });
+    await ScyllaDb.getItem(TABLE, key);
+    await ScyllaDb.getItem(TABLE, { pk: "c", sk: "2" });
+    await putBehindCache({ ...key, n: 2 });
+
+    // Key attribute order does not matter
+    assert.equal(ScyllaDb.invalidateItem(TABLE, { sk: "1", pk: "c" }), true);
+    assert.equal((await ScyllaDb.getItem(TABLE, key)).n, 2);
+    assert.equal(ScyllaDb.invalidateTable(TABLE), 2);
+    assert.equal(ScyllaDb.getCacheStats().size, 0);
+  });
+});
+
+describe("http transport", () => {
+  let server;
+  let hits;
+  let reply; // (target, hitNo) → { status, body, delayMs }
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      const target = req.headers["x-amz-target"].split(".")[1];
+      hits.push(target);
+      const {
+        status = 200,
+        body = {},
+        delayMs = 0,
+      } = reply(target, hits.length) ?? {};
+      req.resume();
+      setTimeout(() => {
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(body));
+      }, delayMs);
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    ScyllaDb.configure({ driver: "memory", retries: 3, timeout: 1000 });
+  });
+
+  beforeEach(() => {
+    hits = [];
+    reply = () => ({});
+    const { port } = server.address();
+    ScyllaDb.configure({
+      driver: "http",
+      endpoint: `http://127.0.0.1:${port}/`,
+      port,
+      retries: 3,
+      backoff: 1,
+      timeout: 1000,
+      breakerThreshold: 2,
+      breakerResetMs: 50,
+    });
+  });
+
+  const throttled = {
+    status: 400,
+    body: { __type: "x#ProvisionedThroughputExceededException" },
+  };
+
+  test("retries a timed-out read", async () => {
+    ScyllaDb.configure({ timeouts: { GetItem: 30 } });
+    reply = (target, n) => (n === 1 ? { delayMs: 200 } : { body: {} });
+
+    assert.deepEqual(await ScyllaDb.rawRequest("GetItem", { Key: {} }), {});
+    assert.deepEqual(hits, ["GetItem", "GetItem"]);
+  });
+
+  test("does not resend a timed-out update", async () => {
+    ScyllaDb.configure({ timeout: 30 });
+    reply = () => ({ delayMs: 200 });
+
+    await assert.rejects(
+      ScyllaDb.rawRequest("UpdateItem", { Key: {} }),
+      (err) => err.code === "ETIMEDOUT"
+    );
+    assert.deepEqual(hits, ["UpdateItem"]);
+  });
+
+  test("retries throttled writes but not failed conditions", async () => {
+    reply = (target, n) => (n === 1 ? throttled : {});
+    await ScyllaDb.rawRequest("UpdateItem", { Key: {} });
+    assert.deepEqual(hits, ["UpdateItem", "UpdateItem"]);
+
+    hits = [];
+    reply = () => ({
+      status: 400,
+      body: { __type: "x#ConditionalCheckFailedException" },
+    });
+    await assert.rejects(
+      ScyllaDb.rawRequest("PutItem", { ConditionExpression: "x" }),
+      ConditionalCheckFailedError
+    );
+    assert.deepEqual(hits, ["PutItem"]);
+  });
+
+  test("opens the circuit, fails fast, then recovers", async () => {
+    reply = () => ({ status: 500, body: { __type: "x#InternalServerError" } });
+    await assert.rejects(ScyllaDb.rawRequest("GetItem", {}), /HTTP 500/);
+    assert.equal(hits.length, 2); // the breaker opened before the third try
+    assert.equal(ScyllaDb.getCircuitState().state, "open");
+
+    await assert.rejects(
+      ScyllaDb.rawRequest("GetItem", {}),
+      ScyllaDb.CircuitOpenError
+    );
+    assert.equal(hits.length, 2);
+
+    await new Promise((r) => setTimeout(r, 60));
+    reply = () => ({});
+    await ScyllaDb.rawRequest("GetItem", {});
+    assert.equal(ScyllaDb.getCircuitState().state, "closed");
+  });
+});
+
+// Memory driver that leaves the last request of every batch unprocessed once,
+// and rows with pk "stuck" unprocessed forever
+class ThrottledBatchDriver extends MemoryDriver {
+  #throttled = new Set();
+
+  handle(target, payload) {
+    if (target !== "BatchWriteItem" && target !== "BatchGetItem") {
+      return super.handle(target, payload);
+    }
+    const [[table, entry]] = Object.entries(payload.RequestItems);
+    const requests = target === "BatchGetItem" ? entry.Keys : entry;
+    const held = requests.filter((request, i) => {
+      const id = JSON.stringify(request);
+      const last = i === requests.length - 1 && !this.#throttled.has(id);
+      if (last) this.#throttled.add(id);
+      return last || id.includes('"stuck"');
+    });
+    const sent = requests.filter((request) => !held.includes(request));
+
+    const { status, body } = super.handle(target, {
+      RequestItems: {
+        [table]: target === "BatchGetItem" ? { Keys: sent } : sent,
+      },
+    });
+    return target === "BatchGetItem"
+      ? {
+          status,
+          body: { ...body, UnprocessedKeys: { [table]: { Keys: held } } },
+        }
+      : { status, body: { UnprocessedItems: { [table]: held } } };
+  }
+}
+
+// Memory driver answering like a backend without transactions
+class NoTransactionsDriver extends MemoryDriver {
+  constructor(targets) {
+    super();
+    this.targets = targets;
+  }
+
+  handle(target, payload) {
+    this.targets.push(target);
+    return super.handle(
+      target === "TransactWriteItems" ? "Unsupported" : target,
+      payload
+    );
+  }
+}
@@ -0,0 +1,886 @@
+import { describe, test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import ShuftiProKyc from "../service/ShuftiProKyc.js";
+import ScyllaDb, { ConditionalCheckFailedError } from "../utils/ScyllaDb.js";
+import ErrorHandler from "../utils/ErrorHandler.js";
+import {
+  KYC_EVENT,
+  FetchMode,
+  TERMINAL_EVENTS,
+  ACTIVE_EVENTS,
+  KYC_TRANSITIONS,
+} from "../constants/constants.js";
+import {
+  setupKyc,
+  setFetchMode,
+  mockShuftiResponse,
+  shuftiCalls,
+  signedWebhook,
+  tableRows,
+  nextMs,
+  createSession,
+  deliverWebhook,
+  TABLE,
+} from "./helpers.js";
+
+beforeEach(() => setupKyc());
+
+describe("createVerificationSession", () => {
+  test("creates a session and stores the request + meta rows", async () => {
+    const { reference, verificationUrl } = await createSession("u1");
+
+    assert.match(reference, /^ref-/);
+    assert.equal(verificationUrl, `https://verify.example/${reference}`);
+
+    const [call] = shuftiCalls("");
+    assert.equal(call.body.reference, reference);
+    assert.equal(call.body.email, "u1@example.com");
+    assert.equal(call.body.language, "en");
+    assert.equal(call.body.callback_url, "https://your.app/kyc/webhook");
+    assert.equal(call.body.document.name, "John Does");
+    assert.equal(call.body.face, undefined);
+    assert.equal(call.body.address, undefined);
+    assert.match(call.headers.Authorization, /^Basic /);
+
+    const rows = await tableRows((r) => r.reference === reference);
+    const request = rows.find((r) => r.type === "verification_request");
+    const meta = rows.find((r) => r.type === "meta");
+    assert.equal(request.pk, "user_u1");
+    assert.deepEqual(request.services, ["document"]);
+    assert.equal(meta.pk, `meta_${reference}`);
+    assert.equal(meta.status, KYC_EVENT.REQUEST_PENDING);
+  });
+
+  test("commits the request, meta and summary rows in one transaction", async () => {
+    const writes = [];
+    const request = ScyllaDb.request;
+    ScyllaDb.request = (target, payload, ...rest) => {
+      if (target !== "GetItem" && target !== "Query") {
+        writes.push([target, payload.TransactItems?.length]);
+      }
+      return request.call(ScyllaDb, target, payload, ...rest);
+    };
+    try {
+      await createSession("u1");
+    } finally {
+      ScyllaDb.request = request;
+    }
+    assert.deepEqual(writes, [["TransactWriteItems", 3]]);
+  });
+
+  test("stores nothing when the transaction fails", async () => {
+    const request = ScyllaDb.request;
+    ScyllaDb.request = (target, ...rest) =>
+      target === "TransactWriteItems"
+        ? Promise.reject(new Error("Simulated store failure"))
+        : request.call(ScyllaDb, target, ...rest);
+    let reference;
+    try {
+      ({ reference } = await createSession("u1"));
+    } finally {
+      ScyllaDb.request = request;
+    }
+
+    assert.deepEqual(await tableRows((r) => r.reference === reference), []);
+    assert.ok(
+      ErrorHandler.get_all_errors().some(
+        (e) => e.message === "KYC createVerificationSession: store failed"
+      )
+    );
+  });
+
+  test("adds face and address services when configured", async () => {
+    const { reference } = await createSession("u2", {
+      faceConfig: { allow_offline: "0" },
+      addressConfig: { full_address: "1 Example St, Sydney NSW 2000" },
+    });
+
+    const [call] = shuftiCalls("");
+    assert.equal(call.body.face.allow_offline, "0");
+    assert.equal(call.body.face.allow_online, "1");
+    assert.equal(
+      call.body.address.full_address,
+      "1 Example St, Sydney NSW 2000"
+    );
+    assert.equal(call.body.address.name, "John Does");
+
+    const record = await ShuftiProKyc.getRecordByReference(reference);
+    assert.deepEqual(record.meta.services, ["document", "face", "address"]);
+  });
+
+  test("reuses an active session without calling Shufti", async () => {
+    const first = await createSession("u3");
+    const again = await createSession("u3");
+
+    assert.deepEqual(again, {
+      alreadyHasActive: true,
+      reference: first.reference,
+      status: KYC_EVENT.REQUEST_PENDING,
+      verificationUrl: first.verificationUrl,
+    });
+    assert.equal(shuftiCalls("").length, 1);
+  });
+
+  test("returns alreadyValidated once accepted", async () => {
+    const { reference } = await createSession("u4");
+    await deliverWebhook({ reference, event: KYC_EVENT.VERIFICATION_ACCEPTED });
+
+    const again = await createSession("u4");
+    assert.equal(again.alreadyValidated, true);
+    assert.equal(again.reference, reference);
+    assert.equal(again.status, KYC_EVENT.VERIFICATION_ACCEPTED);
+  });
+
+  test("starts a new session after a terminal decline", async () => {
+    const { reference } = await createSession("u5");
+    await deliverWebhook({ reference, event: KYC_EVENT.VERIFICATION_DECLINED });
+
+    const again = await createSession("u5");
+    assert.notEqual(again.reference, reference);
+    assert.equal(shuftiCalls("").length, 2);
+  });
+
+  test("rejects an invalid email", async () => {
+    await assert.rejects(
+      ShuftiProKyc.createVerificationSession({
+        userId: "u6",
+        userEmail: "not-an-email",
+      }),
+      TypeError
+    );
+    assert.equal(shuftiCalls().length, 0);
+  });
+});
+
+describe("createBackgroundCheck", () => {
+  test("stores the check and one row per AML hit", async () => {
+    const { reference } = await createSession("b1");
+    mockShuftiResponse("", (request) => ({
+      reference: request.reference,
+      event: KYC_EVENT.VERIFICATION_DECLINED,
+      verification_data: {
+        background_checks: {
+          aml_data: { hits: [{ name: "John Does", match_types: ["pep"] }] },
+        },
+      },
+    }));
+
+    const result = await ShuftiProKyc.createBackgroundCheck({
+      reference,
+      firstName: "John",
+      lastName: "Does",
+      dob: "1990-01-01",
+      ongoing: true,
+    });
+
+    assert.equal(result.reference, reference);
+    assert.match(result.backgroundReference, /^bgc-/);
+    assert.equal(result.hitCount, 1);
+
+    const [, call] = shuftiCalls("");
+    assert.equal(call.body.background_checks.name.first_name, "John");
+    assert.equal(call.body.background_checks.ongoing, "1");
+
+    const record = await ShuftiProKyc.getRecordByReference(reference);
+    assert.equal(record.backgroundChecks.length, 1);
+    assert.equal(record.amlHits.length, 1);
+    assert.deepEqual(record.amlHits[0].matchTypes, ["pep"]);
+  });
+
+  test("applies ongoing-monitoring callbacks to the check", async () => {
+    const { reference } = await createSession("b2");
+    const { backgroundReference } = await ShuftiProKyc.createBackgroundCheck({
+      reference,
+      firstName: "John",
+      lastName: "Does",
+    });
+
+    const res = await deliverWebhook({
+      reference: backgroundReference,
+      event: KYC_EVENT.VERIFICATION_DECLINED,
+      verification_data: {
+        background_checks: { aml_data: { hits: [{ name: "J. Does" }] } },
+      },
+    });
+    assert.deepEqual(res, {
+      ok: true,
+      reference,
+      backgroundReference,
+      event: KYC_EVENT.VERIFICATION_DECLINED,
+    });
+
+    const record = await ShuftiProKyc.getRecordByReference(reference);
+    assert.equal(record.backgroundChecks[0].hitCount, 1);
+    assert.equal(
+      record.backgroundChecks[0].status,
+      KYC_EVENT.VERIFICATION_DECLINED
+    );
+  });
+
+  test("stores a repeated monitoring alert's hits once", async () => {
+    const { reference } = await createSession("b3");
+    const { backgroundReference } = await ShuftiProKyc.createBackgroundCheck({
+      reference,
+      firstName: "John",
+      lastName: "Does",
+      ongoing: true,
+    });
+    const alert = (hits) =>
+      deliverWebhook({
+        reference: backgroundReference,
+        event: KYC_EVENT.VERIFICATION_DECLINED,
+        verification_data: { background_checks: { aml_data: { hits } } },
+      });
+
+    await alert([{ name: "J. Does", match_types: ["pep"] }]);
+    await alert([
+      { match_types: ["pep"], name: "J. Does" },
+      { name: "Jo Does", match_types: ["sanction"] },
+    ]);
+
+    const record = await ShuftiProKyc.getRecordByReference(reference);
+    assert.equal(record.backgroundChecks[0].hitCount, 2);
+    assert.deepEqual(record.amlHits.map((h) => h.hitName).sort(), [
+      "J. Does",
+      "Jo Does",
+    ]);
+  });
+
+  test("throws for an unknown KYC reference", async () => {
+    await assert.rejects(
+      ShuftiProKyc.createBackgroundCheck({
+        reference: "ref-missing",
+        firstName: "John",
+        lastName: "Does",
+      }),
+      { message: /Unknown KYC reference/, code: "unknown_reference" }
+    );
+  });
+});
+
+describe("handleWebhook", () => {
+  test("stores the event and updates meta", async () => {
+    const { reference } = await createSession("w1");
+    const res = await deliverWebhook({
+      reference,
+      event: KYC_EVENT.VERIFICATION_ACCEPTED,
+      verification_result: { document: 1 },
+    });
+
+    assert.deepEqual(res, {
+      ok: true,
+      reference,
+      event: KYC_EVENT.VERIFICATION_ACCEPTED,
+    });
+    const record = await ShuftiProKyc.getRecordByReference(reference);
+    assert.equal(record.webhookEvents.length, 1);
+    assert.equal(record.result.accepted, true);
+    assert.equal(record.result.services.document.result, 1);
+  });
+
+  test("re-applies the event when a concurrent meta write wins", async () => {
+    const { reference } = await createSession("w9");
+    const restore = interleaveMetaWrite(reference, KYC_EVENT.REQUEST_RECEIVED);
+    try {
+      await deliverWebhook({
+        reference,
+        event: KYC_EVENT.VERIFICATION_ACCEPTED,
+      });
+    } finally {
+      restore();
+    }
+
+    const meta = await ScyllaDb.getItem(TABLE, {
+      pk: `meta_${reference}`,
+      sk: "meta",
+    });
+    assert.equal(meta.status, KYC_EVENT.VERIFICATION_ACCEPTED);
+    assert.equal(meta.version, 3); // create, competing write, retried write
+    assert.equal(await ShuftiProKyc.isUserValidated("w9"), true);
+  });
+
+  test("deduplicates a replayed delivery", async () => {
+    const { reference } = await createSession("w2");
+    const delivery = signedWebhook({
+      reference,
+      event: KYC_EVENT.VERIFICATION_ACCEPTED,
+    });
+
+    await ShuftiProKyc.handleWebhook(delivery);
+    await nextMs();
+    const replay = await ShuftiProKyc.handleWebhook(delivery);
+
+    assert.equal(replay.duplicate, true);
+    const record = await ShuftiProKyc.getRecordByReference(reference);
+    assert.equal(record.webhookEvents.length, 1);
+  });
+
+  test("stores but does not apply an out-of-order event", async () => {
+    const { reference } = await createSession("w3");
+    await deliverWebhook({
+      reference,
+      event: KYC_EVENT.VERIFICATION_DECLINED,
+      timestamp: "2030-01-01T00:00:10Z",
+    });
+    const res = await deliverWebhook({
+      reference,
+      event: KYC_EVENT.REQUEST_RECEIVED,
+      timestamp: "2030-01-01T00:00:05Z",
+    });
+
+    assert.equal(res.stale, true);
+    const record = await ShuftiProKyc.getRecordByReference(reference);
+    assert.equal(record.meta.status, KYC_EVENT.VERIFICATION_DECLINED);
+    assert.equal(record.webhookEvents.length, 2);
+  });
+
+  test("applies events in arrival order without provider timestamps on both", async () => {
+    const first = (await createSession("w7")).reference;
+    await deliverWebhook({
+      reference: first,
+      event: KYC_EVENT.REQUEST_RECEIVED,
+    });
+    const older = await deliverWebhook({
+      reference: first,
+      event: KYC_EVENT.VERIFICATION_DECLINED,
+      timestamp: "2020-01-01T00:00:00Z",
+    });
+    assert.equal(older.stale, undefined);
+    assert.equal(
+      (await ShuftiProKyc.getRecordByReference(first)).meta.status,
+      KYC_EVENT.VERIFICATION_DECLINED
+    );
+
+    const second = (await createSession("w8")).reference;
+    await deliverWebhook({
+      reference: second,
+      event: KYC_EVENT.REQUEST_RECEIVED,
+      timestamp: "2099-01-01T00:00:00Z",
+    });
+    const untimed = await deliverWebhook({
+      reference: second,
+      event: KYC_EVENT.VERIFICATION_ACCEPTED,
+    });
+    assert.equal(untimed.stale, undefined);
+    const { meta } = await ShuftiProKyc.getRecordByReference(second);
+    assert.equal(meta.status, KYC_EVENT.VERIFICATION_ACCEPTED);
+    assert.equal(meta.providerEventAt, "2099-01-01T00:00:00.000Z");
+  });
+
+  test("rejects an illegal transition and logs it", async () => {
+    const { reference } = await createSession("w4");
+    await deliverWebhook({ reference, event: KYC_EVENT.VERIFICATION_ACCEPTED });
+    const res = await deliverWebhook({
+      reference,
+      event: KYC_EVENT.REQUEST_PENDING,
+    });
+
+    assert.equal(res.rejected, true);
+    const record = await ShuftiProKyc.getRecordByReference(reference);
+    assert.equal(record.meta.status, KYC_EVENT.VERIFICATION_ACCEPTED);
+    assert.equal(record.statusChanges[0].rejected, true);
+    assert.equal(record.statusChanges[0].source, "webhook");
+  });
+
+  test("refuses a bad signature", async () => {
+    const { reference } = await createSession("w5");
+    const res = await ShuftiProKyc.handleWebhook({
+      rawBodyString: JSON.stringify({
+        reference,
+        event: KYC_EVENT.VERIFICATION_ACCEPTED,
+      }),
+      signatureHeader: "WRONG",
+    });
+
+    assert.deepEqual(res, { ok: false, reason: "invalid_signature" });
+    const record = await ShuftiProKyc.getRecordByReference(reference);
+    assert.equal(record.meta.status, KYC_EVENT.REQUEST_PENDING);
+  });
+
+  test("refuses a signed body that is not JSON", async () => {
+    const res = await ShuftiProKyc.handleWebhook(signedWebhook("{ nope"));
+    assert.deepEqual(res, { ok: false, reason: "invalid_json" });
+  });
+
+  test("reports unknown background check references", async () => {
+    const res = await deliverWebhook({
+      reference: "bgc-missing",
+      event: KYC_EVENT.VERIFICATION_ACCEPTED,
+    });
+    assert.deepEqual(res, { ok: false, reason: "unknown_reference" });
+  });
+});
+
+describe("fetchStatus", () => {
+  test("returns Shufti's /status response", async () => {
+    const { reference } = await createSession("s1");
+    mockShuftiResponse("status", {
+      reference,
+      event: KYC_EVENT.VERIFICATION_ACCEPTED,
+    });
+
+    const status = await ShuftiProKyc.fetchStatus(reference);
+    assert.equal(status.event, KYC_EVENT.VERIFICATION_ACCEPTED);
+    assert.deepEqual(shuftiCalls("status")[0].body, { reference });
+  });
+});
+
+describe("reconcilePending", () => {
+  test("applies provider status to stuck sessions", async () => {
+    const { reference } = await createSession("r1");
+    const untouched = await createSession("r2");
+    mockShuftiResponse("status", (request) => ({
+      reference: request.reference,
+      event:
+        request.reference === reference
+          ? KYC_EVENT.VERIFICATION_ACCEPTED
+          : KYC_EVENT.REQUEST_PENDING,
+    }));
+    await nextMs();
+
+    const summary = await ShuftiProKyc.reconcilePending({ olderThan: 0 });
+
+    assert.equal(summary.checked, 2);
+    assert.equal(summary.updated, 1);
+    assert.equal(summary.unchanged, 1);
+    assert.equal(summary.failed, 0);
+    const record = await ShuftiProKyc.getRecordByReference(reference);
+    assert.equal(record.meta.status, KYC_EVENT.VERIFICATION_ACCEPTED);
+    const other = await ShuftiProKyc.getRecordByReference(untouched.reference);
+    assert.equal(other.meta.status, KYC_EVENT.REQUEST_PENDING);
+  });
+
+  test("skips sessions newer than olderThan", async () => {
+    await createSession("r3");
+    const summary = await ShuftiProKyc.reconcilePending({
+      olderThan: "1 hour",
+    });
+    assert.equal(summary.checked, 0);
+    assert.equal(shuftiCalls("status").length, 0);
+  });
+
+  test("counts failed status fetches", async () => {
+    await createSession("r4");
+    await nextMs();
+    setFetchMode(FetchMode.NETWORK_ERROR);
+
+    const summary = await ShuftiProKyc.reconcilePending({ olderThan: 0 });
+    assert.equal(summary.failed, 1);
+    assert.match(summary.results[0].error, /Simulated network failure/);
+  });
+
+  test("treats a non-200 status response as a failed fetch", async () => {
+    const { reference } = await createSession("r5");
+    await nextMs();
+    setFetchMode(FetchMode.NON_200);
+
+    const summary = await ShuftiProKyc.reconcilePending({ olderThan: 0 });
+    assert.equal(summary.failed, 1);
+    assert.equal(summary.updated, 0);
+    assert.match(summary.results[0].error, /HTTP 400/);
+    const record = await ShuftiProKyc.getRecordByReference(reference);
+    assert.equal(record.meta.status, KYC_EVENT.REQUEST_PENDING);
+    assert.equal(record.webhookEvents.length, 0);
+  });
+});
+
+describe("getRecordByReference", () => {
+  test("groups rows and normalizes the result", async () => {
+    const { reference } = await createSession("g1");
+    await deliverWebhook({
+      reference,
+      event: KYC_EVENT.VERIFICATION_DECLINED,
+      declined_reason: "Document expired",
+      declined_codes: ["SPDR12"],
+    });
+
+    const record = await ShuftiProKyc.getRecordByReference(reference);
+    assert.equal(record.meta.reference, reference);
+    assert.equal(record.verificationRequests.length, 1);
+    assert.equal(record.webhookEvents.length, 1);
+    assert.deepEqual(record.statusChanges, []);
+    assert.equal(record.result.declined, true);
+    assert.equal(record.result.declinedReason, "Document expired");
+    assert.deepEqual(record.result.declinedCodes, ["SPDR12"]);
+  });
+
+  test("returns null for an unknown reference", async () => {
+    assert.equal(await ShuftiProKyc.getRecordByReference("ref-missing"), null);
+  });
+});
+
+describe("isUserValidated", () => {
+  test("is true only after an accepted verification", async () => {
+    assert.equal(await ShuftiProKyc.isUserValidated("v1"), false);
+
+    const { reference } = await createSession("v1");
+    assert.equal(await ShuftiProKyc.isUserValidated("v1"), false);
+
+    await deliverWebhook({ reference, event: KYC_EVENT.VERIFICATION_ACCEPTED });
+    assert.equal(await ShuftiProKyc.isUserValidated("v1"), true);
+  });
+
+  test("answers from the summary row with a single GetItem", async () => {
+    const { reference } = await createSession("v2");
+    await deliverWebhook({ reference, event: KYC_EVENT.VERIFICATION_ACCEPTED });
+
+    const [summary] = await tableRows((r) => r.type === "user_summary");
+    assert.equal(summary.pk, "user_v2");
+    assert.equal(summary.sk, "summary");
+    assert.equal(summary.validatedReference, reference);
+    assert.equal(summary.activeReference, null);
+    assert.equal(summary.latestStatus, KYC_EVENT.VERIFICATION_ACCEPTED);
+
+    const targets = [];
+    const request = ScyllaDb.request;
+    ScyllaDb.request = (target, ...rest) => {
+      targets.push(target);
+      return request.call(ScyllaDb, target, ...rest);
+    };
+    try {
+      assert.equal(await ShuftiProKyc.isUserValidated("v2"), true);
+    } finally {
+      ScyllaDb.request = request;
+    }
+    assert.deepEqual(targets, ["GetItem"]);
+  });
+
+  test("rebuilds a missing summary from the timeline", async () => {
+    const { reference } = await createSession("v3");
+    await deliverWebhook({ reference, event: KYC_EVENT.VERIFICATION_ACCEPTED });
+    await ScyllaDb.deleteItem(TABLE, { pk: "user_v3", sk: "summary" });
+
+    assert.equal(await ShuftiProKyc.isUserValidated("v3"), true);
+    const [summary] = await tableRows((r) => r.type === "user_summary");
+    assert.equal(summary.validatedReference, reference);
+  });
+
+  test("re-folds the summary when a concurrent write lands first", async () => {
+    const { reference } = await createSession("v5");
+    const key = { pk: "user_v5", sk: "summary" };
+
+    // Another attempt of the same user updates the summary right after we read it
+    const getItem = ScyllaDb.getItem;
+    let interleaved = false;
+    ScyllaDb.getItem = async (table, k, ...rest) => {
+      const item = await getItem.call(ScyllaDb, table, k, ...rest);
+      if (!interleaved && k.pk === key.pk && k.sk === key.sk) {
+        interleaved = true;
+        await ScyllaDb.putItem(TABLE, {
+          ...item,
+          version: (item.version ?? 0) + 1,
+          validated: true,
+          validatedReference: "ref-concurrent",
+        });
+      }
+      return item;
+    };
+    try {
+      await deliverWebhook({ reference, event: KYC_EVENT.REQUEST_RECEIVED });
+    } finally {
+      ScyllaDb.getItem = getItem;
+    }
+
+    const [summary] = await tableRows((r) => r.type === "user_summary");
+    assert.equal(summary.validatedReference, "ref-concurrent");
+    assert.equal(summary.activeStatus, KYC_EVENT.REQUEST_RECEIVED);
+    assert.equal(await ShuftiProKyc.isUserValidated("v5"), true);
+  });
+
+  test("stays true through a status change after acceptance", async () => {
+    const { reference } = await createSession("v6");
+    await deliverWebhook({ reference, event: KYC_EVENT.VERIFICATION_ACCEPTED });
+    await nextMs();
+    await deliverWebhook({
+      reference,
+      event: KYC_EVENT.VERIFICATION_STATUS_CHANGED,
+    });
+
+    assert.equal(await ShuftiProKyc.isUserValidated("v6"), true);
+    await ScyllaDb.deleteItem(TABLE, { pk: "user_v6", sk: "summary" });
+    assert.equal(await ShuftiProKyc.isUserValidated("v6"), true);
+
+    await nextMs();
+    await deliverWebhook({
+      reference,
+      event: KYC_EVENT.VERIFICATION_DECLINED,
+    });
+    assert.equal(await ShuftiProKyc.isUserValidated("v6"), false);
+  });
+
+  test("is false again once the accepted verification is deleted", async () => {
+    const { reference } = await createSession("v4");
+    await deliverWebhook({ reference, event: KYC_EVENT.VERIFICATION_ACCEPTED });
+    await nextMs();
+    await ShuftiProKyc.deleteVerification(reference);
+
+    assert.equal(await ShuftiProKyc.isUserValidated("v4"), false);
+  });
+});
+
+describe("status state machine", () => {
+  test("derives terminal and active statuses from the transitions", () => {
+    assert.deepEqual([...TERMINAL_EVENTS].sort(), [
+      KYC_EVENT.REQUEST_DELETED,
+      KYC_EVENT.REQUEST_INVALID,
+      KYC_EVENT.REQUEST_TIMEOUT,
+      KYC_EVENT.REQUEST_UNAUTHORIZED,
+      KYC_EVENT.VERIFICATION_ACCEPTED,
+      KYC_EVENT.VERIFICATION_CANCELLED,
+      KYC_EVENT.VERIFICATION_DECLINED,
+    ]);
+    for (const status of Object.values(KYC_EVENT)) {
+      assert.ok(KYC_TRANSITIONS[status], status);
+      assert.notEqual(TERMINAL_EVENTS.has(status), ACTIVE_EVENTS.has(status));
+    }
+  });
+});
+
+describe("updateRecordStatus", () => {
+  test("updates meta and logs a status change", async () => {
+    const { reference } = await createSession("m1");
+    await nextMs();
+
+    const ok = await ShuftiProKyc.updateRecordStatus(
+      reference,
+      KYC_EVENT.VERIFICATION_ACCEPTED
+    );
+
+    assert.equal(ok, true);
+    const record = await ShuftiProKyc.getRecordByReference(reference);
+    assert.equal(record.meta.status, KYC_EVENT.VERIFICATION_ACCEPTED);
+    assert.equal(record.statusChanges.length, 1);
+    assert.equal(
+      record.statusChanges[0].previousStatus,
+      KYC_EVENT.REQUEST_PENDING
+    );
+    assert.equal(record.statusChanges[0].source, "manual");
+  });
+
+  test("gives up after META_WRITE_ATTEMPTS conflicts", async () => {
+    await setupKyc({ META_WRITE_ATTEMPTS: 1 });
+    const { reference } = await createSession("m9");
+    const restore = interleaveMetaWrite(reference, KYC_EVENT.REQUEST_RECEIVED);
+    try {
+      await assert.rejects(
+        ShuftiProKyc.updateRecordStatus(
+          reference,
+          KYC_EVENT.VERIFICATION_ACCEPTED
+        ),
+        ConditionalCheckFailedError
+      );
+    } finally {
+      restore();
+    }
+  });
+
+  test("returns false for an illegal transition", async () => {
+    const { reference } = await createSession("m2");
+    await deliverWebhook({ reference, event: KYC_EVENT.REQUEST_TIMEOUT });
+
+    const ok = await ShuftiProKyc.updateRecordStatus(
+      reference,
+      KYC_EVENT.VERIFICATION_ACCEPTED
+    );
+
+    assert.equal(ok, false);
+    const record = await ShuftiProKyc.getRecordByReference(reference);
+    assert.equal(record.meta.status, KYC_EVENT.REQUEST_TIMEOUT);
+    assert.equal(record.statusChanges[0].rejected, true);
+  });
+
+  test("returns false for an unknown reference", async () => {
+    assert.equal(
+      await ShuftiProKyc.updateRecordStatus(
+        "ref-missing",
+        KYC_EVENT.VERIFICATION_ACCEPTED
+      ),
+      false
+    );
+  });
+});
+
+describe("deleteVerification", () => {
+  test("deletes at Shufti, erases PII and keeps an audit row", async () => {
+    const { reference } = await createSession("d1");
+    await deliverWebhook({
+      reference,
+      event: KYC_EVENT.VERIFICATION_ACCEPTED,
+      verification_data: { document: { name: { full_name: "John Does" } } },
+    });
+
+    const result = await ShuftiProKyc.deleteVerification(reference, {
+      reason: "user request",
+    });
+
+    assert.equal(result.reference, reference);
+    assert.ok(result.erased >= 3);
+    assert.deepEqual(shuftiCalls("delete")[0].body, {
+      reference,
+      comment: "user request",
+    });
+
+    const record = await ShuftiProKyc.getRecordByReference(reference);
+    assert.equal(record.meta.status, KYC_EVENT.REQUEST_DELETED);
+    assert.equal(record.meta.verificationData, null);
+    const request = record.verificationRequests[0];
+    assert.equal(request.requestPayload.email, "[erased]");
+    assert.equal(request.requestPayload.document.name, "[erased]");
+    assert.equal(record.webhookEvents[0].webhookPayload, null);
+
+    const [audit] = await tableRows((r) => r.type === "erasure");
+    assert.equal(audit.reason, "user request");
+    assert.equal(audit.rowsErased, result.erased);
+  });
+
+  test("leaves no selfie or document proof on any row", async () => {
+    const selfie = "data:image/png;base64,SELFIE";
+    const { reference } = await createSession("d3", {
+      faceConfig: { proof: selfie },
+    });
+
+    await ShuftiProKyc.deleteVerification(reference);
+
+    assert.ok(!JSON.stringify(await tableRows()).includes("SELFIE"));
+    const record = await ShuftiProKyc.getRecordByReference(reference);
+    const { face, document } = record.verificationRequests[0].requestPayload;
+    assert.equal(face.proof, "[erased]");
+    for (const [field, value] of Object.entries(document)) {
+      if (field.endsWith("proof")) assert.ok(!value || value === "[erased]");
+    }
+  });
+
+  test("deletes linked background checks at Shufti first", async () => {
+    const { reference } = await createSession("d4");
+    const { backgroundReference } = await ShuftiProKyc.createBackgroundCheck({
+      reference,
+      firstName: "John",
+      lastName: "Does",
+    });
+
+    await ShuftiProKyc.deleteVerification(reference);
+
+    assert.deepEqual(
+      shuftiCalls("delete").map((call) => call.body.reference),
+      [backgroundReference, reference]
+    );
+    const [audit] = await tableRows((r) => r.type === "erasure");
+    assert.deepEqual(audit.backgroundReferences, [backgroundReference]);
+  });
+
+  test("keeps data when Shufti refuses a background-check delete", async () => {
+    const { reference } = await createSession("d5");
+    await ShuftiProKyc.createBackgroundCheck({
+      reference,
+      firstName: "John",
+      lastName: "Does",
+    });
+    setFetchMode(FetchMode.NON_200);
+
+    await assert.rejects(
+      ShuftiProKyc.deleteVerification(reference),
+      /Shufti delete of bgc-\S+ failed \(HTTP 400\)/
+    );
+    assert.equal(shuftiCalls("delete").length, 1);
+    const record = await ShuftiProKyc.getRecordByReference(reference);
+    assert.equal(record.meta.status, KYC_EVENT.REQUEST_PENDING);
+  });
+
+  test("keeps data when Shufti refuses the delete", async () => {
+    const { reference } = await createSession("d2");
+    setFetchMode(FetchMode.NON_200);
+
+    await assert.rejects(
+      ShuftiProKyc.deleteVerification(reference),
+      /Shufti delete failed \(HTTP 400\)/
+    );
+    const record = await ShuftiProKyc.getRecordByReference(reference);
+    assert.equal(record.meta.status, KYC_EVENT.REQUEST_PENDING);
+    assert.equal(
+      record.verificationRequests[0].requestPayload.email,
+      "d2@example.com"
+    );
+  });
+
+  test("returns false for an unknown reference", async () => {
+    assert.equal(await ShuftiProKyc.deleteVerification("ref-missing"), false);
+    assert.equal(shuftiCalls("delete").length, 0);
+  });
+});
+
+describe("retention", () => {
+  const DAY_S = 24 * 60 * 60;
+
+  test("stamps expires_at on row types with a retention period", async () => {
+    await setupKyc({ PER_MINUTE_LIMIT: 0 });
+    const { reference } = await createSession("r1");
+    await deliverWebhook({ reference, event: KYC_EVENT.REQUEST_RECEIVED });
+
+    const rows = await tableRows();
+    const byType = (type) => rows.find((r) => r.type === type);
+    const expiresIn = (row) =>
+      row.expires_at - Math.floor(Date.parse(row.created_at) / 1000);
+
+    assert.equal(expiresIn(byType("rate_limit")), 30 * DAY_S);
+    for (const type of ["webhook_event", "webhook_delivery"]) {
+      const days = expiresIn(byType(type)) / DAY_S;
+      assert.ok(days >= 365 * 5 && days <= 365 * 5 + 2, type);
+    }
+    assert.equal(byType("meta").expires_at, undefined);
+    assert.equal(byType("verification_request").expires_at, undefined);
+  });
+
+  test("sweepExpired deletes rows past their expiry only", async () => {
+    const now = Math.floor(Date.now() / 1000);
+    await ScyllaDb.putItem(TABLE, { pk: "s", sk: "old", expires_at: now - 1 });
+    await ScyllaDb.putItem(TABLE, { pk: "s", sk: "new", expires_at: now + 60 });
+    await ScyllaDb.putItem(TABLE, { pk: "s", sk: "kept" });
+
+    assert.deepEqual(await ShuftiProKyc.sweepExpired(), {
+      skipped: false,
+      scanned: 3,
+      deleted: 1,
+    });
+    assert.deepEqual((await tableRows()).map((r) => r.sk).sort(), [
+      "kept",
+      "new",
+    ]);
+  });
+
+  test("sweepExpired leaves expiry to native TTL when it is enabled", async () => {
+    const now = Math.floor(Date.now() / 1000);
+    await ScyllaDb.putItem(TABLE, { pk: "s", sk: "old", expires_at: now - 1 });
+    await ScyllaDb.updateTimeToLive(TABLE, "expires_at");
+
+    assert.equal((await ShuftiProKyc.sweepExpired()).skipped, true);
+    // The table's TTL has already dropped it
+    assert.deepEqual(await tableRows(), []);
+    assert.deepEqual(await ShuftiProKyc.sweepExpired({ force: true }), {
+      skipped: false,
+      scanned: 0,
+      deleted: 0,
+    });
+  });
+});
+
+// Simulate another process updating meta between the service's read and its write
+function interleaveMetaWrite(reference, status) {
+  const transactWrite = ScyllaDb.transactWrite;
+  const key = { pk: `meta_${reference}`, sk: "meta" };
+  let interleaved = false;
+  ScyllaDb.transactWrite = async (...args) => {
+    if (!interleaved) {
+      interleaved = true;
+      const meta = await ScyllaDb.getItem(TABLE, key);
+      await ScyllaDb.putItem(
+        TABLE,
+        { ...meta, status },
+        { ifVersion: meta.version }
+      );
+    }
+    return transactWrite.apply(ScyllaDb, args);
+  };
+  return () => {
+    ScyllaDb.transactWrite = transactWrite;
+  };
+}
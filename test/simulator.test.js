@@ -0,0 +1,111 @@
+import { describe, test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "url";
+import app from "../app.js";
+import ShuftiProKyc from "../service/ShuftiProKyc.js";
+import ScyllaDb from "../utils/ScyllaDb.js";
+import ShuftiSimulator from "../simulator/ShuftiSimulator.js";
+import { KYC_EVENT } from "../constants/constants.js";
+
+// End to end against the simulator: real fetch, app.js on the memory driver
+const CLIENT_ID = "client_sim";
+const SECRET_KEY = "secret_sim";
+const TABLES_PATH = fileURLToPath(new URL("../tables.json", import.meta.url));
+
+let server;
+let apiUrl;
+let callbackUrl;
+
+before(async () => {
+  ({ url: apiUrl } = await ShuftiSimulator.start({
+    port: 0,
+    delayScale: 0,
+    clientId: CLIENT_ID,
+    secretKey: SECRET_KEY,
+    callbackUrl: "",
+  }));
+  server = await new Promise((resolve) => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  callbackUrl = `http://127.0.0.1:${server.address().port}/kyc/webhook`;
+});
+
+after(async () => {
+  await ShuftiSimulator.stop();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(async () => {
+  ShuftiSimulator.reset();
+  ScyllaDb.configure({ driver: "memory" });
+  await ScyllaDb.loadTableConfigs(TABLES_PATH);
+  ShuftiProKyc.configure({
+    CLIENT_ID,
+    SECRET_KEY,
+    API_URL: apiUrl,
+    CALLBACK_URL: callbackUrl,
+  });
+});
+
+function startSession(userId, scenario) {
+  ShuftiSimulator.setScenario(scenario);
+  return ShuftiProKyc.createVerificationSession({
+    userId,
+    userEmail: `${userId}@example.com`,
+    userCountry: "AU",
+    documentConfig: { name: "John Does", dob: "1990-01-01" },
+  });
+}
+
+// Callbacks fire on timers; wait until the simulator has sent them all
+async function callbacksSent(reference, count) {
+  const deadline = Date.now() + 5000;
+  while (ShuftiSimulator.getSession(reference).callbacks.length < count) {
+    if (Date.now() > deadline) {
+      throw new Error(`No ${count} callbacks for ${reference}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+async function metaStatus(reference) {
+  return (await ShuftiProKyc.getRecordByReference(reference)).meta.status;
+}
+
+describe("Shufti simulator", () => {
+  test("accepted scenario ends accepted", async () => {
+    const { reference, verificationUrl } = await startSession("s1", "accepted");
+    assert.match(verificationUrl, /\/verify\//);
+
+    await callbacksSent(reference, 2);
+    assert.deepEqual(
+      ShuftiSimulator.getSession(reference).callbacks.map((c) => c.status),
+      [200, 200]
+    );
+    assert.equal(await metaStatus(reference), KYC_EVENT.VERIFICATION_ACCEPTED);
+  });
+
+  test("declined scenario ends declined", async () => {
+    const { reference } = await startSession("s2", "declined");
+
+    await callbacksSent(reference, 2);
+    assert.equal(await metaStatus(reference), KYC_EVENT.VERIFICATION_DECLINED);
+  });
+
+  test("timeout stays pending until reconcile polls /status", async () => {
+    // The timeout callback never reaches us (no callback URL)
+    ShuftiProKyc.configure({ CALLBACK_URL: "" });
+    const { reference } = await startSession("s3", "timeout");
+
+    await callbacksSent(reference, 1);
+    assert.equal(
+      ShuftiSimulator.getSession(reference).callbacks[0].delivered,
+      false
+    );
+    assert.equal(await metaStatus(reference), KYC_EVENT.REQUEST_PENDING);
+
+    const summary = await ShuftiProKyc.reconcilePending({ olderThan: 0 });
+    assert.equal(summary.updated, 1);
+    assert.equal(await metaStatus(reference), KYC_EVENT.REQUEST_TIMEOUT);
+  });
+});
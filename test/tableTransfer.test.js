@@ -0,0 +1,221 @@
+import { describe, test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import ScyllaDb from "../utils/ScyllaDb.js";
+import TableTransfer from "../utils/TableTransfer.js";
+
+const TABLE = "kyc_shufti";
+const TABLES_PATH = fileURLToPath(new URL("../tables.json", import.meta.url));
+
+const ROWS = [
+  {
+    pk: "user_1",
+    sk: "2025-01-10T00:00:00.000Z",
+    type: "webhook_event",
+    created_at: "2025-01-10T00:00:00.000Z",
+    webhookPayload: { event: "verification.accepted", nested: [1, "a"] },
+  },
+  {
+    pk: "user_1",
+    sk: "2025-03-01T00:00:00.000Z",
+    type: "webhook_event",
+    created_at: "2025-03-01T00:00:00.000Z",
+    ok: true,
+  },
+  {
+    pk: "meta_ref-1",
+    sk: "meta",
+    type: "meta",
+    created_at: "2025-02-01T00:00:00.000Z",
+    version: 3,
+  },
+  {
+    pk: "system_shufti",
+    sk: "2025-02-15T00:00:00.000Z",
+    type: "rate_limit",
+    created_at: "2025-02-15T00:00:00.000Z",
+    countInLastMinute: 61,
+    note: null,
+  },
+];
+
+const byKey = (a, b) => `${a.pk}|${a.sk}`.localeCompare(`${b.pk}|${b.sk}`);
+
+async function tableRows() {
+  return (await ScyllaDb.scan(TABLE)).sort(byKey);
+}
+
+async function readLines(file) {
+  return (await fs.readFile(file, "utf8"))
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
+
+async function emptyTable() {
+  for (const row of await ScyllaDb.scan(TABLE)) {
+    await ScyllaDb.deleteItem(TABLE, { pk: row.pk, sk: row.sk });
+  }
+}
+
+describe("table export / import", () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "transfer-"));
+  });
+
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  beforeEach(async (t) => {
+    t.mock.method(console, "log", () => {});
+    ScyllaDb.configure({ driver: "memory" });
+    await ScyllaDb.loadTableConfigs(TABLES_PATH);
+    await emptyTable();
+    for (const row of ROWS) await ScyllaDb.putItem(TABLE, row);
+  });
+
+  for (const format of TableTransfer.FORMATS) {
+    test(`round-trips every item in ${format} form`, async () => {
+      const file = path.join(dir, `${format}.jsonl`);
+      assert.deepEqual(
+        await TableTransfer.exportTable(TABLE, file, { format }),
+        { exported: 4, scanned: 4 }
+      );
+      const lines = await readLines(file);
+      assert.equal(
+        lines.every((line) => ScyllaDb.isMarshalledItem(line)),
+        format === "marshalled"
+      );
+
+      const before = await tableRows();
+      await emptyTable();
+      assert.deepEqual(await TableTransfer.importTable(TABLE, file), {
+        lines: 4,
+        imported: 4,
+        resumedFrom: 0,
+      });
+      assert.deepEqual(await tableRows(), before);
+    });
+  }
+
+  test("marshalled exports keep attribute types the plain form loses", async () => {
+    const key = { pk: { S: "user_3" }, sk: { S: "typed" } };
+    const Item = {
+      ...key,
+      tags: { SS: ["a", "b"] },
+      scores: { NS: ["1", "2.5"] },
+      big: { N: "12345678901234567890" },
+      price: { N: "1.50" },
+      blob: { B: "AAEC" },
+    };
+    await ScyllaDb.rawRequest("PutItem", { TableName: TABLE, Item });
+
+    const file = path.join(dir, "typed.jsonl");
+    await TableTransfer.exportTable(TABLE, file, { format: "marshalled" });
+    assert.deepEqual(
+      (await readLines(file)).find((line) => line.sk.S === "typed"),
+      Item
+    );
+
+    await emptyTable();
+    await TableTransfer.importTable(TABLE, file);
+    const { Item: imported } = await ScyllaDb.rawRequest("GetItem", {
+      TableName: TABLE,
+      Key: key,
+    });
+    assert.deepEqual(imported, Item);
+  });
+
+  test("filters the export by type and date range", async () => {
+    const file = path.join(dir, "filtered.jsonl");
+    await TableTransfer.exportTable(TABLE, file, {
+      type: "webhook_event",
+      from: "2025-02-01",
+    });
+    assert.deepEqual(
+      (await readLines(file)).map((r) => r.sk),
+      ["2025-03-01T00:00:00.000Z"]
+    );
+
+    await TableTransfer.exportTable(TABLE, file, {
+      type: ["meta", "rate_limit"],
+      to: "2025-02-10",
+    });
+    assert.deepEqual(
+      (await readLines(file)).map((r) => r.type),
+      ["meta"]
+    );
+  });
+
+  test("a date-only upper bound includes the whole day", async () => {
+    for (const at of ["2025-06-30T12:00:00.000Z", "2025-07-01T00:00:00.000Z"]) {
+      await ScyllaDb.putItem(TABLE, {
+        pk: "user_2",
+        sk: at,
+        type: "webhook_event",
+        created_at: at,
+      });
+    }
+    const file = path.join(dir, "boundary.jsonl");
+    await TableTransfer.exportTable(TABLE, file, {
+      from: "2025-06-30",
+      to: "2025-06-30",
+    });
+    assert.deepEqual(
+      (await readLines(file)).map((r) => r.created_at),
+      ["2025-06-30T12:00:00.000Z"]
+    );
+
+    await assert.rejects(
+      () => TableTransfer.exportTable(TABLE, file, { to: "2025-13-45" }),
+      { message: /invalid date/ }
+    );
+  });
+
+  test("resumes an interrupted import after the last written chunk", async () => {
+    const file = path.join(dir, "resume.jsonl");
+    await TableTransfer.exportTable(TABLE, file);
+    await emptyTable();
+
+    let calls = 0;
+    const request = ScyllaDb.request;
+    ScyllaDb.request = (target, ...rest) =>
+      target === "BatchWriteItem" && ++calls === 2
+        ? Promise.reject(new Error("Simulated outage"))
+        : request.call(ScyllaDb, target, ...rest);
+    try {
+      await assert.rejects(
+        () =>
+          TableTransfer.importTable(TABLE, file, { chunkSize: 2, retries: 0 }),
+        (err) => err.failures.length === 2 && /after line 2/.test(err.message)
+      );
+    } finally {
+      ScyllaDb.request = request;
+    }
+    assert.equal((await tableRows()).length, 2);
+    assert.deepEqual(
+      JSON.parse(await fs.readFile(`${file}.checkpoint`, "utf8")),
+      { table: TABLE, line: 2 }
+    );
+
+    assert.deepEqual(
+      await TableTransfer.importTable(TABLE, file, { chunkSize: 2 }),
+      { lines: 4, imported: 2, resumedFrom: 2 }
+    );
+    assert.deepEqual(await tableRows(), [...ROWS].sort(byKey));
+    await assert.rejects(() => fs.access(`${file}.checkpoint`));
+  });
+
+  test("rejects malformed lines with their line number", async () => {
+    const file = path.join(dir, "bad.jsonl");
+    await fs.writeFile(file, `${JSON.stringify(ROWS[0])}\n{oops\n`);
+    await assert.rejects(
+      () => TableTransfer.importTable(TABLE, file, { checkpoint: false }),
+      { message: /line 2 is not valid JSON/ }
+    );
+  });
+});
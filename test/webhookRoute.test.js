@@ -0,0 +1,138 @@
+import { describe, test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import app from "../app.js";
+import ShuftiProKyc from "../service/ShuftiProKyc.js";
+import { KYC_EVENT } from "../constants/constants.js";
+import { setupKyc, signedWebhook, createSession } from "./helpers.js";
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = await new Promise((resolve) => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => setupKyc());
+
+// global.fetch is the Shufti mock, so talk to our own server over http
+function postWebhook(rawBody, signature) {
+  return post(
+    "/kyc/webhook",
+    rawBody,
+    signature ? { Signature: signature } : {}
+  );
+}
+
+function post(path, rawBody, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      `${baseUrl}${path}`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...headers },
+      },
+      (res) => {
+        let data = "";
+        res.on("data", (chunk) => (data += chunk));
+        res.on("end", () =>
+          resolve({
+            status: res.statusCode,
+            body: data ? JSON.parse(data) : null,
+          })
+        );
+      }
+    );
+    req.on("error", reject);
+    req.end(rawBody);
+  });
+}
+
+describe("POST /kyc/webhook", () => {
+  test("applies a signed callback", async () => {
+    const { reference } = await createSession("route1");
+    const { rawBodyString, signatureHeader } = signedWebhook({
+      reference,
+      event: KYC_EVENT.VERIFICATION_ACCEPTED,
+    });
+
+    const res = await postWebhook(rawBodyString, signatureHeader);
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, {
+      ok: true,
+      reference,
+      event: KYC_EVENT.VERIFICATION_ACCEPTED,
+    });
+    assert.equal(await ShuftiProKyc.isUserValidated("route1"), true);
+  });
+
+  test("verifies the signature over the raw bytes", async () => {
+    const { reference } = await createSession("route2");
+    // Whitespace a JSON re-serialization would drop
+    const { rawBodyString, signatureHeader } = signedWebhook(
+      `{ "reference": "${reference}", "event": "${KYC_EVENT.VERIFICATION_DECLINED}" }`
+    );
+
+    const res = await postWebhook(rawBodyString, signatureHeader);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.event, KYC_EVENT.VERIFICATION_DECLINED);
+  });
+
+  test("returns 401 without a signature", async () => {
+    const res = await postWebhook(JSON.stringify({ reference: "ref-1" }));
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, "Missing signature");
+  });
+
+  test("returns 401 for a wrong signature", async () => {
+    const res = await postWebhook(
+      JSON.stringify({ reference: "ref-1", event: "verification.accepted" }),
+      "WRONG"
+    );
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, "Invalid signature");
+  });
+
+  test("returns 400 for an unknown background check", async () => {
+    const { rawBodyString, signatureHeader } = signedWebhook({
+      reference: "bgc-missing",
+      event: KYC_EVENT.VERIFICATION_ACCEPTED,
+    });
+    const res = await postWebhook(rawBodyString, signatureHeader);
+    assert.equal(res.status, 400);
+  });
+
+  test("acknowledges a duplicate delivery", async () => {
+    const { reference } = await createSession("route3");
+    const { rawBodyString, signatureHeader } = signedWebhook({
+      reference,
+      event: KYC_EVENT.VERIFICATION_ACCEPTED,
+    });
+
+    await postWebhook(rawBodyString, signatureHeader);
+    const replay = await postWebhook(rawBodyString, signatureHeader);
+    assert.equal(replay.status, 200);
+    assert.equal(replay.body.duplicate, true);
+  });
+});
+
+describe("POST /kyc/background-check", () => {
+  test("returns 404 for an unknown KYC reference", async () => {
+    const res = await post(
+      "/kyc/background-check",
+      JSON.stringify({
+        reference: "ref-missing",
+        firstName: "John",
+        lastName: "Does",
+      })
+    );
+    assert.equal(res.status, 404);
+    assert.match(res.body.error, /Unknown KYC reference/);
+  });
+});
@@ -0,0 +1,200 @@
+import crypto from "crypto";
+
+/**
+ * FieldCipher - AES-256-GCM field-level encryption with a key ring
+ * Encrypted values are self-describing strings:
+ *   enc:v1:<keyId>:<iv b64>:<tag b64>:<ciphertext b64>
+ * so rows written under an older key stay readable after rotation.
+ */
+export default class FieldCipher {
+  /* ---------- configurable defaults ---------- */
+  static ALGORITHM = "aes-256-gcm";
+  static PREFIX = "enc:v1";
+  static IV_BYTES = 12;
+  static KEY_BYTES = 32;
+
+  /* ---------- private in-memory state ---------- */
+  static #keys = new Map(); // keyId → Buffer
+  static #activeKeyId = null;
+
+  /**
+   * Configure the key ring
+   * keys: { keyId: base64Key } or "keyId:base64Key,keyId2:base64Key2"
+   * activeKeyId: key used for new writes (defaults to the last key listed)
+   */
+  static configure({ keys = {}, activeKeyId = null } = {}) {
+    const entries =
+      typeof keys === "string"
+        ? keys
+            .split(",")
+            .map((pair) => pair.trim())
+            .filter(Boolean)
+            .map((pair) => {
+              const at = pair.indexOf(":");
+              return [pair.slice(0, at), pair.slice(at + 1)];
+            })
+        : Object.entries(keys ?? {});
+
+    const ring = new Map();
+    for (const [id, material] of entries) {
+      if (!id || id.includes(":")) {
+        throw new TypeError(`FieldCipher: invalid key id "${id}"`);
+      }
+      const key = Buffer.isBuffer(material)
+        ? material
+        : Buffer.from(String(material), "base64");
+      if (key.length !== FieldCipher.KEY_BYTES) {
+        throw new TypeError(
+          `FieldCipher: key "${id}" must be ${FieldCipher.KEY_BYTES} bytes`
+        );
+      }
+      ring.set(id, key);
+    }
+
+    const active = activeKeyId || [...ring.keys()].pop() || null;
+    if (active && !ring.has(active)) {
+      throw new Error(`FieldCipher: active key "${active}" not in key ring`);
+    }
+
+    FieldCipher.#keys = ring;
+    FieldCipher.#activeKeyId = active;
+    return true;
+  }
+
+  /**
+   * True when at least one key is configured
+   */
+  static isEnabled() {
+    return FieldCipher.#activeKeyId !== null;
+  }
+
+  /**
+   * Key id used for new writes
+   */
+  static getActiveKeyId() {
+    return FieldCipher.#activeKeyId;
+  }
+
+  /**
+   * Check if a value is an encrypted envelope
+   */
+  static isEncrypted(value) {
+    return (
+      typeof value === "string" && value.startsWith(`${FieldCipher.PREFIX}:`)
+    );
+  }
+
+  /**
+   * Key id an encrypted envelope was written with (null for plaintext)
+   */
+  static keyIdOf(value) {
+    if (!FieldCipher.isEncrypted(value)) return null;
+    return value.slice(FieldCipher.PREFIX.length + 1).split(":")[0];
+  }
+
+  /**
+   * Encrypt any JSON-serializable value with the active key
+   */
+  static encryptValue(value, aad = "") {
+    if (!FieldCipher.isEnabled()) {
+      throw new Error("FieldCipher: no encryption key configured");
+    }
+    const keyId = FieldCipher.#activeKeyId;
+    const iv = crypto.randomBytes(FieldCipher.IV_BYTES);
+    const cipher = crypto.createCipheriv(
+      FieldCipher.ALGORITHM,
+      FieldCipher.#keys.get(keyId),
+      iv
+    );
+    cipher.setAAD(Buffer.from(String(aad), "utf8"));
+    const ciphertext = Buffer.concat([
+      cipher.update(JSON.stringify(value), "utf8"),
+      cipher.final(),
+    ]);
+    const tag = cipher.getAuthTag();
+
+    return [
+      FieldCipher.PREFIX,
+      keyId,
+      iv.toString("base64"),
+      tag.toString("base64"),
+      ciphertext.toString("base64"),
+    ].join(":");
+  }
+
+  /**
+   * Decrypt an envelope produced by encryptValue (plaintext passes through)
+   */
+  static decryptValue(value, aad = "") {
+    if (!FieldCipher.isEncrypted(value)) return value;
+
+    const [, , keyId, ivB64, tagB64, ctB64] = value.split(":");
+    const key = FieldCipher.#keys.get(keyId);
+    if (!key) {
+      throw new Error(`FieldCipher: unknown key id "${keyId}"`);
+    }
+
+    const decipher = crypto.createDecipheriv(
+      FieldCipher.ALGORITHM,
+      key,
+      Buffer.from(ivB64, "base64")
+    );
+    decipher.setAAD(Buffer.from(String(aad), "utf8"));
+    decipher.setAuthTag(Buffer.from(tagB64, "base64"));
+    const plaintext = Buffer.concat([
+      decipher.update(Buffer.from(ctB64, "base64")),
+      decipher.final(),
+    ]).toString("utf8");
+
+    return JSON.parse(plaintext);
+  }
+
+  /**
+   * Encrypt the listed fields of an item; stamps encKeyId on the row
+   * aadFor(field) binds each ciphertext to its row/field
+   */
+  static encryptFields(item, fields = [], aadFor = (field) => field) {
+    if (!FieldCipher.isEnabled() || !item || typeof item !== "object") {
+      return item;
+    }
+
+    const out = { ...item };
+    let touched = false;
+    for (const field of fields) {
+      const value = out[field];
+      if (value === null || value === undefined) continue;
+      if (FieldCipher.isEncrypted(value)) continue;
+      out[field] = FieldCipher.encryptValue(value, aadFor(field));
+      touched = true;
+    }
+    if (touched) out.encKeyId = FieldCipher.#activeKeyId;
+    return out;
+  }
+
+  /**
+   * Decrypt the listed fields of an item (plaintext fields are left as-is)
+   */
+  static decryptFields(item, fields = [], aadFor = (field) => field) {
+    if (!item || typeof item !== "object") return item;
+
+    const out = { ...item };
+    for (const field of fields) {
+      if (FieldCipher.isEncrypted(out[field])) {
+        out[field] = FieldCipher.decryptValue(out[field], aadFor(field));
+      }
+    }
+    return out;
+  }
+
+  /**
+   * True if any listed field is plaintext or under a non-active key
+   */
+  static needsReencryption(item, fields = []) {
+    if (!FieldCipher.isEnabled() || !item) return false;
+    return fields.some((field) => {
+      const value = item[field];
+      if (value === null || value === undefined) return false;
+      return FieldCipher.keyIdOf(value) !== FieldCipher.#activeKeyId;
+    });
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * LruCache - bounded in-process cache with per-entry TTL
+ * Least recently used entries are evicted once maxEntries is reached; expired
+ * entries are dropped when read. `undefined` means "not cached", so any other
+ * value (including false / null for a known-missing item) can be stored.
+ */
+export default class LruCache {
+  #entries = new Map(); // key → { value, expiresAt }, oldest use first
+  #maxEntries;
+  #now;
+  #stats = { hits: 0, misses: 0, evictions: 0, expirations: 0 };
+
+  constructor({ maxEntries = 1000, now = Date.now } = {}) {
+    if (!Number.isInteger(maxEntries) || maxEntries < 1) {
+      throw new TypeError("LruCache: maxEntries must be a positive integer");
+    }
+    this.#maxEntries = maxEntries;
+    this.#now = now;
+  }
+
+  /**
+   * Cached value, or undefined on a miss / expired entry
+   */
+  get(key) {
+    const entry = this.#entries.get(key);
+    if (!entry) {
+      this.#stats.misses += 1;
+      return undefined;
+    }
+    if (entry.expiresAt <= this.#now()) {
+      this.#entries.delete(key);
+      this.#stats.expirations += 1;
+      this.#stats.misses += 1;
+      return undefined;
+    }
+
+    // Re-insert: Map order is our recency order
+    this.#entries.delete(key);
+    this.#entries.set(key, entry);
+    this.#stats.hits += 1;
+    return entry.value;
+  }
+
+  /**
+   * Store value for ttlMs (ttlMs <= 0 stores nothing)
+   */
+  set(key, value, ttlMs) {
+    this.#entries.delete(key);
+    if (!(ttlMs > 0) || value === undefined) return;
+
+    this.#entries.set(key, { value, expiresAt: this.#now() + ttlMs });
+    while (this.#entries.size > this.#maxEntries) {
+      this.#entries.delete(this.#entries.keys().next().value);
+      this.#stats.evictions += 1;
+    }
+  }
+
+  delete(key) {
+    return this.#entries.delete(key);
+  }
+
+  /**
+   * Drop every entry whose key matches; returns how many were dropped
+   */
+  deleteWhere(predicate) {
+    let dropped = 0;
+    for (const key of [...this.#entries.keys()]) {
+      if (predicate(key)) {
+        this.#entries.delete(key);
+        dropped += 1;
+      }
+    }
+    return dropped;
+  }
+
+  clear() {
+    this.#entries.clear();
+  }
+
+  /**
+   * { size, maxEntries, hits, misses, hitRate, evictions, expirations }
+   */
+  stats() {
+    const { hits, misses } = this.#stats;
+    return {
+      size: this.#entries.size,
+      maxEntries: this.#maxEntries,
+      ...this.#stats,
+      hitRate: hits + misses ? hits / (hits + misses) : 0,
+    };
+  }
+}
@@ -0,0 +1,1099 @@
+/**
+ * MemoryDriver - in-process stand-in for the Alternator HTTP endpoint
+ * Speaks the same DynamoDB JSON protocol as ScyllaDb.request (marshalled
+ * payloads in, marshalled responses out), so every ScyllaDb code path runs
+ * unchanged against it. Used for tests and offline local dev:
+ *   ScyllaDb.configure({ driver: "memory" })
+ */
+export default class MemoryDriver {
+  static ERROR_PREFIX = "com.amazonaws.dynamodb.v20120810#";
+
+  /* ---------- private in-memory state ---------- */
+  #tables = new Map(); // TableName → { schema, items: Map(keyString → item), ttl }
+
+  /* ============================================================
+   *  Entry point
+   * ========================================================== */
+
+  /**
+   * Handle one DynamoDB API call → { status, body }
+   */
+  handle(target, payload = {}) {
+    const op = MemoryDriver.#operations[target];
+    if (!op) {
+      return MemoryDriver.#error(
+        "UnknownOperationException",
+        `Operation ${target} is not supported by the memory driver`
+      );
+    }
+    try {
+      return { status: 200, body: op.call(this, payload) ?? {} };
+    } catch (err) {
+      if (err instanceof DriverError) {
+        return MemoryDriver.#error(err.awsType, err.message, err.details);
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Create a table from a CreateTable schema unless it already exists
+   */
+  ensureTable(schema) {
+    const normalized = MemoryDriver.#normalizeSchema(schema);
+    if (!this.#tables.has(normalized.TableName)) {
+      this.#tables.set(normalized.TableName, {
+        schema: normalized,
+        items: new Map(),
+      });
+    }
+    return true;
+  }
+
+  /**
+   * Drop every table and item
+   */
+  reset() {
+    this.#tables.clear();
+  }
+
+  /**
+   * Does a marshalled item (null = missing) satisfy payload.ConditionExpression?
+   * Used to emulate ConditionCheck on backends without transactions.
+   */
+  static matchesCondition(payload, item) {
+    return evaluateCondition(payload.ConditionExpression, item ?? {}, payload);
+  }
+
+  static #operations = {
+    CreateTable(payload) {
+      if (this.#tables.has(payload.TableName)) {
+        throw new DriverError(
+          "ResourceInUseException",
+          `Table already exists: ${payload.TableName}`
+        );
+      }
+      this.ensureTable(payload);
+      return { TableDescription: this.#describe(payload.TableName) };
+    },
+
+    DeleteTable(payload) {
+      const description = this.#describe(payload.TableName);
+      this.#tables.delete(payload.TableName);
+      return { TableDescription: { ...description, TableStatus: "DELETING" } };
+    },
+
+    DescribeTable(payload) {
+      return { Table: this.#describe(payload.TableName) };
+    },
+
+    ListTables() {
+      return { TableNames: [...this.#tables.keys()] };
+    },
+
+    // GSI create / delete (+ the AttributeDefinitions new indexes need)
+    UpdateTable(payload) {
+      const table = this.#table(payload.TableName);
+      const schema = clone(table.schema);
+
+      for (const def of payload.AttributeDefinitions ?? []) {
+        schema.AttributeDefinitions = [
+          ...(schema.AttributeDefinitions ?? []).filter(
+            (existing) => existing.AttributeName !== def.AttributeName
+          ),
+          def,
+        ];
+      }
+
+      for (const update of payload.GlobalSecondaryIndexUpdates ?? []) {
+        const indexes = schema.GlobalSecondaryIndexes ?? [];
+        const { Create, Delete } = update;
+        if (Create) {
+          if (indexes.some((i) => i.IndexName === Create.IndexName)) {
+            throw new DriverError(
+              "ValidationException",
+              `Attempting to create an index which already exists: ${Create.IndexName}`
+            );
+          }
+          const undeclared = Create.KeySchema.find(
+            (k) =>
+              !schema.AttributeDefinitions?.some(
+                (def) => def.AttributeName === k.AttributeName
+              )
+          );
+          if (undeclared) {
+            throw new DriverError(
+              "ValidationException",
+              `Index key attribute ${undeclared.AttributeName} is not defined in AttributeDefinitions`
+            );
+          }
+          schema.GlobalSecondaryIndexes = [...indexes, clone(Create)];
+        } else if (Delete) {
+          if (!indexes.some((i) => i.IndexName === Delete.IndexName)) {
+            throw new DriverError(
+              "ResourceNotFoundException",
+              `Requested resource not found: Index: ${Delete.IndexName} not found`
+            );
+          }
+          schema.GlobalSecondaryIndexes = indexes.filter(
+            (i) => i.IndexName !== Delete.IndexName
+          );
+        }
+      }
+
+      table.schema = schema;
+      return { TableDescription: this.#describe(payload.TableName) };
+    },
+
+    UpdateTimeToLive(payload) {
+      const table = this.#table(payload.TableName);
+      const { AttributeName, Enabled } = payload.TimeToLiveSpecification ?? {};
+      if (!AttributeName || typeof Enabled !== "boolean") {
+        throw new DriverError(
+          "ValidationException",
+          "TimeToLiveSpecification needs AttributeName and Enabled"
+        );
+      }
+      if (Boolean(table.ttl) === Enabled) {
+        throw new DriverError(
+          "ValidationException",
+          `TimeToLive is already ${Enabled ? "enabled" : "disabled"}`
+        );
+      }
+      table.ttl = Enabled ? AttributeName : null;
+      return { TimeToLiveSpecification: { AttributeName, Enabled } };
+    },
+
+    DescribeTimeToLive(payload) {
+      const { ttl } = this.#table(payload.TableName);
+      return {
+        TimeToLiveDescription: ttl
+          ? { TimeToLiveStatus: "ENABLED", AttributeName: ttl }
+          : { TimeToLiveStatus: "DISABLED" },
+      };
+    },
+
+    PutItem(payload) {
+      const table = this.#table(payload.TableName);
+      const key = this.#keyString(table, payload.Item);
+      const old = table.items.get(key);
+
+      this.#checkCondition(payload, old);
+      table.items.set(key, clone(payload.Item));
+
+      return payload.ReturnValues === "ALL_OLD" && old
+        ? { Attributes: clone(old) }
+        : {};
+    },
+
+    GetItem(payload) {
+      const table = this.#table(payload.TableName);
+      const item = table.items.get(this.#keyString(table, payload.Key));
+      return item ? { Item: project(item, payload) } : {};
+    },
+
+    DeleteItem(payload) {
+      const table = this.#table(payload.TableName);
+      const key = this.#keyString(table, payload.Key);
+      const old = table.items.get(key);
+
+      this.#checkCondition(payload, old);
+      table.items.delete(key);
+
+      return payload.ReturnValues === "ALL_OLD" && old
+        ? { Attributes: clone(old) }
+        : {};
+    },
+
+    UpdateItem(payload) {
+      const table = this.#table(payload.TableName);
+      const key = this.#keyString(table, payload.Key);
+      const old = table.items.get(key);
+
+      this.#checkCondition(payload, old);
+
+      const next = clone(old ?? payload.Key);
+      if (payload.UpdateExpression) {
+        applyUpdate(next, payload.UpdateExpression, payload);
+      }
+      this.#keyString(table, next); // key attributes must survive the update
+      table.items.set(key, next);
+
+      switch (payload.ReturnValues) {
+        case "ALL_NEW":
+          return { Attributes: clone(next) };
+        case "ALL_OLD":
+          return old ? { Attributes: clone(old) } : {};
+        default:
+          return {};
+      }
+    },
+
+    Query(payload) {
+      const table = this.#table(payload.TableName);
+      const keys = this.#indexKeys(table, payload.IndexName);
+
+      const candidates = [...table.items.values()].filter(
+        (item) =>
+          item[keys.hash] !== undefined &&
+          (!keys.range || item[keys.range] !== undefined) &&
+          evaluateCondition(payload.KeyConditionExpression, item, payload)
+      );
+      candidates.sort((a, b) => this.#compareItems(table, keys, a, b));
+      if (payload.ScanIndexForward === false) candidates.reverse();
+
+      return this.#page(table, keys, candidates, payload);
+    },
+
+    Scan(payload) {
+      const table = this.#table(payload.TableName);
+      const keys = this.#indexKeys(table, payload.IndexName);
+
+      const segment = scanSegment(payload);
+      const candidates = [...table.items.values()].filter(
+        (item) =>
+          item[keys.hash] !== undefined &&
+          (!keys.range || item[keys.range] !== undefined) &&
+          (!segment || segment.includes(item[keys.hash]))
+      );
+      candidates.sort((a, b) => this.#compareItems(table, keys, a, b));
+
+      return this.#page(table, keys, candidates, payload);
+    },
+
+    BatchWriteItem(payload) {
+      checkBatchSize(payload, "BatchWriteItem", 25, (requests) => requests);
+      for (const [tableName, requests] of Object.entries(
+        payload.RequestItems ?? {}
+      )) {
+        for (const request of requests) {
+          if (request.PutRequest) {
+            MemoryDriver.#operations.PutItem.call(this, {
+              TableName: tableName,
+              Item: request.PutRequest.Item,
+            });
+          } else if (request.DeleteRequest) {
+            MemoryDriver.#operations.DeleteItem.call(this, {
+              TableName: tableName,
+              Key: request.DeleteRequest.Key,
+            });
+          }
+        }
+      }
+      return { UnprocessedItems: {} };
+    },
+
+    // All-or-nothing: every condition is checked before anything is written
+    TransactWriteItems(payload) {
+      const actions = (payload.TransactItems ?? []).map((action) => {
+        const [type, request] = Object.entries(action)[0] ?? [];
+        if (!TRANSACT_ACTIONS.has(type)) {
+          throw new DriverError(
+            "ValidationException",
+            `Unsupported transaction action: ${type}`
+          );
+        }
+        return { type, request };
+      });
+      if (!actions.length || actions.length > 100) {
+        throw new DriverError(
+          "ValidationException",
+          "TransactItems must contain between 1 and 100 actions"
+        );
+      }
+
+      const touched = new Set();
+      const reasons = actions.map(({ request }) => {
+        const table = this.#table(request.TableName);
+        const key = this.#keyString(table, request.Item ?? request.Key);
+        const id = JSON.stringify([request.TableName, key]);
+        if (touched.has(id)) {
+          throw new DriverError(
+            "ValidationException",
+            "Transaction request cannot include multiple operations on one item"
+          );
+        }
+        touched.add(id);
+
+        const passed =
+          !request.ConditionExpression ||
+          evaluateCondition(
+            request.ConditionExpression,
+            table.items.get(key) ?? {},
+            request
+          );
+        return passed
+          ? { Code: "None" }
+          : {
+              Code: "ConditionalCheckFailed",
+              Message: "The conditional request failed",
+            };
+      });
+
+      if (reasons.some((reason) => reason.Code !== "None")) {
+        throw new DriverError(
+          "TransactionCanceledException",
+          "Transaction cancelled, please refer cancellation reasons for " +
+            `specific reasons [${reasons.map((r) => r.Code).join(", ")}]`,
+          { CancellationReasons: reasons }
+        );
+      }
+
+      for (const { type, request } of actions) {
+        const { ConditionExpression, ...write } = request; // checked above
+        if (type === "ConditionCheck") continue;
+        MemoryDriver.#operations[`${type}Item`].call(this, write);
+      }
+      return {};
+    },
+
+    BatchGetItem(payload) {
+      checkBatchSize(payload, "BatchGetItem", 100, (request) => request.Keys);
+      const Responses = {};
+      for (const [tableName, request] of Object.entries(
+        payload.RequestItems ?? {}
+      )) {
+        const table = this.#table(tableName);
+        Responses[tableName] = (request.Keys ?? [])
+          .map((key) => table.items.get(this.#keyString(table, key)))
+          .filter(Boolean)
+          .map((item) => project(item, request));
+      }
+      return { Responses, UnprocessedKeys: {} };
+    },
+  };
+
+  /* ============================================================
+   *  Table helpers
+   * ========================================================== */
+
+  #table(name) {
+    const table = this.#tables.get(name);
+    if (!table) {
+      throw new DriverError(
+        "ResourceNotFoundException",
+        `Requested resource not found: Table: ${name} not found`
+      );
+    }
+    if (table.ttl) this.#dropExpired(table);
+    return table;
+  }
+
+  // TTL is enforced lazily: expired items are deleted on the next table access
+  #dropExpired(table) {
+    const now = Date.now() / 1000;
+    for (const [key, item] of table.items) {
+      const expiresAt = item[table.ttl]?.N;
+      if (expiresAt !== undefined && Number(expiresAt) <= now) {
+        table.items.delete(key);
+      }
+    }
+  }
+
+  #describe(name) {
+    const { schema, items } = this.#table(name);
+    return {
+      ...clone(schema),
+      TableStatus: "ACTIVE",
+      ItemCount: items.size,
+    };
+  }
+
+  // Key attribute names for the table or one of its GSIs/LSIs
+  #indexKeys(table, indexName) {
+    const keySchema = indexName
+      ? [
+          ...(table.schema.GlobalSecondaryIndexes ?? []),
+          ...(table.schema.LocalSecondaryIndexes ?? []),
+        ].find((index) => index.IndexName === indexName)?.KeySchema
+      : table.schema.KeySchema;
+    if (!keySchema) {
+      throw new DriverError(
+        "ValidationException",
+        `The table does not have the specified index: ${indexName}`
+      );
+    }
+    return {
+      hash: keySchema.find((k) => k.KeyType === "HASH")?.AttributeName,
+      range: keySchema.find((k) => k.KeyType === "RANGE")?.AttributeName,
+      index: indexName ?? null,
+    };
+  }
+
+  // Validate primary key attributes (presence + declared type) → storage key
+  #keyString(table, item) {
+    const { hash, range } = this.#indexKeys(table, null);
+    const parts = [];
+    for (const name of [hash, range].filter(Boolean)) {
+      const value = item?.[name];
+      const declared = table.schema.AttributeDefinitions?.find(
+        (def) => def.AttributeName === name
+      )?.AttributeType;
+      if (!value || (declared && !(declared in value))) {
+        throw new DriverError(
+          "ValidationException",
+          `One or more parameter values were invalid: Missing the key ${name} in the item`
+        );
+      }
+      parts.push(value);
+    }
+    return JSON.stringify(parts);
+  }
+
+  // Sort by index range key, then by table key for a stable order
+  #compareItems(table, keys, a, b) {
+    const primary = this.#indexKeys(table, null);
+    const order = [keys.hash, keys.range, primary.hash, primary.range].filter(
+      Boolean
+    );
+    for (const name of order) {
+      const diff = compareValues(a[name], b[name]);
+      if (diff !== 0) return diff;
+    }
+    return 0;
+  }
+
+  // Limit / ExclusiveStartKey / FilterExpression / projection for Query + Scan
+  #page(table, keys, candidates, payload) {
+    const primary = this.#indexKeys(table, null);
+    const keyNames = [
+      ...new Set(
+        [keys.hash, keys.range, primary.hash, primary.range].filter(Boolean)
+      ),
+    ];
+
+    let start = 0;
+    if (payload.ExclusiveStartKey) {
+      const esk = payload.ExclusiveStartKey;
+      const forward = payload.ScanIndexForward !== false;
+      start = candidates.findIndex((item) => {
+        const diff = this.#compareItems(table, keys, item, esk);
+        return forward ? diff > 0 : diff < 0;
+      });
+      if (start === -1) start = candidates.length;
+    }
+
+    const limit =
+      Number.isInteger(payload.Limit) && payload.Limit > 0
+        ? payload.Limit
+        : Infinity;
+    const evaluated = candidates.slice(start, start + limit);
+    const more = start + evaluated.length < candidates.length;
+
+    const matched = payload.FilterExpression
+      ? evaluated.filter((item) =>
+          evaluateCondition(payload.FilterExpression, item, payload)
+        )
+      : evaluated;
+
+    const response = {
+      Items: matched.map((item) => project(item, payload)),
+      Count: matched.length,
+      ScannedCount: evaluated.length,
+    };
+    if (
+      payload.ReturnConsumedCapacity &&
+      payload.ReturnConsumedCapacity !== "NONE"
+    ) {
+      // 0.5 units per started 4 KB read (eventually consistent)
+      const bytes = Buffer.byteLength(JSON.stringify(evaluated));
+      response.ConsumedCapacity = {
+        TableName: payload.TableName,
+        CapacityUnits: Math.max(1, Math.ceil(bytes / 4096)) * 0.5,
+      };
+    }
+    if (more && evaluated.length) {
+      const last = evaluated[evaluated.length - 1];
+      response.LastEvaluatedKey = Object.fromEntries(
+        keyNames.map((name) => [name, clone(last[name])])
+      );
+    }
+    return response;
+  }
+
+  #checkCondition(payload, existing) {
+    if (!payload.ConditionExpression) return;
+    if (
+      !evaluateCondition(payload.ConditionExpression, existing ?? {}, payload)
+    ) {
+      throw new DriverError(
+        "ConditionalCheckFailedException",
+        "The conditional request failed"
+      );
+    }
+  }
+
+  /* ---------- private utilities ---------- */
+  static #normalizeSchema(schema) {
+    if (!schema?.TableName) {
+      throw new TypeError("MemoryDriver: schema.TableName is required");
+    }
+    if (Array.isArray(schema.KeySchema)) return clone(schema);
+
+    // Legacy { PK, SK } configs → CreateTable shape (string keys)
+    return {
+      TableName: schema.TableName,
+      KeySchema: [
+        { AttributeName: schema.PK, KeyType: "HASH" },
+        ...(schema.SK ? [{ AttributeName: schema.SK, KeyType: "RANGE" }] : []),
+      ],
+      AttributeDefinitions: [schema.PK, schema.SK]
+        .filter(Boolean)
+        .map((name) => ({ AttributeName: name, AttributeType: "S" })),
+    };
+  }
+
+  static #error(type, message, details = {}) {
+    return {
+      status: 400,
+      body: {
+        __type: `${MemoryDriver.ERROR_PREFIX}${type}`,
+        message,
+        ...details,
+      },
+    };
+  }
+}
+
+// DynamoDB caps a batch at `limit` requests across all tables
+function checkBatchSize(payload, target, limit, requestsOf) {
+  const size = Object.values(payload.RequestItems ?? {}).reduce(
+    (n, entry) => n + (requestsOf(entry)?.length ?? 0),
+    0
+  );
+  if (size > limit) {
+    throw new DriverError(
+      "ValidationException",
+      `Too many items requested for the ${target} call`
+    );
+  }
+}
+
+// Segment / TotalSegments → { includes(hashValue) }, or null for a full scan;
+// items are spread over segments by a hash of their partition key
+function scanSegment({ Segment, TotalSegments }) {
+  if (Segment === undefined && TotalSegments === undefined) return null;
+  if (
+    !Number.isInteger(TotalSegments) ||
+    TotalSegments < 1 ||
+    TotalSegments > 1000000 ||
+    !Number.isInteger(Segment) ||
+    Segment < 0 ||
+    Segment >= TotalSegments
+  ) {
+    throw new DriverError(
+      "ValidationException",
+      "Segment must be less than TotalSegments and both must be set together"
+    );
+  }
+  return {
+    includes: (hashValue) =>
+      fnv1a(JSON.stringify(hashValue)) % TotalSegments === Segment,
+  };
+}
+
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+const TRANSACT_ACTIONS = new Set(["Put", "Update", "Delete", "ConditionCheck"]);
+
+class DriverError extends Error {
+  constructor(awsType, message, details = {}) {
+    super(message);
+    this.awsType = awsType;
+    this.details = details; // extra response fields (CancellationReasons, ...)
+  }
+}
+
+/* ============================================================
+ *  Attribute value helpers (values stay marshalled: { S }, { N }, ...)
+ * ========================================================== */
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function typeOf(av) {
+  return av && typeof av === "object" ? Object.keys(av)[0] : undefined;
+}
+
+// -1 / 0 / 1 for same-typed scalars; NaN when not comparable
+function compareValues(a, b) {
+  const ta = typeOf(a);
+  const tb = typeOf(b);
+  if (ta === undefined && tb === undefined) return 0;
+  if (ta === undefined) return -1;
+  if (tb === undefined) return 1;
+  if (ta !== tb) return NaN;
+  if (ta === "N") return Math.sign(Number(a.N) - Number(b.N));
+  if (ta === "S" || ta === "B") {
+    return a[ta] < b[ta] ? -1 : a[ta] > b[ta] ? 1 : 0;
+  }
+  return JSON.stringify(a) === JSON.stringify(b) ? 0 : NaN;
+}
+
+function valuesEqual(a, b) {
+  if (a === undefined || b === undefined) return false;
+  return compareValues(a, b) === 0;
+}
+
+function project(item, payload) {
+  if (!payload?.ProjectionExpression) return clone(item);
+  const out = {};
+  for (const path of payload.ProjectionExpression.split(",")) {
+    const segments = parsePathString(path.trim(), payload);
+    const value = getPath(item, segments);
+    if (value !== undefined) setPath(out, segments, clone(value));
+  }
+  return out;
+}
+
+/* ============================================================
+ *  Expression parsing (condition / key condition / filter / update)
+ * ========================================================== */
+
+const KEYWORDS = new Set([
+  "AND",
+  "OR",
+  "NOT",
+  "BETWEEN",
+  "IN",
+  "SET",
+  "REMOVE",
+  "ADD",
+  "DELETE",
+]);
+
+function tokenize(expr) {
+  const tokens = [];
+  const re =
+    /\s*(<>|<=|>=|=|<|>|\(|\)|,|\+|-|\[\d+\]|\.|#[A-Za-z0-9_]+|:[A-Za-z0-9_]+|[A-Za-z_][A-Za-z0-9_]*)/y;
+  let pos = 0;
+  while (pos < expr.length) {
+    if (/^\s*$/.test(expr.slice(pos))) break;
+    re.lastIndex = pos;
+    const match = re.exec(expr);
+    if (!match) {
+      throw new DriverError(
+        "ValidationException",
+        `Invalid expression near "${expr.slice(pos, pos + 20)}"`
+      );
+    }
+    tokens.push(match[1]);
+    pos = re.lastIndex;
+  }
+  return tokens;
+}
+
+class Parser {
+  constructor(expr, payload) {
+    this.tokens = tokenize(expr);
+    this.pos = 0;
+    this.names = payload.ExpressionAttributeNames ?? {};
+    this.values = payload.ExpressionAttributeValues ?? {};
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.pos + offset];
+  }
+  peekKeyword() {
+    const token = this.peek();
+    return token && KEYWORDS.has(token.toUpperCase())
+      ? token.toUpperCase()
+      : null;
+  }
+  next() {
+    return this.tokens[this.pos++];
+  }
+  expect(token) {
+    const got = this.next();
+    if (got?.toUpperCase() !== token) {
+      throw new DriverError(
+        "ValidationException",
+        `Invalid expression: expected "${token}" but got "${got ?? "end"}"`
+      );
+    }
+  }
+  done() {
+    return this.pos >= this.tokens.length;
+  }
+
+  /* ----- conditions → (item) => boolean ----------------------------------- */
+  parseCondition() {
+    const node = this.parseOr();
+    if (!this.done()) {
+      throw new DriverError(
+        "ValidationException",
+        `Invalid expression: unexpected "${this.peek()}"`
+      );
+    }
+    return node;
+  }
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.peekKeyword() === "OR") {
+      this.next();
+      const a = left;
+      const b = this.parseAnd();
+      left = (item) => a(item) || b(item);
+    }
+    return left;
+  }
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.peekKeyword() === "AND") {
+      this.next();
+      const a = left;
+      const b = this.parseNot();
+      left = (item) => a(item) && b(item);
+    }
+    return left;
+  }
+  parseNot() {
+    if (this.peekKeyword() === "NOT") {
+      this.next();
+      const inner = this.parseNot();
+      return (item) => !inner(item);
+    }
+    return this.parsePredicate();
+  }
+  parsePredicate() {
+    if (this.peek() === "(") {
+      this.next();
+      const inner = this.parseOr();
+      this.expect(")");
+      return inner;
+    }
+
+    const fn = this.peek()?.toLowerCase();
+    if (this.peek(1) === "(" && CONDITION_FUNCTIONS.has(fn)) {
+      this.next();
+      this.expect("(");
+      const args = [this.parseOperand()];
+      while (this.peek() === ",") {
+        this.next();
+        args.push(this.parseOperand());
+      }
+      this.expect(")");
+      return CONDITION_FUNCTIONS.get(fn)(args);
+    }
+
+    const left = this.parseOperand();
+    const op = this.peekKeyword() ?? this.peek();
+
+    if (op === "BETWEEN") {
+      this.next();
+      const low = this.parseOperand();
+      this.expect("AND");
+      const high = this.parseOperand();
+      return (item) => {
+        const v = left(item);
+        return (
+          COMPARATORS.get(">=")(v, low(item)) &&
+          COMPARATORS.get("<=")(v, high(item))
+        );
+      };
+    }
+
+    if (op === "IN") {
+      this.next();
+      this.expect("(");
+      const options = [this.parseOperand()];
+      while (this.peek() === ",") {
+        this.next();
+        options.push(this.parseOperand());
+      }
+      this.expect(")");
+      return (item) => options.some((o) => valuesEqual(left(item), o(item)));
+    }
+
+    if (!COMPARATORS.has(op)) {
+      throw new DriverError(
+        "ValidationException",
+        `Invalid expression: unexpected "${op ?? "end"}"`
+      );
+    }
+    this.next();
+    const right = this.parseOperand();
+    const compare = COMPARATORS.get(op);
+    return (item) => compare(left(item), right(item));
+  }
+
+  /* ----- operands → (item) => attribute value ------------------------------ */
+  parseOperand() {
+    const token = this.peek();
+    if (token?.startsWith(":")) {
+      this.next();
+      if (!(token in this.values)) {
+        throw new DriverError(
+          "ValidationException",
+          `An expression attribute value used in expression is not defined: ${token}`
+        );
+      }
+      const value = this.values[token];
+      return () => value;
+    }
+    if (token?.toLowerCase() === "size" && this.peek(1) === "(") {
+      this.next();
+      this.expect("(");
+      const path = this.parsePath();
+      this.expect(")");
+      return (item) => {
+        const v = getPath(item, path);
+        const type = typeOf(v);
+        if (type === "S") return { N: String(v.S.length) };
+        if (type === "L") return { N: String(v.L.length) };
+        if (type === "M") return { N: String(Object.keys(v.M).length) };
+        if (type === "SS" || type === "NS") {
+          return { N: String(v[type].length) };
+        }
+        return undefined;
+      };
+    }
+    const path = this.parsePath();
+    return (item) => getPath(item, path);
+  }
+
+  parsePath() {
+    const segments = [this.resolveName(this.next())];
+    while (this.peek() === "." || /^\[\d+\]$/.test(this.peek() ?? "")) {
+      const token = this.next();
+      if (token === ".") segments.push(this.resolveName(this.next()));
+      else segments.push(Number(token.slice(1, -1)));
+    }
+    return segments;
+  }
+
+  resolveName(token) {
+    if (!token || KEYWORDS.has(token.toUpperCase())) {
+      throw new DriverError(
+        "ValidationException",
+        `Invalid expression: expected attribute name, got "${token ?? "end"}"`
+      );
+    }
+    if (token.startsWith("#")) {
+      if (!(token in this.names)) {
+        throw new DriverError(
+          "ValidationException",
+          `An expression attribute name used in expression is not defined: ${token}`
+        );
+      }
+      return this.names[token];
+    }
+    return token;
+  }
+
+  /* ----- update expression → (item) => void ------------------------------- */
+  parseUpdate() {
+    const actions = [];
+    while (!this.done()) {
+      const clause = this.peekKeyword();
+      this.next();
+      do {
+        if (actions.length && this.peek() === ",") this.next();
+        actions.push(this.parseUpdateAction(clause));
+      } while (this.peek() === ",");
+    }
+    return (item) => {
+      // Right-hand sides see the pre-update item, like DynamoDB
+      const snapshot = clone(item);
+      for (const action of actions) action(item, snapshot);
+    };
+  }
+
+  parseUpdateAction(clause) {
+    const path = this.parsePath();
+    switch (clause) {
+      case "SET": {
+        this.expect("=");
+        let value = this.parseSetOperand();
+        if (this.peek() === "+" || this.peek() === "-") {
+          const sign = this.next() === "+" ? 1 : -1;
+          const left = value;
+          const right = this.parseSetOperand();
+          value = (snapshot) => ({
+            N: String(
+              Number(left(snapshot)?.N ?? NaN) +
+                sign * Number(right(snapshot)?.N ?? NaN)
+            ),
+          });
+        }
+        return (item, snapshot) => setPath(item, path, clone(value(snapshot)));
+      }
+      case "REMOVE":
+        return (item) => removePath(item, path);
+      case "ADD": {
+        const operand = this.parseOperand();
+        return (item, snapshot) => {
+          const add = operand(snapshot);
+          const current = getPath(snapshot, path);
+          if (typeOf(add) === "N") {
+            const base = Number(current?.N ?? 0);
+            setPath(item, path, { N: String(base + Number(add.N)) });
+          } else {
+            const type = typeOf(add);
+            const merged = [
+              ...new Set([...(current?.[type] ?? []), ...add[type]]),
+            ];
+            setPath(item, path, { [type]: merged });
+          }
+        };
+      }
+      case "DELETE": {
+        const operand = this.parseOperand();
+        return (item, snapshot) => {
+          const remove = operand(snapshot);
+          const type = typeOf(remove);
+          const current = getPath(snapshot, path)?.[type] ?? [];
+          const left = current.filter((v) => !remove[type].includes(v));
+          if (left.length) setPath(item, path, { [type]: left });
+          else removePath(item, path);
+        };
+      }
+      default:
+        throw new DriverError(
+          "ValidationException",
+          `Invalid UpdateExpression clause: ${clause}`
+        );
+    }
+  }
+
+  parseSetOperand() {
+    const fn = this.peek()?.toLowerCase();
+    if (
+      this.peek(1) === "(" &&
+      (fn === "if_not_exists" || fn === "list_append")
+    ) {
+      this.next();
+      this.expect("(");
+      const a = this.parseSetOperand();
+      this.expect(",");
+      const b = this.parseSetOperand();
+      this.expect(")");
+      if (fn === "if_not_exists") {
+        return (snapshot) => a(snapshot) ?? b(snapshot);
+      }
+      return (snapshot) => ({
+        L: [...(a(snapshot)?.L ?? []), ...(b(snapshot)?.L ?? [])],
+      });
+    }
+    return this.parseOperand();
+  }
+}
+
+const COMPARATORS = new Map([
+  ["=", (a, b) => valuesEqual(a, b)],
+  ["<>", (a, b) => !valuesEqual(a, b)],
+  ["<", ordered((diff) => diff < 0)],
+  ["<=", ordered((diff) => diff <= 0)],
+  [">", ordered((diff) => diff > 0)],
+  [">=", ordered((diff) => diff >= 0)],
+]);
+
+// Like DynamoDB: ordering against a missing attribute is false (not "smallest")
+function ordered(test) {
+  return (a, b) =>
+    a !== undefined && b !== undefined && test(compareValues(a, b));
+}
+
+const CONDITION_FUNCTIONS = new Map([
+  [
+    "attribute_exists",
+    ([path]) =>
+      (item) =>
+        path(item) !== undefined,
+  ],
+  [
+    "attribute_not_exists",
+    ([path]) =>
+      (item) =>
+        path(item) === undefined,
+  ],
+  [
+    "attribute_type",
+    ([path, type]) =>
+      (item) =>
+        typeOf(path(item)) === type(item)?.S,
+  ],
+  [
+    "begins_with",
+    ([path, prefix]) =>
+      (item) => {
+        const v = path(item);
+        const p = prefix(item);
+        return typeOf(v) === "S" && typeOf(p) === "S" && v.S.startsWith(p.S);
+      },
+  ],
+  [
+    "contains",
+    ([path, operand]) =>
+      (item) => {
+        const v = path(item);
+        const o = operand(item);
+        const type = typeOf(v);
+        if (type === "S") return typeOf(o) === "S" && v.S.includes(o.S);
+        if (type === "L") return v.L.some((el) => valuesEqual(el, o));
+        if (type === "SS" || type === "NS") {
+          return v[type].includes(o?.[type.slice(0, 1)]);
+        }
+        return false;
+      },
+  ],
+]);
+
+function evaluateCondition(expr, item, payload) {
+  if (!expr) return true;
+  return new Parser(expr, payload).parseCondition()(item);
+}
+
+function applyUpdate(item, expr, payload) {
+  new Parser(expr, payload).parseUpdate()(item);
+}
+
+function parsePathString(path, payload) {
+  return new Parser(path, payload).parsePath();
+}
+
+/* ----- nested path access on marshalled items ----------------------------- */
+function getPath(item, segments) {
+  let current = item?.[segments[0]];
+  for (const segment of segments.slice(1)) {
+    if (current === undefined) return undefined;
+    current =
+      typeof segment === "number" ? current.L?.[segment] : current.M?.[segment];
+  }
+  return current;
+}
+
+function setPath(item, segments, value) {
+  if (segments.length === 1) {
+    item[segments[0]] = value;
+    return;
+  }
+  const parent = getPath(item, segments.slice(0, -1));
+  const last = segments[segments.length - 1];
+  if (typeof last === "number" && parent?.L) parent.L[last] = value;
+  else if (parent?.M) parent.M[last] = value;
+  else {
+    throw new DriverError(
+      "ValidationException",
+      "The document path provided in the update expression is invalid for update"
+    );
+  }
+}
+
+function removePath(item, segments) {
+  if (segments.length === 1) {
+    delete item[segments[0]];
+    return;
+  }
+  const parent = getPath(item, segments.slice(0, -1));
+  const last = segments[segments.length - 1];
+  if (typeof last === "number" && parent?.L) parent.L.splice(last, 1);
+  else if (parent?.M) delete parent.M[last];
+}
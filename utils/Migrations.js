@@ -0,0 +1,311 @@
+import crypto from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import ScyllaDb from "./ScyllaDb.js";
+
+/**
+ * Migrations - versioned schema changes for Alternator tables
+ * Each file in migrations/ (NNN_description.js, applied in name order) exports
+ *   up(ctx) and optionally down(ctx)
+ * where ctx holds idempotent helpers (createTable, addIndex, enableTtl, ...)
+ * and db (ScyllaDb). Applied migrations are recorded in the _migrations table,
+ * so every environment converges on the same schema. up / down hold a lock row
+ * there, so concurrent runners (e.g. several instances deploying) take turns.
+ */
+export default class Migrations {
+  static TABLE = "_migrations";
+  static LOCK_ID = "_lock";
+  static LOCK_TIMEOUT_MS = 15 * 60 * 1000; // a crashed runner's lock is taken over after this
+  static DIRECTORY = fileURLToPath(new URL("../migrations/", import.meta.url));
+
+  /**
+   * Every migration file + bookkeeping:
+   * [{ id, applied, appliedAt, changed }] (changed: file edited after it was applied)
+   */
+  static async status({ dir = Migrations.DIRECTORY } = {}) {
+    const [migrations, applied] = await Promise.all([
+      Migrations.#load(dir),
+      Migrations.#applied(),
+    ]);
+    const rows = migrations.map(({ id, checksum }) => {
+      const row = applied.get(id);
+      return {
+        id,
+        applied: !!row,
+        appliedAt: row?.appliedAt ?? null,
+        changed: !!row && row.checksum !== checksum,
+      };
+    });
+
+    // Recorded but the file is gone (e.g. a branch that was not merged)
+    for (const [id, row] of applied) {
+      if (!migrations.some((m) => m.id === id)) {
+        rows.push({
+          id,
+          applied: true,
+          appliedAt: row.appliedAt,
+          missing: true,
+        });
+      }
+    }
+    return rows.sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Apply pending migrations in order (up to and including `to`) → applied ids
+   */
+  static async up({ dir = Migrations.DIRECTORY, to = null } = {}) {
+    const migrations = await Migrations.#load(dir);
+    if (to && !migrations.some((m) => m.id === to)) {
+      throw new Error(`Migrations.up: unknown migration "${to}"`);
+    }
+
+    await Migrations.#ensureTable();
+    return Migrations.#withLock(async () => {
+      const applied = await Migrations.#applied();
+      const done = [];
+      for (const migration of migrations) {
+        if (!applied.has(migration.id)) {
+          console.log(`Migrating up: ${migration.id}`);
+          await migration.up(Migrations.#context());
+          await Migrations.#record(migration);
+          done.push(migration.id);
+        }
+        if (migration.id === to) break;
+      }
+      return done;
+    });
+  }
+
+  /**
+   * Revert the last `steps` applied migrations, newest first → reverted ids
+   */
+  static async down({ dir = Migrations.DIRECTORY, steps = 1 } = {}) {
+    if (!Number.isInteger(steps) || steps < 1) {
+      throw new TypeError("Migrations.down: steps must be a positive integer");
+    }
+    const migrations = await Migrations.#load(dir);
+    if (!(await tableExists(Migrations.TABLE))) return [];
+
+    return Migrations.#withLock(async () => {
+      const applied = await Migrations.#applied();
+      const targets = migrations
+        .filter((m) => applied.has(m.id))
+        .reverse()
+        .slice(0, steps);
+      // Refuse up front rather than stopping halfway through the steps
+      const irreversible = targets.find((m) => typeof m.down !== "function");
+      if (irreversible) {
+        throw new Error(`Migration ${irreversible.id} cannot be reverted`);
+      }
+
+      const done = [];
+      for (const migration of targets) {
+        console.log(`Migrating down: ${migration.id}`);
+        await migration.down(Migrations.#context());
+        await ScyllaDb.rawRequest("DeleteItem", {
+          TableName: Migrations.TABLE,
+          Key: ScyllaDb.marshalItem({ id: migration.id }),
+        });
+        done.push(migration.id);
+      }
+      return done;
+    });
+  }
+
+  /* ---------- bookkeeping ---------- */
+
+  static async #load(dir) {
+    const files = (await fs.readdir(dir))
+      .filter((file) => /^\d+[_-][\w-]+\.js$/.test(file))
+      .sort();
+
+    return Promise.all(
+      files.map(async (file) => {
+        const fullPath = path.join(dir, file);
+        const [source, mod] = await Promise.all([
+          fs.readFile(fullPath, "utf8"),
+          import(pathToFileURL(fullPath).href),
+        ]);
+        if (typeof mod.up !== "function") {
+          throw new Error(`Migration ${file} does not export up()`);
+        }
+        return {
+          id: file.replace(/\.js$/, ""),
+          up: mod.up,
+          down: mod.down,
+          checksum: crypto.createHash("sha256").update(source).digest("hex"),
+        };
+      })
+    );
+  }
+
+  static async #applied() {
+    if (!(await tableExists(Migrations.TABLE))) return new Map();
+    const rows = await ScyllaDb.scan(Migrations.TABLE);
+    return new Map(
+      rows
+        .filter((row) => row.id !== Migrations.LOCK_ID)
+        .map((row) => [row.id, row])
+    );
+  }
+
+  static async #ensureTable() {
+    try {
+      await createTable({
+        TableName: Migrations.TABLE,
+        KeySchema: [{ AttributeName: "id", KeyType: "HASH" }],
+        AttributeDefinitions: [{ AttributeName: "id", AttributeType: "S" }],
+        BillingMode: "PAY_PER_REQUEST",
+      });
+    } catch (err) {
+      // Another runner created it between our check and create
+      if (!err.awsType?.endsWith("ResourceInUseException")) throw err;
+    }
+  }
+
+  // Conditional: a second runner applying the same migration fails loudly
+  static async #record({ id, checksum }) {
+    await ScyllaDb.rawRequest("PutItem", {
+      TableName: Migrations.TABLE,
+      Item: ScyllaDb.marshalItem({
+        id,
+        checksum,
+        appliedAt: new Date().toISOString(),
+      }),
+      ConditionExpression: "attribute_not_exists(id)",
+    });
+  }
+
+  // Run fn holding the lock row; a live lock held by another runner fails fast
+  static async #withLock(fn) {
+    const now = Date.now();
+    const holder = crypto.randomUUID();
+    try {
+      await ScyllaDb.rawRequest("PutItem", {
+        TableName: Migrations.TABLE,
+        Item: ScyllaDb.marshalItem({
+          id: Migrations.LOCK_ID,
+          holder,
+          lockedAt: new Date(now).toISOString(),
+        }),
+        ConditionExpression: "attribute_not_exists(id) OR lockedAt < :expired",
+        ExpressionAttributeValues: ScyllaDb.marshalItem({
+          ":expired": new Date(now - Migrations.LOCK_TIMEOUT_MS).toISOString(),
+        }),
+      });
+    } catch (err) {
+      if (!(err instanceof ScyllaDb.ConditionalCheckFailedError)) throw err;
+      throw new Error(
+        `Migrations: another runner holds the lock in ${Migrations.TABLE}; retry once it is done`,
+        { cause: err }
+      );
+    }
+
+    try {
+      return await fn();
+    } finally {
+      // Only our own lock (a timed-out one may have been taken over)
+      await ScyllaDb.rawRequest("DeleteItem", {
+        TableName: Migrations.TABLE,
+        Key: ScyllaDb.marshalItem({ id: Migrations.LOCK_ID }),
+        ConditionExpression: "holder = :holder",
+        ExpressionAttributeValues: ScyllaDb.marshalItem({ ":holder": holder }),
+      }).catch((err) => {
+        if (!(err instanceof ScyllaDb.ConditionalCheckFailedError)) throw err;
+      });
+    }
+  }
+
+  static #context() {
+    return {
+      db: ScyllaDb,
+      createTable,
+      deleteTable,
+      addIndex,
+      removeIndex,
+      enableTtl,
+      disableTtl,
+    };
+  }
+}
+
+/* ============================================================
+ *  Migration helpers (each is a no-op when already in place)
+ * ========================================================== */
+
+async function describe(table) {
+  try {
+    return (await ScyllaDb.describeTable(table)).Table;
+  } catch (err) {
+    if (err.awsType?.endsWith("ResourceNotFoundException")) return null;
+    throw err;
+  }
+}
+
+async function tableExists(table) {
+  return !!(await describe(table));
+}
+
+async function createTable(schema) {
+  if (await tableExists(schema.TableName)) return false;
+  await ScyllaDb.createTable(schema);
+  return true;
+}
+
+async function deleteTable(table) {
+  if (!(await tableExists(table))) return false;
+  await ScyllaDb.deleteTable(table);
+  return true;
+}
+
+// index: a GSI definition ({ IndexName, KeySchema, Projection });
+// attributeDefinitions: types of its key attributes
+async function addIndex(table, index, attributeDefinitions = []) {
+  const current = await describe(table);
+  if (
+    current?.GlobalSecondaryIndexes?.some(
+      (i) => i.IndexName === index.IndexName
+    )
+  ) {
+    return false;
+  }
+  await ScyllaDb.updateTable(table, {
+    AttributeDefinitions: attributeDefinitions,
+    GlobalSecondaryIndexUpdates: [{ Create: index }],
+  });
+  return true;
+}
+
+async function removeIndex(table, indexName) {
+  const current = await describe(table);
+  if (
+    !current?.GlobalSecondaryIndexes?.some((i) => i.IndexName === indexName)
+  ) {
+    return false;
+  }
+  await ScyllaDb.updateTable(table, {
+    GlobalSecondaryIndexUpdates: [{ Delete: { IndexName: indexName } }],
+  });
+  return true;
+}
+
+async function enableTtl(table, attributeName) {
+  const ttl = await ScyllaDb.describeTimeToLive(table);
+  if (ttl?.TimeToLiveStatus === "ENABLED") {
+    if (ttl.AttributeName === attributeName) return false;
+    throw new Error(
+      `TTL on ${table} already uses ${ttl.AttributeName}; disable it first`
+    );
+  }
+  await ScyllaDb.updateTimeToLive(table, attributeName, true);
+  return true;
+}
+
+async function disableTtl(table, attributeName) {
+  const ttl = await ScyllaDb.describeTimeToLive(table);
+  if (ttl?.TimeToLiveStatus !== "ENABLED") return false;
+  await ScyllaDb.updateTimeToLive(table, attributeName, false);
+  return true;
+}
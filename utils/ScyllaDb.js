@@ -3,6 +3,332 @@ import http from "http";
 import https from "https";
 import { promises as fs } from "fs";
 import { pathToFileURL } from "url";
+import MemoryDriver from "./MemoryDriver.js";
+import LruCache from "./LruCache.js";
+
+/**
+ * A write's condition did not hold (stale ifVersion, ifNotExists on an existing
+ * item, or a raw ConditionExpression). Carries httpStatus / awsType / awsMsg.
+ */
+export class ConditionalCheckFailedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ConditionalCheckFailedError";
+  }
+}
+
+/**
+ * The circuit breaker is open: Alternator kept failing, so requests fail fast
+ * until retryAt (then one probe request is let through).
+ */
+export class CircuitOpenError extends Error {
+  constructor(message, retryAt) {
+    super(message);
+    this.name = "CircuitOpenError";
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Expression - fluent builder for condition, update and projection expressions.
+ * Attribute names and values always become #name / :value placeholders, so
+ * reserved words and caller-supplied values never end up in the string.
+ *
+ *   ScyllaDb.expr.eq("ppk", ref).and.beginsWith("sk", "2025")    // key / filter / condition
+ *   ScyllaDb.expr.set("status", s).remove("note").increment("hits") // update
+ *   ScyllaDb.expr.project("pk", "sk", "status")                    // projection
+ *
+ * Pass it wherever ScyllaDb takes an expression string; placeholders are
+ * assigned per request. Conditions join with AND unless .or is used, AND binds
+ * tighter than OR (as in DynamoDB); group() for anything else.
+ */
+export class Expression {
+  #conditions = []; // { join, negate, node }
+  #join = "AND";
+  #negate = false;
+  #updates = []; // { action, path, value }
+  #projection = [];
+
+  get and() {
+    this.#join = "AND";
+    return this;
+  }
+
+  get or() {
+    this.#join = "OR";
+    return this;
+  }
+
+  get not() {
+    this.#negate = !this.#negate;
+    return this;
+  }
+
+  /* ---------- conditions ---------- */
+  eq(path, value) {
+    return this.#condition({ kind: "compare", op: "=", path, values: [value] });
+  }
+
+  ne(path, value) {
+    return this.#condition({
+      kind: "compare",
+      op: "<>",
+      path,
+      values: [value],
+    });
+  }
+
+  lt(path, value) {
+    return this.#condition({ kind: "compare", op: "<", path, values: [value] });
+  }
+
+  lte(path, value) {
+    return this.#condition({
+      kind: "compare",
+      op: "<=",
+      path,
+      values: [value],
+    });
+  }
+
+  gt(path, value) {
+    return this.#condition({ kind: "compare", op: ">", path, values: [value] });
+  }
+
+  gte(path, value) {
+    return this.#condition({
+      kind: "compare",
+      op: ">=",
+      path,
+      values: [value],
+    });
+  }
+
+  between(path, low, high) {
+    return this.#condition({ kind: "between", path, values: [low, high] });
+  }
+
+  in(path, values) {
+    if (!Array.isArray(values) || values.length === 0) {
+      throw new TypeError("Expression.in: values must be a non-empty array");
+    }
+    return this.#condition({ kind: "in", path, values });
+  }
+
+  beginsWith(path, prefix) {
+    return this.#condition({
+      kind: "function",
+      fn: "begins_with",
+      path,
+      values: [prefix],
+    });
+  }
+
+  contains(path, value) {
+    return this.#condition({
+      kind: "function",
+      fn: "contains",
+      path,
+      values: [value],
+    });
+  }
+
+  attributeType(path, type) {
+    return this.#condition({
+      kind: "function",
+      fn: "attribute_type",
+      path,
+      values: [type],
+    });
+  }
+
+  exists(path) {
+    return this.#condition({
+      kind: "function",
+      fn: "attribute_exists",
+      path,
+      values: [],
+    });
+  }
+
+  notExists(path) {
+    return this.#condition({
+      kind: "function",
+      fn: "attribute_not_exists",
+      path,
+      values: [],
+    });
+  }
+
+  /**
+   * Parenthesised sub-condition: .group((e) => e.eq("a", 1).or.eq("b", 2))
+   */
+  group(build) {
+    const inner = new Expression();
+    build(inner);
+    return this.#condition({ kind: "group", inner, values: [] });
+  }
+
+  /* ---------- updates ---------- */
+  set(path, value) {
+    return this.#update("set", path, value);
+  }
+
+  setIfNotExists(path, value) {
+    return this.#update("setIfNotExists", path, value);
+  }
+
+  append(path, list) {
+    if (!Array.isArray(list)) {
+      throw new TypeError("Expression.append: list must be an array");
+    }
+    return this.#update("append", path, list);
+  }
+
+  increment(path, by = 1) {
+    return this.#update("increment", path, by);
+  }
+
+  add(path, value) {
+    return this.#update("add", path, value);
+  }
+
+  remove(...paths) {
+    for (const path of paths) this.#update("remove", path, null);
+    return this;
+  }
+
+  /* ---------- projection ---------- */
+  project(...paths) {
+    for (const path of paths) checkPath(path);
+    this.#projection.push(...paths);
+    return this;
+  }
+
+  /**
+   * Independent copy (ScyllaDb adds its own clauses without touching yours)
+   */
+  clone() {
+    const copy = new Expression();
+    copy.#conditions = [...this.#conditions];
+    copy.#join = this.#join;
+    copy.#negate = this.#negate;
+    copy.#updates = [...this.#updates];
+    copy.#projection = [...this.#projection];
+    return copy;
+  }
+
+  /**
+   * Standalone render → { expression, ExpressionAttributeNames, ExpressionAttributeValues }
+   * kind: "condition" | "update" | "projection" (values are plain JS)
+   */
+  build(kind = "condition") {
+    const placeholders = new Placeholders();
+    const expression = this.render(kind, placeholders);
+    return {
+      expression,
+      ExpressionAttributeNames: placeholders.names,
+      ExpressionAttributeValues: placeholders.values,
+    };
+  }
+
+  /**
+   * Render one kind of expression, registering names/values on placeholders
+   */
+  render(kind, placeholders) {
+    switch (kind) {
+      case "condition":
+        return this.#renderConditions(placeholders);
+      case "update":
+        return this.#renderUpdates(placeholders);
+      case "projection":
+        if (!this.#projection.length) {
+          throw new TypeError("Expression has no projected attributes");
+        }
+        return this.#projection
+          .map((path) => placeholders.path(path))
+          .join(", ");
+      default:
+        throw new TypeError(`Expression: unknown kind "${kind}"`);
+    }
+  }
+
+  #condition(node) {
+    if (node.kind !== "group") checkPath(node.path);
+    if (node.values.some((v) => v === undefined)) {
+      throw new TypeError(`Expression: undefined value for "${node.path}"`);
+    }
+    this.#conditions.push({ join: this.#join, negate: this.#negate, node });
+    this.#join = "AND";
+    this.#negate = false;
+    return this;
+  }
+
+  #update(action, path, value) {
+    checkPath(path);
+    if (value === undefined) {
+      throw new TypeError(`Expression: undefined value for "${path}"`);
+    }
+    this.#updates.push({ action, path, value });
+    return this;
+  }
+
+  #renderConditions(placeholders) {
+    if (!this.#conditions.length) {
+      throw new TypeError("Expression has no conditions");
+    }
+    return this.#conditions
+      .map(({ join, negate, node }, i) => {
+        const text = renderCondition(node, placeholders);
+        return `${i ? `${join} ` : ""}${negate ? "NOT " : ""}${text}`;
+      })
+      .join(" ");
+  }
+
+  #renderUpdates(placeholders) {
+    const clauses = { SET: [], REMOVE: [], ADD: [] };
+    for (const { action, path, value } of this.#updates) {
+      const p = placeholders.path(path);
+      switch (action) {
+        case "set":
+          clauses.SET.push(`${p} = ${placeholders.value(value)}`);
+          break;
+        case "setIfNotExists":
+          clauses.SET.push(
+            `${p} = if_not_exists(${p}, ${placeholders.value(value)})`
+          );
+          break;
+        case "append":
+          clauses.SET.push(
+            `${p} = list_append(if_not_exists(${p}, ${placeholders.value(
+              []
+            )}), ${placeholders.value(value)})`
+          );
+          break;
+        case "increment":
+          clauses.SET.push(
+            `${p} = if_not_exists(${p}, ${placeholders.value(
+              0
+            )}) + ${placeholders.value(value)}`
+          );
+          break;
+        case "add":
+          clauses.ADD.push(`${p} ${placeholders.value(value)}`);
+          break;
+        case "remove":
+          clauses.REMOVE.push(p);
+          break;
+      }
+    }
+    const rendered = Object.entries(clauses)
+      .filter(([, parts]) => parts.length)
+      .map(([clause, parts]) => `${clause} ${parts.join(", ")}`);
+    if (!rendered.length) {
+      throw new TypeError("Expression has no update actions");
+    }
+    return rendered.join(" ");
+  }
+}
 
 /**
  * ScyllaDb - Node.js client for ScyllaDB with Alternator endpoint
@@ -14,25 +340,55 @@ export default class ScyllaDb {
   static INITIAL_BACKOFF_MS = 100;
   static DEFAULT_PORT = 8000;
   static CONTENT_TYPE = "application/x-amz-json-1.0";
+  static VERSION_ATTRIBUTE = "version"; // optimistic-concurrency counter
+  static BATCH_WRITE_LIMIT = 25; // items per BatchWriteItem request
+  static BATCH_GET_LIMIT = 100; // keys per BatchGetItem request
+  static BATCH_CONCURRENCY = 4; // batch requests in flight at once
+  static ConditionalCheckFailedError = ConditionalCheckFailedError;
+  static CircuitOpenError = CircuitOpenError;
+  static Expression = Expression;
+
+  /**
+   * New Expression builder: ScyllaDb.expr.eq("ppk", ref).and.gt("n", 1)
+   */
+  static get expr() {
+    return new Expression();
+  }
 
   /* ---------- private in-memory state ---------- */
   static #errors = [];
   static #tableConfigs = {};
-  static #cache = { getItem: {}, scan: {}, describe: {} };
+  static #cache = { getItem: null, scan: {}, describe: {} }; // getItem: LruCache, created on use
+  static #invalidationHooks = new Set();
+  static #pendingReads = new Map(); // item cache key → Set of getItem reads in flight
   static #persistentAgent = null; // Will be initialized based on protocol
   static #customRequestOptions = {};
+  static #driver = null; // in-process driver (memory / custom) when not "http"
+  static #nativeTx = true; // cleared once the backend rejects TransactWriteItems
+  static #circuit = closedCircuit();
 
   /* ---------- runtime config ---------- */
   static #config = {
     endpoint:
       process.env.SCYLLA_ALTERNATOR_ENDPOINT ?? "http://localhost:8000/",
     port: ScyllaDb.DEFAULT_PORT,
-    retries: ScyllaDb.DEFAULT_RETRIES,
-    backoff: ScyllaDb.INITIAL_BACKOFF_MS,
+    retries: ScyllaDb.DEFAULT_RETRIES, // attempts per request
+    backoff: ScyllaDb.INITIAL_BACKOFF_MS, // back-off cap of the first retry (full jitter)
+    maxBackoff: 5000, // back-off cap never grows past this
+    timeout: Number(process.env.SCYLLA_TIMEOUT_MS ?? 1000), // ms per attempt
+    timeouts: {}, // per-target overrides, e.g. { Scan: 5000 }
+    breakerThreshold: 5, // consecutive failed attempts that open the circuit
+    breakerResetMs: 10000, // open → one probe request after this long
     region: process.env.SCYLLA_ACCESS_REGION ?? "us-east-1",
     key: process.env.SCYLLA_ACCESS_KEY ?? "",
     secret: process.env.SCYLLA_ACCESS_PASSWORD ?? "",
     enableCache: process.env.ENABLE_CACHE === "true",
+    cacheMaxEntries: Number(process.env.CACHE_MAX_ENTRIES ?? 1000), // getItem LRU bound
+    cacheTtlMs: Number(process.env.CACHE_TTL_MS ?? 30000), // getItem TTL
+    cacheTtls: {}, // per-table TTL overrides, e.g. { kyc_shufti: 5000 } (0 = never cache)
+    cacheNegative: false, // also cache "not found" (getItem → false)
+    driver: process.env.SCYLLA_DRIVER ?? "http", // "http" | "memory" | { handle }
+    transactions: process.env.SCYLLA_TRANSACTIONS ?? "auto", // "auto" | "native" | "emulate"
   };
 
   /* ============================================================
@@ -114,6 +470,12 @@ export default class ScyllaDb {
 
   /**
    * Low-level signed request with retry & back-off
+   * - Each attempt is bounded by config.timeout (config.timeouts[target] wins)
+   * - Throttled / 503 responses are retried; timeouts, dropped connections and
+   *   other 5xx only for idempotent requests (the write may have landed)
+   * - Back-off is full jitter: random(0, min(maxBackoff, backoff * 2^n))
+   * - Consecutive failures open the circuit breaker; requests then throw
+   *   CircuitOpenError without touching the network (see getCircuitState)
    */
   static async request(
     target,
@@ -130,9 +492,14 @@ export default class ScyllaDb {
       throw new TypeError("ScyllaDb.request invalid arguments");
     }
 
-    let attempt = 0;
-    let backoff = ScyllaDb.#config.backoff;
-    const maxTry = ScyllaDb.#config.retries;
+    const driver = ScyllaDb.#activeDriver();
+    if (driver) {
+      return ScyllaDb.#driverRequest(driver, target, payload);
+    }
+
+    const idempotent = isIdempotent(target, payload);
+    const timeoutMs =
+      ScyllaDb.#config.timeouts?.[target] ?? ScyllaDb.#config.timeout;
 
     const payloadJson = Object.keys(payload).length
       ? JSON.stringify(payload)
@@ -149,8 +516,8 @@ export default class ScyllaDb {
         ? agent || ScyllaDb.#persistentAgent
         : undefined;
 
-    while (true) {
-      attempt += 1;
+    for (let attempt = 1; ; attempt++) {
+      ScyllaDb.#admitRequest(target);
 
       const now = new Date();
       const amzDate = now
@@ -179,67 +546,21 @@ export default class ScyllaDb {
         path: baseUrl.pathname || "/",
         headers,
         agent: useAgent,
-        timeout: 1000,
         ...ScyllaDb.#customRequestOptions,
       };
 
+      let response;
       try {
-        const body = await new Promise((resolve, reject) => {
-          const req = transport.request(reqOptions, (res) => {
-            let data = "";
-            res.setEncoding("utf8");
-            res.on("data", (chunk) => (data += chunk));
-            res.on("end", () =>
-              resolve({ status: res.statusCode, body: data })
-            );
-          });
-
-          req.on("error", reject);
-          req.write(payloadJson);
-          req.end();
-        });
-
-        const { status, body: raw } = body;
-        const parsed = raw ? JSON.parse(raw) : {};
-
-        if (status === 200) {
-          return parsed;
-        }
-
-        const errorType = parsed?.__type ?? "";
-        const throttled =
-          status === 400 &&
-          errorType.includes("ProvisionedThroughputExceededException");
-
-        if ((throttled || status >= 500) && attempt < maxTry) {
-          await new Promise((r) => setTimeout(r, backoff));
-          backoff *= 2;
-          continue;
-        }
-
-        const awsMsg = parsed?.message ?? "";
-        const whatFailed = [errorType, awsMsg].filter(Boolean).join(" – ");
-        const err = new Error(
-          `ScyllaDb ${target} failed: ${whatFailed || status} (HTTP ${status})`
-        );
-        err.httpStatus = status;
-        err.awsType = errorType;
-        err.awsMsg = awsMsg;
-        ScyllaDb.#errors.push({
+        response = await sendRequest(transport, reqOptions, payloadJson, {
           target,
-          httpCode: status,
-          awsErrorType: errorType,
-          awsErrorMsg: awsMsg,
-          responseBody: raw,
-          parsedResponse: parsed,
-          payload: payloadJson,
-          headers,
+          timeoutMs,
         });
-        throw err;
       } catch (netErr) {
-        if (attempt < maxTry) {
-          await new Promise((r) => setTimeout(r, backoff));
-          backoff *= 2;
+        ScyllaDb.#recordOutcome(false);
+        // Nothing reached the server → any request may be sent again
+        const retryable = idempotent || NOT_SENT_CODES.has(netErr.code);
+        if (retryable && ScyllaDb.#mayRetry(attempt)) {
+          await ScyllaDb.#backoff(attempt);
           continue;
         }
 
@@ -252,6 +573,203 @@ export default class ScyllaDb {
         });
         throw netErr;
       }
+
+      const { status, body: raw } = response;
+      let parsed;
+      try {
+        parsed = raw ? JSON.parse(raw) : {};
+      } catch {
+        parsed = { message: raw.slice(0, 200) }; // e.g. an HTML page from a proxy
+      }
+
+      // Any 4xx answer still means the backend is up
+      ScyllaDb.#recordOutcome(status < 500);
+      if (status === 200) {
+        return parsed;
+      }
+
+      const errorType = parsed?.__type ?? "";
+      const throttled =
+        status === 400 &&
+        THROTTLING_ERRORS.some((type) => errorType.endsWith(type));
+      // Throttled and 503 requests were refused; other 5xx may have been applied
+      const retryable =
+        throttled || status === 503 || (status >= 500 && idempotent);
+
+      if (retryable && ScyllaDb.#mayRetry(attempt)) {
+        await ScyllaDb.#backoff(attempt);
+        continue;
+      }
+
+      throw ScyllaDb.#requestError(target, status, parsed, {
+        responseBody: raw,
+        payload: payloadJson,
+        headers,
+      });
+    }
+  }
+
+  /**
+   * Circuit breaker state: { state: "closed" | "open" | "half_open", failures, openedAt, retryAt }
+   */
+  static getCircuitState() {
+    const { state, failures, openedAt } = ScyllaDb.#circuit;
+    const retryAt =
+      state === "closed"
+        ? null
+        : new Date(openedAt + ScyllaDb.#config.breakerResetMs);
+    return {
+      state,
+      failures,
+      openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+      retryAt: retryAt?.toISOString() ?? null,
+    };
+  }
+
+  /**
+   * Let a request through the breaker, or throw CircuitOpenError
+   */
+  static #admitRequest(target) {
+    const circuit = ScyllaDb.#circuit;
+    if (circuit.state === "closed") return;
+
+    const retryAt = circuit.openedAt + ScyllaDb.#config.breakerResetMs;
+    if (circuit.state === "open" && Date.now() >= retryAt) {
+      circuit.state = "half_open";
+      circuit.probing = false;
+    }
+    // Half open: a single probe decides whether the circuit closes again
+    if (circuit.state === "half_open" && !circuit.probing) {
+      circuit.probing = true;
+      return;
+    }
+    throw new CircuitOpenError(
+      `ScyllaDb ${target} rejected: circuit open until ${new Date(
+        retryAt
+      ).toISOString()}`,
+      new Date(retryAt)
+    );
+  }
+
+  static #recordOutcome(ok) {
+    const circuit = ScyllaDb.#circuit;
+    if (ok) {
+      if (circuit.state !== "closed") {
+        console.log("ScyllaDb circuit closed");
+      }
+      ScyllaDb.#circuit = closedCircuit();
+      return;
+    }
+
+    circuit.failures += 1;
+    if (
+      circuit.state === "half_open" ||
+      circuit.failures >= ScyllaDb.#config.breakerThreshold
+    ) {
+      if (circuit.state !== "open") {
+        console.warn("ScyllaDb circuit opened", { failures: circuit.failures });
+      }
+      circuit.state = "open";
+      circuit.openedAt = Date.now();
+      circuit.probing = false;
+    }
+  }
+
+  // Attempts left, and the breaker has not opened meanwhile (the caller then
+  // gets the real error rather than CircuitOpenError)
+  static #mayRetry(attempt) {
+    return (
+      attempt < ScyllaDb.#config.retries && ScyllaDb.#circuit.state !== "open"
+    );
+  }
+
+  // Full jitter: random(0, min(maxBackoff, backoff * 2^(attempt - 1)))
+  static #backoff(attempt) {
+    const { backoff, maxBackoff } = ScyllaDb.#config;
+    const cap = Math.min(maxBackoff, backoff * 2 ** (attempt - 1));
+    return new Promise((r) => setTimeout(r, Math.random() * cap));
+  }
+
+  /**
+   * Dispatch a request to an in-process driver (same payload/response shape)
+   */
+  static async #driverRequest(driver, target, payload) {
+    // JSON round-trip so callers and the driver never share references
+    const payloadJson = JSON.stringify(payload);
+    const { status, body } = await driver.handle(
+      target,
+      JSON.parse(payloadJson)
+    );
+    const parsed = body ? JSON.parse(JSON.stringify(body)) : {};
+
+    if (status === 200) {
+      return parsed;
+    }
+    throw ScyllaDb.#requestError(target, status, parsed, {
+      payload: payloadJson,
+    });
+  }
+
+  /**
+   * Build (and record) the error thrown for a non-200 response
+   */
+  static #requestError(target, status, parsed, details = {}) {
+    const errorType = parsed?.__type ?? "";
+    const awsMsg = parsed?.message ?? "";
+    const whatFailed = [errorType, awsMsg].filter(Boolean).join(" – ");
+    const message = `ScyllaDb ${target} failed: ${
+      whatFailed || status
+    } (HTTP ${status})`;
+    const reasons = parsed?.CancellationReasons;
+    const conditionFailed =
+      errorType.endsWith("ConditionalCheckFailedException") ||
+      (errorType.endsWith("TransactionCanceledException") &&
+        reasons?.some((r) => r?.Code === "ConditionalCheckFailed"));
+    const err = conditionFailed
+      ? new ConditionalCheckFailedError(message)
+      : new Error(message);
+    if (reasons) err.cancellationReasons = reasons;
+    err.httpStatus = status;
+    err.awsType = errorType;
+    err.awsMsg = awsMsg;
+    ScyllaDb.#errors.push({
+      target,
+      httpCode: status,
+      awsErrorType: errorType,
+      awsErrorMsg: awsMsg,
+      parsedResponse: parsed,
+      ...details,
+    });
+    return err;
+  }
+
+  /**
+   * Resolve the configured in-process driver (null → HTTP to Alternator)
+   */
+  static #activeDriver() {
+    const { driver } = ScyllaDb.#config;
+    if (!driver || driver === "http") return null;
+
+    if (!ScyllaDb.#driver) {
+      if (driver === "memory") {
+        ScyllaDb.#driver = new MemoryDriver();
+      } else if (typeof driver?.handle === "function") {
+        ScyllaDb.#driver = driver;
+      } else {
+        throw new TypeError(`ScyllaDb: unknown driver "${driver}"`);
+      }
+      ScyllaDb.#registerTables(ScyllaDb.#driver);
+    }
+    return ScyllaDb.#driver;
+  }
+
+  /**
+   * Create loaded table configs on drivers that keep their own tables
+   */
+  static #registerTables(driver) {
+    if (typeof driver?.ensureTable !== "function") return;
+    for (const [name, cfg] of Object.entries(ScyllaDb.#tableConfigs)) {
+      driver.ensureTable({ TableName: name, ...cfg });
     }
   }
 
@@ -327,6 +845,63 @@ export default class ScyllaDb {
     return resp;
   }
 
+  /**
+   * Update a table: GlobalSecondaryIndexUpdates (Create / Delete) plus the
+   * AttributeDefinitions new index keys need
+   */
+  static async updateTable(table, changes = {}) {
+    if (!table || typeof changes !== "object") {
+      throw new TypeError("updateTable: table name and changes are required");
+    }
+
+    delete ScyllaDb.#cache.describe[table];
+
+    const resp = await ScyllaDb.request(
+      "UpdateTable",
+      { ...changes, TableName: table },
+      ScyllaDb.#config.port
+    );
+    return resp.TableDescription;
+  }
+
+  /**
+   * TTL setting → { TimeToLiveStatus, AttributeName }
+   */
+  static async describeTimeToLive(table) {
+    if (!table) {
+      throw new TypeError("describeTimeToLive: table name must not be empty");
+    }
+    const resp = await ScyllaDb.request(
+      "DescribeTimeToLive",
+      { TableName: table },
+      ScyllaDb.#config.port
+    );
+    return resp.TimeToLiveDescription;
+  }
+
+  /**
+   * Enable / disable expiry of items by an epoch-seconds attribute
+   */
+  static async updateTimeToLive(table, attributeName, enabled = true) {
+    if (!table || !attributeName) {
+      throw new TypeError(
+        "updateTimeToLive: table and attribute name are required"
+      );
+    }
+    const resp = await ScyllaDb.request(
+      "UpdateTimeToLive",
+      {
+        TableName: table,
+        TimeToLiveSpecification: {
+          AttributeName: attributeName,
+          Enabled: enabled,
+        },
+      },
+      ScyllaDb.#config.port
+    );
+    return resp.TimeToLiveSpecification;
+  }
+
   /**
    * Load table configurations from file
    */
@@ -357,6 +932,7 @@ export default class ScyllaDb {
     }
 
     ScyllaDb.#tableConfigs = configs;
+    ScyllaDb.#registerTables(ScyllaDb.#activeDriver());
     console.log("Table configs loaded", { count: Object.keys(configs).length });
   }
 
@@ -372,6 +948,17 @@ export default class ScyllaDb {
     if (!cfg) {
       throw new Error(`Table "${table}" not found in loaded configs`);
     }
+
+    // tables.json uses the CreateTable shape; derive PK/SK from KeySchema
+    if (!cfg.PK && Array.isArray(cfg.KeySchema)) {
+      const hash = cfg.KeySchema.find((k) => k.KeyType === "HASH");
+      const range = cfg.KeySchema.find((k) => k.KeyType === "RANGE");
+      return {
+        ...cfg,
+        PK: hash?.AttributeName,
+        ...(range ? { SK: range.AttributeName } : {}),
+      };
+    }
     return cfg;
   }
 
@@ -410,35 +997,25 @@ export default class ScyllaDb {
 
   /**
    * Put item (insert or update)
+   * - options.ifNotExists: only if no item has this key yet
+   * - options.ifVersion: only if the stored version matches (0 = not versioned yet)
+   * - Versioned writes store version + 1; a failed check throws ConditionalCheckFailedError
+   * - Any other options are passed to PutItem as-is (ConditionExpression may be an Expression)
    */
   static async putItem(table, item, options = {}, trackChange = false) {
     if (!table || !item || typeof item !== "object") {
       throw new TypeError("putItem: table name and item object are required");
     }
 
-    const cfg = ScyllaDb.getSchemaFromConfig(table);
-    const key = {
-      [cfg.PK]: item[cfg.PK],
-      ...(cfg.SK ? { [cfg.SK]: item[cfg.SK] } : {}),
-    };
-    ScyllaDb.validateKeys(table, key);
-
-    const payload = {
-      TableName: table,
-      Item: ScyllaDb.marshalItem(item),
-      ...(trackChange && { ReturnValues: "ALL_OLD" }),
-      ...options,
-    };
-
-    const resp = await ScyllaDb.request(
-      "PutItem",
-      payload,
-      ScyllaDb.#config.port
-    );
-    console.log("resp", resp);
+    const { key, payload } = ScyllaDb.#putPayload(table, item, options);
+    if (trackChange) payload.ReturnValues = "ALL_OLD";
 
-    if (ScyllaDb.#config.enableCache) {
-      delete ScyllaDb.#cache.getItem[ScyllaDb.#itemCacheKey(table, key)];
+    let resp;
+    try {
+      resp = await ScyllaDb.request("PutItem", payload, ScyllaDb.#config.port);
+    } finally {
+      // Even a failed condition means our copy may be stale
+      ScyllaDb.#forgetItem(table, key);
     }
 
     return trackChange
@@ -457,25 +1034,25 @@ export default class ScyllaDb {
     }
     ScyllaDb.validateKeys(table, key);
 
-    const ck = ScyllaDb.#itemCacheKey(table, key);
+    const cached = ScyllaDb.#cachedItem(table, key);
+    if (cached !== undefined) return cached;
 
-    if (ScyllaDb.#config.enableCache && ScyllaDb.#cache.getItem[ck]) {
-      return ScyllaDb.#cache.getItem[ck];
+    const cacheKey = ScyllaDb.#itemCacheKey(table, key);
+    const read = ScyllaDb.#beginRead(cacheKey);
+    let resp;
+    try {
+      resp = await ScyllaDb.request(
+        "GetItem",
+        { TableName: table, Key: ScyllaDb.marshalItem(key) },
+        ScyllaDb.#config.port
+      );
+    } finally {
+      ScyllaDb.#endRead(cacheKey, read);
     }
 
-    const resp = await ScyllaDb.request(
-      "GetItem",
-      { TableName: table, Key: ScyllaDb.marshalItem(key) },
-      ScyllaDb.#config.port
-    );
-
-    if (!resp.Item) return false;
-
-    const item = ScyllaDb.unmarshalItem(resp.Item);
-
-    if (ScyllaDb.#config.enableCache) {
-      ScyllaDb.#cache.getItem[ck] = item;
-    }
+    const item = resp.Item ? ScyllaDb.unmarshalItem(resp.Item) : false;
+    // Invalidated while we were reading: our copy may predate that write
+    if (!read.stale) ScyllaDb.#cacheItem(table, key, item);
     return item;
   }
 
@@ -486,30 +1063,29 @@ export default class ScyllaDb {
     if (!table || !key || typeof key !== "object") {
       throw new TypeError("deleteItem: table name and key object are required");
     }
-    ScyllaDb.validateKeys(table, key);
+    const { payload } = ScyllaDb.#deletePayload(table, key, options);
+    payload.ReturnValues = "ALL_OLD";
 
-    const ck = ScyllaDb.#itemCacheKey(table, key);
-    delete ScyllaDb.#cache.getItem[ck];
-
-    const payload = {
-      TableName: table,
-      Key: ScyllaDb.marshalItem(key),
-      ReturnValues: "ALL_OLD",
-      ...options,
-    };
-
-    const resp = await ScyllaDb.request(
-      "DeleteItem",
-      payload,
-      ScyllaDb.#config.port
-    );
+    let resp;
+    try {
+      resp = await ScyllaDb.request(
+        "DeleteItem",
+        payload,
+        ScyllaDb.#config.port
+      );
+    } finally {
+      ScyllaDb.#forgetItem(table, key);
+    }
     return !!resp.Attributes;
   }
 
   /**
    * Update item
+   * - data: { field: value } to SET, or an Expression (set / remove / increment / ...)
+   * - options { ifVersion, ifNotExists } as for putItem; versioned updates
+   *   also SET version = version + 1
    */
-  static async updateItem(table, key, data) {
+  static async updateItem(table, key, data, options = {}) {
     if (
       !table ||
       !key ||
@@ -521,49 +1097,217 @@ export default class ScyllaDb {
         "updateItem: table, key, and data objects are required"
       );
     }
+    const { payload } = ScyllaDb.#updatePayload(table, key, data, options);
+    payload.ReturnValues = "ALL_NEW";
+
+    let resp;
+    try {
+      resp = await ScyllaDb.request(
+        "UpdateItem",
+        payload,
+        ScyllaDb.#config.port
+      );
+    } finally {
+      ScyllaDb.#forgetItem(table, key);
+    }
+    const attrs = resp.Attributes
+      ? ScyllaDb.unmarshalItem(resp.Attributes)
+      : false;
+
+    if (attrs) ScyllaDb.#cacheItem(table, key, attrs);
+    return attrs;
+  }
+
+  /* ---------- request payloads (shared with transactWrite) ---------- */
+
+  /**
+   * PutItem payload + key; nextVersion is set for versioned writes
+   */
+  static #putPayload(table, item, options = {}) {
+    const cfg = ScyllaDb.getSchemaFromConfig(table);
+    const key = {
+      [cfg.PK]: item[cfg.PK],
+      ...(cfg.SK ? { [cfg.SK]: item[cfg.SK] } : {}),
+    };
     ScyllaDb.validateKeys(table, key);
 
-    const exprNames = {};
-    const exprValues = {};
-    const parts = [];
+    const { ifVersion, ifNotExists, ...rawOptions } = options;
+    const guard = ScyllaDb.#versionGuard(table, { ifVersion, ifNotExists });
+    const stored = guard
+      ? { ...item, [ScyllaDb.VERSION_ATTRIBUTE]: guard.nextVersion }
+      : item;
+
+    const payload = ScyllaDb.#withCondition(
+      {
+        TableName: table,
+        Item: ScyllaDb.marshalItem(stored),
+        ...ScyllaDb.#renderExpressions(rawOptions, { marshal: true }),
+      },
+      guard
+    );
+    return { key, payload, nextVersion: guard?.nextVersion };
+  }
 
-    for (const [field, value] of Object.entries(data)) {
-      const n = `#${field}`;
-      const v = `:${field}`;
-      exprNames[n] = field;
-      exprValues[v] = value;
-      parts.push(`${n} = ${v}`);
-    }
+  /**
+   * UpdateItem payload; data is { field: value } to SET or an Expression
+   */
+  static #updatePayload(table, key, data, options = {}) {
+    ScyllaDb.validateKeys(table, key);
 
-    if (!parts.length) {
-      throw new Error(
-        "updateItem: data object must have at least one attribute"
+    const guard = ScyllaDb.#versionGuard(table, options);
+    let update;
+    if (data instanceof Expression) {
+      update = data.clone();
+    } else {
+      const fields = Object.entries(data).filter(
+        ([field]) => !(guard && field === ScyllaDb.VERSION_ATTRIBUTE) // set below
       );
+      if (!fields.length) {
+        throw new Error(
+          "updateItem: data object must have at least one attribute"
+        );
+      }
+      update = new Expression();
+      for (const [field, value] of fields) update.set(field, value);
     }
+    if (guard) update.set(ScyllaDb.VERSION_ATTRIBUTE, guard.nextVersion);
+
+    const payload = ScyllaDb.#withCondition(
+      {
+        TableName: table,
+        Key: ScyllaDb.marshalItem(key),
+        ...ScyllaDb.#renderExpressions(
+          { UpdateExpression: update },
+          { marshal: true }
+        ),
+      },
+      guard
+    );
+    return { key, payload, nextVersion: guard?.nextVersion };
+  }
 
+  /**
+   * DeleteItem payload; options are passed as-is (ConditionExpression may be an Expression)
+   */
+  static #deletePayload(table, key, options = {}) {
+    ScyllaDb.validateKeys(table, key);
     const payload = {
       TableName: table,
       Key: ScyllaDb.marshalItem(key),
-      UpdateExpression: `SET ${parts.join(", ")}`,
-      ExpressionAttributeNames: exprNames,
-      ExpressionAttributeValues: ScyllaDb.marshalItem(exprValues),
-      ReturnValues: "ALL_NEW",
+      ...ScyllaDb.#renderExpressions(options, { marshal: true }),
     };
+    return { key, payload };
+  }
 
-    const resp = await ScyllaDb.request(
-      "UpdateItem",
-      payload,
-      ScyllaDb.#config.port
+  /**
+   * ConditionCheck payload; options as for putItem, at least one condition required
+   */
+  static #checkPayload(table, key, options = {}) {
+    ScyllaDb.validateKeys(table, key);
+    const { ifVersion, ifNotExists, ...rawOptions } = options;
+    const guard = ScyllaDb.#versionGuard(table, { ifVersion, ifNotExists });
+    const payload = ScyllaDb.#withCondition(
+      {
+        TableName: table,
+        Key: ScyllaDb.marshalItem(key),
+        ...ScyllaDb.#renderExpressions(rawOptions, { marshal: true }),
+      },
+      guard
     );
-    const attrs = resp.Attributes
-      ? ScyllaDb.unmarshalItem(resp.Attributes)
-      : false;
+    if (!payload.ConditionExpression) {
+      throw new Error("Check operation requires a condition");
+    }
+    return { key, payload };
+  }
 
-    if (attrs && ScyllaDb.#config.enableCache) {
-      ScyllaDb.#cache.getItem[ScyllaDb.#itemCacheKey(table, key)] = attrs;
+  /**
+   * { ifVersion, ifNotExists } → condition clauses + the version the write stores
+   */
+  static #versionGuard(table, { ifVersion, ifNotExists } = {}) {
+    if (ifVersion === undefined && !ifNotExists) return null;
+    if (
+      ifVersion !== undefined &&
+      (!Number.isInteger(ifVersion) || ifVersion < 0)
+    ) {
+      throw new TypeError("ifVersion must be a non-negative integer");
     }
 
-    return attrs;
+    const clauses = [];
+    const names = {};
+    const values = {};
+    if (ifNotExists) {
+      names["#__pk"] = ScyllaDb.getSchemaFromConfig(table).PK;
+      clauses.push("attribute_not_exists(#__pk)");
+    }
+    if (ifVersion > 0) {
+      names["#__version"] = ScyllaDb.VERSION_ATTRIBUTE;
+      values[":__expectedVersion"] = ifVersion;
+      clauses.push("#__version = :__expectedVersion");
+    } else if (ifVersion === 0) {
+      names["#__version"] = ScyllaDb.VERSION_ATTRIBUTE;
+      clauses.push("attribute_not_exists(#__version)");
+    }
+    return { clauses, names, values, nextVersion: (ifVersion ?? 0) + 1 };
+  }
+
+  /**
+   * AND a version guard into a payload's ConditionExpression
+   */
+  static #withCondition(payload, guard) {
+    if (!guard) return payload;
+
+    const { ConditionExpression: existing } = payload;
+    const values = {
+      ...payload.ExpressionAttributeValues,
+      ...ScyllaDb.marshalItem(guard.values),
+    };
+    return {
+      ...payload,
+      ConditionExpression: [existing && `(${existing})`, ...guard.clauses]
+        .filter(Boolean)
+        .join(" AND "),
+      ExpressionAttributeNames: {
+        ...payload.ExpressionAttributeNames,
+        ...guard.names,
+      },
+      ...(Object.keys(values).length && { ExpressionAttributeValues: values }),
+    };
+  }
+
+  /**
+   * Expression-valued params → expression strings + merged names / values
+   * (values stay plain JS unless marshal is set)
+   */
+  static #renderExpressions(params, { marshal = false } = {}) {
+    const keys = Object.keys(EXPRESSION_PARAMS).filter(
+      (key) => params[key] instanceof Expression
+    );
+    if (!keys.length) return params;
+
+    const placeholders = new Placeholders([
+      ...Object.keys(params.ExpressionAttributeNames ?? {}),
+      ...Object.keys(params.ExpressionAttributeValues ?? {}),
+    ]);
+    const out = { ...params };
+    for (const key of keys) {
+      out[key] = params[key].render(EXPRESSION_PARAMS[key], placeholders);
+    }
+
+    if (Object.keys(placeholders.names).length) {
+      out.ExpressionAttributeNames = {
+        ...params.ExpressionAttributeNames,
+        ...placeholders.names,
+      };
+    }
+    if (Object.keys(placeholders.values).length) {
+      out.ExpressionAttributeValues = {
+        ...params.ExpressionAttributeValues,
+        ...(marshal
+          ? ScyllaDb.marshalItem(placeholders.values)
+          : placeholders.values),
+      };
+    }
+    return out;
   }
 
   /* ============================================================
@@ -571,102 +1315,243 @@ export default class ScyllaDb {
    * ========================================================== */
 
   /**
-   * Batch write items (max 25)
+   * Batch write items (any number)
+   * - Sent as 25-item BatchWriteItem requests, options.concurrency at a time
+   * - UnprocessedItems are retried with exponential backoff
+   *   (options.retries / options.backoff, defaults from config)
+   * - options.raw: items are already attribute values and are written as given
+   * - Never throws for a failed chunk; returns
+   *   { inserted: [id], failed: [id], unprocessed: [PutRequest], failures: [{ id, item, reason }] }
    */
-  static async batchWriteItem(table, items) {
+  static async batchWriteItem(table, items, options = {}) {
     if (!table || !Array.isArray(items) || items.length === 0) {
       throw new TypeError(
         "batchWriteItem: table and non-empty items array required"
       );
     }
-    if (items.length > 25) {
-      throw new Error("BatchWriteItem limit is 25");
-    }
+    const { raw = false, ...batchOptions } = options;
 
     const cfg = ScyllaDb.getSchemaFromConfig(table);
-    for (const it of items) {
+    const entries = items.map((it, i) => {
+      const plain = raw ? ScyllaDb.#unmarshalKeys(it, cfg) : it;
       const key = {
-        [cfg.PK]: it[cfg.PK],
-        ...(cfg.SK ? { [cfg.SK]: it[cfg.SK] } : {}),
+        [cfg.PK]: plain[cfg.PK],
+        ...(cfg.SK ? { [cfg.SK]: plain[cfg.SK] } : {}),
       };
       ScyllaDb.validateKeys(table, key);
-    }
-
-    const marshalled = items.map((it) => ({
-      PutRequest: { Item: ScyllaDb.marshalItem(it) },
-    }));
-    const payload = { RequestItems: { [table]: marshalled } };
+      return {
+        id: plain.id ?? `item_${i}`,
+        item: it,
+        key,
+        keyId: ScyllaDb.#keyId(table, plain),
+        request: { PutRequest: { Item: raw ? it : ScyllaDb.marshalItem(it) } },
+      };
+    });
 
-    const resp = await ScyllaDb.request(
-      "BatchWriteItem",
-      payload,
-      ScyllaDb.#config.port
+    const { done, failed } = await ScyllaDb.#batchWrite(
+      table,
+      entries,
+      batchOptions
     );
-    const unprocessed = resp.UnprocessedItems?.[table] ?? [];
+    return {
+      inserted: done.map((e) => e.id),
+      failed: failed.map((e) => e.id),
+      unprocessed: failed.map((e) => e.request),
+      failures: failed.map(({ id, item, reason }) => ({ id, item, reason })),
+    };
+  }
 
-    const unprocessedHashes = unprocessed.map((e) =>
-      ScyllaDb.#md5(JSON.stringify(e.PutRequest.Item))
-    );
+  // id + key attributes of a marshalled item, unmarshalled
+  static #unmarshalKeys(item, { PK, SK }) {
+    const typed = {};
+    for (const name of ["id", PK, SK]) {
+      if (name && item[name] !== undefined) typed[name] = item[name];
+    }
+    return ScyllaDb.unmarshalItem(typed);
+  }
 
-    const results = { inserted: [], failed: [], unprocessed };
+  /**
+   * Batch delete keys (any number); chunking, retries and options as for batchWriteItem
+   * - Never throws for a failed chunk; returns
+   *   { deleted: [id], failed: [id], unprocessed: [DeleteRequest], failures: [{ id, key, reason }] }
+   *   (id: key.id ?? `key_${index}`)
+   */
+  static async batchDeleteItem(table, keys, options = {}) {
+    if (!table || !Array.isArray(keys) || keys.length === 0) {
+      throw new TypeError(
+        "batchDeleteItem: table and non-empty keys array required"
+      );
+    }
 
-    items.forEach((it, i) => {
-      const hash = ScyllaDb.#md5(JSON.stringify(ScyllaDb.marshalItem(it)));
-      const id = it.id ?? `item_${i}`;
+    const entries = keys.map(({ id, ...key }, i) => {
+      ScyllaDb.validateKeys(table, key);
+      return {
+        id: id ?? `key_${i}`,
+        key,
+        keyId: ScyllaDb.#keyId(table, key),
+        request: { DeleteRequest: { Key: ScyllaDb.marshalItem(key) } },
+      };
+    });
 
-      if (unprocessedHashes.includes(hash)) {
-        results.failed.push(id);
-      } else {
-        results.inserted.push(id);
+    const { done, failed } = await ScyllaDb.#batchWrite(
+      table,
+      entries,
+      options
+    );
+    return {
+      deleted: done.map((e) => e.id),
+      failed: failed.map((e) => e.id),
+      unprocessed: failed.map((e) => e.request),
+      failures: failed.map(({ id, key, reason }) => ({ id, key, reason })),
+    };
+  }
+
+  /**
+   * BatchWriteItem entries ({ key, keyId, request }) in 25-request chunks with
+   * retries → { done: [entry], failed: [{ ...entry, reason }] }
+   */
+  static async #batchWrite(table, entries, options) {
+    const { concurrency = ScyllaDb.BATCH_CONCURRENCY, ...retry } = options;
+
+    const failures = new Map(); // keyId → reason
+    const chunks = chunk(entries, ScyllaDb.BATCH_WRITE_LIMIT);
+    await forEachLimit(chunks, concurrency, async (entries) => {
+      let reason = "unprocessed after retries";
+      let left = entries;
+      try {
+        left = await ScyllaDb.#retryUnprocessed(
+          entries,
+          async (pending) => {
+            left = pending;
+            const resp = await ScyllaDb.request(
+              "BatchWriteItem",
+              { RequestItems: { [table]: pending.map((e) => e.request) } },
+              ScyllaDb.#config.port
+            );
+            const unprocessed = new Set(
+              (resp.UnprocessedItems?.[table] ?? []).map((r) =>
+                ScyllaDb.#keyId(
+                  table,
+                  ScyllaDb.unmarshalItem(
+                    r.PutRequest?.Item ?? r.DeleteRequest.Key
+                  )
+                )
+              )
+            );
+            return pending.filter((e) => unprocessed.has(e.keyId));
+          },
+          retry
+        );
+      } catch (err) {
+        reason = err.message;
       }
+      for (const entry of left) failures.set(entry.keyId, reason);
     });
 
-    return results;
+    for (const { key } of entries) ScyllaDb.#forgetItem(table, key);
+
+    return {
+      done: entries.filter((e) => !failures.has(e.keyId)),
+      failed: entries
+        .filter((e) => failures.has(e.keyId))
+        .map((e) => ({ ...e, reason: failures.get(e.keyId) })),
+    };
   }
 
   /**
-   * Batch get items (max 25)
+   * Batch get items (any number), in the order of keys (null = not found)
+   * - Sent as 100-key BatchGetItem requests, options.concurrency at a time
+   * - UnprocessedKeys are retried as for batchWriteItem; keys still unread
+   *   afterwards throw an error carrying failedKeys and the partial items
    */
-  static async batchGetItem(table, keys) {
+  static async batchGetItem(table, keys, options = {}) {
     if (!table || !Array.isArray(keys) || keys.length === 0) {
       throw new TypeError(
         "batchGetItem: table and non-empty keys array required"
       );
     }
-    if (keys.length > 25) {
-      throw new Error("BatchGetItem limit is 25");
-    }
+    const { concurrency = ScyllaDb.BATCH_CONCURRENCY, ...retry } = options;
 
     keys.forEach((k) => ScyllaDb.validateKeys(table, k));
 
-    const marshalledKeys = keys.map((k) => ScyllaDb.marshalItem(k));
-    const payload = { RequestItems: { [table]: { Keys: marshalledKeys } } };
+    // Responses are unordered; line them up with the requested keys
+    const itemsByKey = new Map();
+    const failedKeys = [];
+    const chunks = chunk(keys, ScyllaDb.BATCH_GET_LIMIT);
+    await forEachLimit(chunks, concurrency, async (keys) => {
+      const left = await ScyllaDb.#retryUnprocessed(
+        keys,
+        async (pending) => {
+          const resp = await ScyllaDb.request(
+            "BatchGetItem",
+            {
+              RequestItems: {
+                [table]: { Keys: pending.map((k) => ScyllaDb.marshalItem(k)) },
+              },
+            },
+            ScyllaDb.#config.port
+          );
+          for (const it of resp.Responses?.[table] ?? []) {
+            const u = ScyllaDb.unmarshalItem(it);
+            itemsByKey.set(ScyllaDb.#keyId(table, u), u);
+          }
+          const unprocessed = new Set(
+            (resp.UnprocessedKeys?.[table]?.Keys ?? []).map((k) =>
+              ScyllaDb.#keyId(table, ScyllaDb.unmarshalItem(k))
+            )
+          );
+          return pending.filter((k) =>
+            unprocessed.has(ScyllaDb.#keyId(table, k))
+          );
+        },
+        retry
+      );
+      failedKeys.push(...left);
+    });
 
-    const resp = await ScyllaDb.request(
-      "BatchGetItem",
-      payload,
-      ScyllaDb.#config.port
+    const items = keys.map(
+      (k) => itemsByKey.get(ScyllaDb.#keyId(table, k)) ?? null
     );
-    const fetched = resp.Responses?.[table] ?? [];
-
-    const itemsById = {};
-    fetched.forEach((it) => {
-      const u = ScyllaDb.unmarshalItem(it);
-      if (u.id !== undefined) itemsById[u.id] = u;
-    });
+    if (failedKeys.length) {
+      const err = new Error(
+        `batchGetItem: ${failedKeys.length} key(s) unprocessed after retries`
+      );
+      err.failedKeys = failedKeys;
+      err.items = items;
+      throw err;
+    }
+    return items;
+  }
 
-    return keys.map((k) => itemsById[k.id] ?? null);
+  /**
+   * Send a batch until nothing is left unprocessed or retries run out;
+   * send(pending) → the part of pending the backend left unprocessed
+   */
+  static async #retryUnprocessed(
+    pending,
+    send,
+    { retries = ScyllaDb.#config.retries, backoff = ScyllaDb.#config.backoff }
+  ) {
+    for (let attempt = 0; ; attempt++) {
+      pending = await send(pending);
+      if (!pending.length || attempt >= retries) return pending;
+      await new Promise((r) => setTimeout(r, backoff * 2 ** attempt));
+    }
   }
 
   /* ============================================================
-   *  Transaction operations (simulated using batch operations)
+   *  Transaction operations
    * ========================================================== */
 
   /**
-   * Transaction write operations (simulated)
-   * Since ScyllaDB Alternator doesn't support native transactions,
-   * this method simulates transaction behavior using batch operations
-   * with rollback capability on failure.
+   * Transaction write operations
+   * - ops: { table, action: "put" | "update" | "delete" | "check", item | key, data, options }
+   *   put / update / check options take { ifVersion, ifNotExists, ConditionExpression, ... };
+   *   a check only asserts its condition and writes nothing
+   * - Uses native TransactWriteItems when the backend has it (config.transactions
+   *   "auto" | "native" | "emulate"); otherwise writes one by one and undoes the
+   *   applied writes from a compensating log on failure
+   * - A failed condition throws ConditionalCheckFailedError
    */
   static async transactWrite(operations, options = {}) {
     if (!Array.isArray(operations) || operations.length === 0) {
@@ -676,111 +1561,206 @@ export default class ScyllaDb {
       throw new Error("TransactWrite limit is 25 operations");
     }
 
-    const { rollbackOnFailure = true, retryAttempts = 3 } = options;
-    const originalItems = new Map(); // Store original state for rollback
-    const operationResults = [];
+    const steps = operations.map((operation) =>
+      ScyllaDb.#transactStep(operation)
+    );
+    const itemIds = new Set(
+      steps.map((step) => ScyllaDb.#keyId(step.table, step.key))
+    );
+    if (itemIds.size !== steps.length) {
+      throw new Error("transactWrite: multiple operations on one item");
+    }
+
+    const mode = ScyllaDb.#config.transactions;
+    if (!["auto", "native", "emulate"].includes(mode)) {
+      throw new TypeError(`transactWrite: unknown transactions mode "${mode}"`);
+    }
 
     try {
-      // Phase 1: Validate all operations and store original state
-      for (const operation of operations) {
-        if (!operation.table || !operation.action) {
-          throw new Error(
-            "Each operation must have table and action properties"
+      if (mode === "native" || (mode === "auto" && ScyllaDb.#nativeTx)) {
+        try {
+          await ScyllaDb.request(
+            "TransactWriteItems",
+            {
+              TransactItems: steps.map((step) => ({
+                [step.type]: step.payload,
+              })),
+              ClientRequestToken: crypto.randomUUID(), // makes retries idempotent
+            },
+            ScyllaDb.#config.port
+          );
+          return {
+            success: true,
+            results: steps.map(({ operation }) => ({
+              success: true,
+              operation,
+            })),
+            message: "Transaction committed",
+          };
+        } catch (error) {
+          if (mode === "native" || !isUnsupportedOperation(error)) throw error;
+          ScyllaDb.#nativeTx = false; // remembered until the driver changes
+          console.warn(
+            "TransactWriteItems unsupported, emulating transactions"
           );
         }
+      }
+      return await ScyllaDb.#transactEmulated(steps, options);
+    } catch (error) {
+      // Keep the type so callers can retry on a version conflict
+      if (error instanceof ConditionalCheckFailedError) throw error;
+      throw new Error(`Transaction failed: ${error.message}`, {
+        cause: error,
+      });
+    } finally {
+      for (const { table, key } of steps) ScyllaDb.#forgetItem(table, key);
+    }
+  }
 
-        const { table, action, item, key, data } = operation;
-
-        switch (action) {
-          case "put":
-            if (!item) throw new Error("Put operation requires item");
-            const schema = ScyllaDb.getSchemaFromConfig(table);
-            const putKey = { [schema.PK]: item[schema.PK] };
-            if (schema.SK) {
-              putKey[schema.SK] = item[schema.SK];
-            }
-            ScyllaDb.validateKeys(table, putKey);
-            break;
-          case "update":
-            if (!key || !data)
-              throw new Error("Update operation requires key and data");
-            ScyllaDb.validateKeys(table, key);
-            // Store original item for potential rollback
-            if (rollbackOnFailure) {
-              const original = await ScyllaDb.getItem(table, key);
-              if (original) {
-                originalItems.set(`${table}:${JSON.stringify(key)}`, original);
-              }
-            }
-            break;
-          case "delete":
-            if (!key) throw new Error("Delete operation requires key");
-            ScyllaDb.validateKeys(table, key);
-            // Store original item for potential rollback
-            if (rollbackOnFailure) {
-              const original = await ScyllaDb.getItem(table, key);
-              if (original) {
-                originalItems.set(`${table}:${JSON.stringify(key)}`, original);
-              }
-            }
-            break;
-          default:
-            throw new Error(`Unsupported action: ${action}`);
+  /**
+   * Validate one transactWrite op → { type, table, key, payload, nextVersion }
+   */
+  static #transactStep(operation) {
+    const { table, action, item, key, data, options } = operation ?? {};
+    if (!table || !action) {
+      throw new Error("Each operation must have table and action properties");
+    }
+
+    switch (action) {
+      case "put":
+        if (!item) throw new Error("Put operation requires item");
+        return {
+          type: "Put",
+          table,
+          operation,
+          ...ScyllaDb.#putPayload(table, item, options),
+        };
+      case "update":
+        if (!key || !data) {
+          throw new Error("Update operation requires key and data");
         }
-      }
+        return {
+          type: "Update",
+          table,
+          operation,
+          ...ScyllaDb.#updatePayload(table, key, data, options),
+        };
+      case "delete":
+        if (!key) throw new Error("Delete operation requires key");
+        return {
+          type: "Delete",
+          table,
+          operation,
+          ...ScyllaDb.#deletePayload(table, key, options),
+        };
+      case "check":
+        if (!key) throw new Error("Check operation requires key");
+        return {
+          type: "ConditionCheck",
+          table,
+          operation,
+          ...ScyllaDb.#checkPayload(table, key, options),
+        };
+      default:
+        throw new Error(`Unsupported action: ${action}`);
+    }
+  }
 
-      // Phase 2: Execute operations
-      for (const operation of operations) {
-        const { table, action, item, key, data } = operation;
-        let result;
+  /**
+   * Fallback for backends without TransactWriteItems: apply the steps in
+   * order, logging each row's pre-image; on failure restore them newest first
+   */
+  static async #transactEmulated(steps, { rollbackOnFailure = true } = {}) {
+    const port = ScyllaDb.#config.port;
+    const applied = []; // compensating log: { step, before }
+    const results = [];
 
-        try {
-          switch (action) {
-            case "put":
-              result = await ScyllaDb.putItem(table, item);
-              break;
-            case "update":
-              result = await ScyllaDb.updateItem(table, key, data);
-              break;
-            case "delete":
-              result = await ScyllaDb.deleteItem(table, key);
-              break;
-          }
-          operationResults.push({ success: true, operation, result });
-        } catch (error) {
-          operationResults.push({ success: false, operation, error });
-          throw error; // Stop execution on first failure
+    try {
+      for (const step of steps) {
+        const { Item: before = null } = await ScyllaDb.request(
+          "GetItem",
+          {
+            TableName: step.table,
+            Key: ScyllaDb.marshalItem(step.key),
+            ConsistentRead: true,
+          },
+          port
+        );
+
+        if (step.type === "ConditionCheck") {
+          ScyllaDb.#emulateCheck(step, before);
+        } else {
+          await ScyllaDb.request(`${step.type}Item`, step.payload, port);
+          applied.push({ step, before });
         }
+        results.push({ success: true, operation: step.operation });
       }
-
-      return {
-        success: true,
-        results: operationResults,
-        message: "Transaction completed successfully",
-      };
     } catch (error) {
-      // Phase 3: Rollback if enabled and operations failed
-      if (rollbackOnFailure && originalItems.size > 0) {
-        console.warn("Transaction failed, attempting rollback...");
-
+      if (rollbackOnFailure && applied.length) {
+        console.warn("Transaction failed, undoing applied writes...");
         try {
-          for (const [itemKey, originalItem] of originalItems) {
-            const [table, keyStr] = itemKey.split(":");
-            const key = JSON.parse(keyStr);
-
-            // Restore original item
-            await ScyllaDb.putItem(table, originalItem);
-          }
-          console.log("Rollback completed successfully");
+          await ScyllaDb.#compensate(applied);
         } catch (rollbackError) {
           console.error("Rollback failed:", rollbackError.message);
           throw new Error(
-            `Transaction failed and rollback failed: ${error.message}. Rollback error: ${rollbackError.message}`
+            `Transaction failed and rollback failed: ${error.message}. Rollback error: ${rollbackError.message}`,
+            { cause: error }
           );
         }
       }
+      throw error;
+    }
+
+    return {
+      success: true,
+      results,
+      message: "Transaction completed successfully",
+    };
+  }
+
+  /**
+   * ConditionCheck without transactions: evaluate the condition against the
+   * row read for this step; nothing is written, so concurrent writers are untouched
+   */
+  static #emulateCheck(step, before) {
+    if (MemoryDriver.matchesCondition(step.payload, before)) return;
+    throw ScyllaDb.#requestError("ConditionCheck", 400, {
+      __type: `${MemoryDriver.ERROR_PREFIX}ConditionalCheckFailedException`,
+      message: "The conditional request failed",
+    });
+  }
 
-      throw new Error(`Transaction failed: ${error.message}`);
+  /**
+   * Undo applied writes newest first; rows we versioned are only restored
+   * while they still hold the version we wrote
+   */
+  static async #compensate(applied) {
+    const port = ScyllaDb.#config.port;
+    for (const { step, before } of [...applied].reverse()) {
+      const unchanged = step.nextVersion && {
+        ConditionExpression: "#__version = :__appliedVersion",
+        ExpressionAttributeNames: { "#__version": ScyllaDb.VERSION_ATTRIBUTE },
+        ExpressionAttributeValues: ScyllaDb.marshalItem({
+          ":__appliedVersion": step.nextVersion,
+        }),
+      };
+      if (before) {
+        await ScyllaDb.request(
+          "PutItem",
+          { TableName: step.table, Item: before, ...unchanged },
+          port
+        );
+      } else {
+        await ScyllaDb.request(
+          "DeleteItem",
+          {
+            TableName: step.table,
+            Key: ScyllaDb.marshalItem(step.key),
+            ...unchanged,
+          },
+          port
+        );
+      }
     }
   }
 
@@ -849,68 +1829,221 @@ export default class ScyllaDb {
 
   /**
    * Query items with conditions
+   * - default: follows LastEvaluatedKey and returns every matching item
+   * - { paginate: true, cursor }: one page → { items, nextCursor }
+   *   (Limit is the page size; nextCursor is null on the last page)
+   * - Expressions: query(table, ScyllaDb.expr.eq("pk", id), options), and
+   *   FilterExpression / ProjectionExpression may be Expressions too
    */
   static async query(table, keyConditionExpr, exprVals, options = {}) {
-    if (!table || !keyConditionExpr || typeof exprVals !== "object") {
-      throw new TypeError(
-        "query: table, keyConditionExpr and exprVals are required"
-      );
+    // query(table, expr, options) when the key condition is an Expression
+    if (keyConditionExpr instanceof Expression) {
+      [exprVals, options] = [{}, exprVals ?? {}];
     }
+    const { paginate = false, cursor = null, ...rest } = options;
+    const payload = ScyllaDb.#queryPayload(
+      table,
+      keyConditionExpr,
+      exprVals,
+      rest
+    );
+    return ScyllaDb.#collect("Query", payload, { paginate, cursor });
+  }
 
-    const base = {
-      TableName: table,
-      KeyConditionExpression: keyConditionExpr,
-      ExpressionAttributeValues: ScyllaDb.marshalItem(exprVals),
-    };
+  /**
+   * Scan all items in table
+   * - { paginate: true, cursor }: one page → { items, nextCursor }
+   */
+  static async scan(table, options = {}) {
+    const { paginate = false, cursor = null, ...rest } = options;
+    const payload = ScyllaDb.#scanPayload(table, rest);
+    return ScyllaDb.#collect("Scan", payload, { paginate, cursor });
+  }
 
-    let payload = { ...base, ...options };
+  /**
+   * Async iterator over query results, fetching one page at a time
+   *   for await (const item of ScyllaDb.queryIter(...)) { ... break; }
+   */
+  static async *queryIter(table, keyConditionExpr, exprVals, options = {}) {
+    if (keyConditionExpr instanceof Expression) {
+      [exprVals, options] = [{}, exprVals ?? {}];
+    }
+    const { cursor = null, ...rest } = options;
+    const payload = ScyllaDb.#queryPayload(
+      table,
+      keyConditionExpr,
+      exprVals,
+      rest
+    );
+    for await (const page of ScyllaDb.#pages("Query", payload, cursor)) {
+      yield* page.items;
+    }
+  }
 
-    // Marshal additional ExpressionAttributeValues from options if present
+  /**
+   * Async iterator over scan results, fetching one page at a time
+   */
+  static async *scanIter(table, options = {}) {
+    const { cursor = null, ...rest } = options;
+    const payload = ScyllaDb.#scanPayload(table, rest);
+    for await (const page of ScyllaDb.#pages("Scan", payload, cursor)) {
+      yield* page.items;
+    }
+  }
+
+  /**
+   * Parallel segmented scan of a whole table, page by page
+   * - options.segments: TotalSegments (default 4), scanned options.concurrency at a time
+   * - options.filter: FilterExpression (Expression or string); other options go to Scan
+   * - options.onPage(items, { segment }) is awaited for every page; items are not kept
+   * - options.raw: hand onPage the Items as returned (attribute values, not unmarshalled)
+   * - options.maxCapacityPerSecond throttles on consumed read capacity
+   *   (estimated from item size when the backend does not report it)
+   * Returns { segments, pages, count, scannedCount, consumedCapacity }
+   */
+  static async parallelScan(table, options = {}) {
+    const {
+      segments = 4,
+      concurrency = segments,
+      filter,
+      onPage,
+      maxCapacityPerSecond = null,
+      raw = false,
+      ...rest
+    } = options;
+    if (typeof onPage !== "function") {
+      throw new TypeError("parallelScan: onPage callback is required");
+    }
+    if (!Number.isInteger(segments) || segments < 1) {
+      throw new TypeError("parallelScan: segments must be a positive integer");
+    }
     if (
-      payload.ExpressionAttributeValues &&
-      options.ExpressionAttributeValues
+      maxCapacityPerSecond !== null &&
+      !(typeof maxCapacityPerSecond === "number" && maxCapacityPerSecond > 0)
     ) {
-      const additionalValues = ScyllaDb.marshalItem(
-        options.ExpressionAttributeValues
+      throw new TypeError(
+        "parallelScan: maxCapacityPerSecond must be a positive number"
       );
-      payload.ExpressionAttributeValues = {
-        ...payload.ExpressionAttributeValues,
-        ...additionalValues,
-      };
     }
 
-    const items = [];
+    const payload = ScyllaDb.#scanPayload(table, {
+      ...rest,
+      ...(filter && { FilterExpression: filter }),
+      TotalSegments: segments,
+      ReturnConsumedCapacity: "TOTAL",
+    });
+    const limiter = maxCapacityPerSecond
+      ? new CapacityLimiter(maxCapacityPerSecond)
+      : null;
+    const stats = {
+      segments,
+      pages: 0,
+      count: 0,
+      scannedCount: 0,
+      consumedCapacity: 0,
+    };
 
-    do {
-      const resp = await ScyllaDb.request(
-        "Query",
-        payload,
-        ScyllaDb.#config.port
-      );
-      (resp.Items ?? []).forEach((it) =>
-        items.push(ScyllaDb.unmarshalItem(it))
-      );
-      payload = {
-        ...payload,
-        ExclusiveStartKey: resp.LastEvaluatedKey ?? undefined,
-      };
-    } while (payload.ExclusiveStartKey);
+    let failed = false; // one failing segment stops the others
+    const segmentIds = Array.from({ length: segments }, (_, i) => i);
+    await forEachLimit(segmentIds, concurrency, async (segment) => {
+      let startKey = null;
+      try {
+        do {
+          await limiter?.acquire();
+          if (failed) return;
+          const resp = await ScyllaDb.request(
+            "Scan",
+            {
+              ...payload,
+              Segment: segment,
+              ...(startKey && { ExclusiveStartKey: startKey }),
+            },
+            ScyllaDb.#config.port
+          );
+          const consumed =
+            resp.ConsumedCapacity?.CapacityUnits ??
+            estimateReadCapacity(resp.Items ?? []);
+          limiter?.consume(consumed);
+
+          stats.pages += 1;
+          stats.count += resp.Count ?? resp.Items?.length ?? 0;
+          stats.scannedCount += resp.ScannedCount ?? 0;
+          stats.consumedCapacity += consumed;
+
+          const items = raw
+            ? (resp.Items ?? [])
+            : (resp.Items ?? []).map((it) => ScyllaDb.unmarshalItem(it));
+          await onPage(items, { segment });
+          startKey = resp.LastEvaluatedKey ?? null;
+        } while (startKey);
+      } catch (err) {
+        failed = true;
+        throw err;
+      }
+    });
+    return stats;
+  }
 
-    return items;
+  /**
+   * Opaque cursor for a LastEvaluatedKey (null when there is no next page)
+   */
+  static encodeCursor(lastEvaluatedKey) {
+    if (!lastEvaluatedKey) return null;
+    return Buffer.from(JSON.stringify(lastEvaluatedKey), "utf8").toString(
+      "base64url"
+    );
   }
 
   /**
-   * Scan all items in table
+   * ExclusiveStartKey from a cursor produced by encodeCursor
    */
-  static async scan(table, options = {}) {
+  static decodeCursor(cursor) {
+    if (!cursor) return null;
+    try {
+      const key = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+      if (!ScyllaDb.isMarshalledItem(key) || !Object.keys(key).length) {
+        throw new Error("not a key");
+      }
+      return key;
+    } catch {
+      throw new TypeError("Invalid pagination cursor");
+    }
+  }
+
+  static #queryPayload(table, keyConditionExpr, exprVals, options) {
+    if (!table || !keyConditionExpr || typeof exprVals !== "object") {
+      throw new TypeError(
+        "query: table, keyConditionExpr and exprVals are required"
+      );
+    }
+
+    // Key-condition values + any extra values from options, marshalled together
+    const params = ScyllaDb.#renderExpressions({
+      ...options,
+      KeyConditionExpression: keyConditionExpr,
+      ExpressionAttributeValues: {
+        ...exprVals,
+        ...options.ExpressionAttributeValues,
+      },
+    });
+    return {
+      TableName: table,
+      ...params,
+      ExpressionAttributeValues: ScyllaDb.marshalItem(
+        params.ExpressionAttributeValues
+      ),
+    };
+  }
+
+  static #scanPayload(table, options) {
     if (!table) {
       throw new TypeError("scan: table name is required");
     }
 
-    let payload = {
+    const payload = ScyllaDb.#renderExpressions({
       TableName: table,
       ...options,
-    };
+    });
 
     // Marshal ExpressionAttributeValues if present
     if (payload.ExpressionAttributeValues) {
@@ -918,25 +2051,34 @@ export default class ScyllaDb {
         payload.ExpressionAttributeValues
       );
     }
+    return payload;
+  }
 
+  // Every page → array, or the first page → { items, nextCursor }
+  static async #collect(target, payload, { paginate, cursor }) {
     const items = [];
+    for await (const page of ScyllaDb.#pages(target, payload, cursor)) {
+      if (paginate) return page;
+      items.push(...page.items);
+    }
+    return items;
+  }
 
+  // One request per page, following LastEvaluatedKey
+  static async *#pages(target, payload, cursor = null) {
+    let startKey = ScyllaDb.decodeCursor(cursor);
     do {
       const resp = await ScyllaDb.request(
-        "Scan",
-        payload,
+        target,
+        startKey ? { ...payload, ExclusiveStartKey: startKey } : payload,
         ScyllaDb.#config.port
       );
-      (resp.Items ?? []).forEach((it) =>
-        items.push(ScyllaDb.unmarshalItem(it))
-      );
-      payload = {
-        ...payload,
-        ExclusiveStartKey: resp.LastEvaluatedKey ?? undefined,
+      startKey = resp.LastEvaluatedKey ?? null;
+      yield {
+        items: (resp.Items ?? []).map((it) => ScyllaDb.unmarshalItem(it)),
+        nextCursor: ScyllaDb.encodeCursor(startKey),
       };
-    } while (payload.ExclusiveStartKey);
-
-    return items;
+    } while (startKey);
   }
 
   /* ============================================================
@@ -951,6 +2093,20 @@ export default class ScyllaDb {
       throw new TypeError("configure: config must be an object");
     }
     ScyllaDb.#config = { ...ScyllaDb.#config, ...config };
+
+    // A new backend gets another chance at native transactions and a closed circuit
+    if ("driver" in config || "endpoint" in config) {
+      ScyllaDb.#nativeTx = true;
+      ScyllaDb.#circuit = closedCircuit();
+    }
+    // Switching drivers starts from a fresh store and empty caches
+    if ("driver" in config) {
+      ScyllaDb.#driver = null;
+      ScyllaDb.#staleReads();
+      ScyllaDb.#cache = { getItem: null, scan: {}, describe: {} };
+    } else if ("cacheMaxEntries" in config) {
+      ScyllaDb.#cache.getItem = null; // rebuilt with the new bound
+    }
     console.log("ScyllaDb config updated", { keys: Object.keys(config) });
     return true;
   }
@@ -1004,7 +2160,8 @@ export default class ScyllaDb {
    */
   static clearCache(type = null) {
     if (!type) {
-      ScyllaDb.#cache = { getItem: {}, scan: {}, describe: {} };
+      ScyllaDb.#staleReads();
+      ScyllaDb.#cache = { getItem: null, scan: {}, describe: {} };
       console.log("All in-process caches cleared");
       return;
     }
@@ -1012,10 +2169,120 @@ export default class ScyllaDb {
     if (!(type in ScyllaDb.#cache)) {
       throw new Error(`clearCache: unknown cache bucket "${type}"`);
     }
-    ScyllaDb.#cache[type] = {};
+    if (type === "getItem") ScyllaDb.#staleReads();
+    ScyllaDb.#cache[type] = type === "getItem" ? null : {};
     console.log(`Cache bucket "${type}" cleared`);
   }
 
+  /**
+   * getItem cache statistics: { enabled, size, maxEntries, hits, misses, hitRate, evictions, expirations }
+   */
+  static getCacheStats() {
+    return {
+      enabled: ScyllaDb.#config.enableCache,
+      ...ScyllaDb.#itemCache().stats(),
+    };
+  }
+
+  /**
+   * Drop one cached item, e.g. when another instance reports a write
+   * (does not call the onInvalidate hooks)
+   */
+  static invalidateItem(table, key) {
+    const cacheKey = ScyllaDb.#itemCacheKey(table, key);
+    ScyllaDb.#staleReads((ck) => ck === cacheKey);
+    return ScyllaDb.#cache.getItem?.delete(cacheKey) ?? false;
+  }
+
+  /**
+   * Drop every cached item of a table; returns how many were dropped
+   */
+  static invalidateTable(table) {
+    ScyllaDb.#staleReads((ck) => ck.startsWith(`${table}:`));
+    return (
+      ScyllaDb.#cache.getItem?.deleteWhere((ck) =>
+        ck.startsWith(`${table}:`)
+      ) ?? 0
+    );
+  }
+
+  /**
+   * hook({ table, key }) runs after every write made through this process
+   * while caching is on — publish it so other instances can invalidateItem.
+   * Returns an unsubscribe function.
+   */
+  static onInvalidate(hook) {
+    if (typeof hook !== "function") {
+      throw new TypeError("onInvalidate: hook must be a function");
+    }
+    ScyllaDb.#invalidationHooks.add(hook);
+    return () => ScyllaDb.#invalidationHooks.delete(hook);
+  }
+
+  static #itemCache() {
+    ScyllaDb.#cache.getItem ??= new LruCache({
+      maxEntries: ScyllaDb.#config.cacheMaxEntries,
+    });
+    return ScyllaDb.#cache.getItem;
+  }
+
+  // Cached copy (callers may mutate what they get), or undefined
+  static #cachedItem(table, key) {
+    if (!ScyllaDb.#config.enableCache) return undefined;
+    const cached = ScyllaDb.#itemCache().get(
+      ScyllaDb.#itemCacheKey(table, key)
+    );
+    return cached === undefined ? undefined : structuredClone(cached);
+  }
+
+  static #cacheItem(table, key, item) {
+    const { enableCache, cacheNegative, cacheTtls, cacheTtlMs } =
+      ScyllaDb.#config;
+    if (!enableCache || (item === false && !cacheNegative)) return;
+    ScyllaDb.#itemCache().set(
+      ScyllaDb.#itemCacheKey(table, key),
+      structuredClone(item),
+      cacheTtls?.[table] ?? cacheTtlMs
+    );
+  }
+
+  // Track a getItem in flight; invalidating its key meanwhile marks it stale
+  static #beginRead(cacheKey) {
+    const read = { stale: false };
+    const reads = ScyllaDb.#pendingReads.get(cacheKey) ?? new Set();
+    ScyllaDb.#pendingReads.set(cacheKey, reads.add(read));
+    return read;
+  }
+
+  static #endRead(cacheKey, read) {
+    const reads = ScyllaDb.#pendingReads.get(cacheKey);
+    reads?.delete(read);
+    if (reads && !reads.size) ScyllaDb.#pendingReads.delete(cacheKey);
+  }
+
+  static #staleReads(match = () => true) {
+    for (const [cacheKey, reads] of ScyllaDb.#pendingReads) {
+      if (!match(cacheKey)) continue;
+      for (const read of reads) read.stale = true;
+    }
+  }
+
+  static #forgetItem(table, key) {
+    const cacheKey = ScyllaDb.#itemCacheKey(table, key);
+    ScyllaDb.#staleReads((ck) => ck === cacheKey);
+    if (!ScyllaDb.#config.enableCache) return;
+    ScyllaDb.#cache.getItem?.delete(cacheKey);
+    for (const hook of ScyllaDb.#invalidationHooks) {
+      try {
+        Promise.resolve(hook({ table, key })).catch((err) =>
+          console.error("Cache invalidation hook failed:", err.message)
+        );
+      } catch (err) {
+        console.error("Cache invalidation hook failed:", err.message);
+      }
+    }
+  }
+
   /**
    * Raw request wrapper
    */
@@ -1073,7 +2340,7 @@ export default class ScyllaDb {
   static isMarshalledItem(item) {
     if (!item || typeof item !== "object") return false;
 
-    const VALID = ["S", "N", "BOOL", "NULL", "L", "M"];
+    const VALID = ["S", "N", "B", "BOOL", "NULL", "L", "M", "SS", "NS", "BS"];
     return Object.values(item).every(
       (v) =>
         typeof v === "object" &&
@@ -1124,10 +2391,271 @@ export default class ScyllaDb {
 
   /* ---------- private utilities ---------- */
   static #itemCacheKey(table, keyObj) {
-    return `${table}:${JSON.stringify(keyObj)}`;
+    const { PK, SK } = ScyllaDb.getSchemaFromConfig(table);
+    return `${table}:${JSON.stringify([keyObj[PK], SK ? keyObj[SK] : null])}`;
+  }
+
+  /**
+   * Identity of an item / key regardless of attribute order
+   */
+  static #keyId(table, obj) {
+    const { PK, SK } = ScyllaDb.getSchemaFromConfig(table);
+    return JSON.stringify([table, obj[PK], SK ? obj[SK] : null]);
+  }
+}
+
+/* ============================================================
+ *  Module-private helpers
+ * ========================================================== */
+
+// Request params that may hold an Expression → the kind it renders as
+const EXPRESSION_PARAMS = {
+  KeyConditionExpression: "condition",
+  FilterExpression: "condition",
+  ConditionExpression: "condition",
+  UpdateExpression: "update",
+  ProjectionExpression: "projection",
+};
+
+// #nX / :vX allocator for one request; skips placeholders the request already uses
+class Placeholders {
+  names = {};
+  values = {};
+  #byName = new Map();
+  #taken;
+  #counters = { "#n": 0, ":v": 0 };
+
+  constructor(taken = []) {
+    this.#taken = new Set(taken);
+  }
+
+  name(attribute) {
+    if (!this.#byName.has(attribute)) {
+      const placeholder = this.#allocate("#n");
+      this.names[placeholder] = attribute;
+      this.#byName.set(attribute, placeholder);
+    }
+    return this.#byName.get(attribute);
+  }
+
+  value(value) {
+    const placeholder = this.#allocate(":v");
+    this.values[placeholder] = value;
+    return placeholder;
   }
 
-  static #md5(json) {
-    return crypto.createHash("md5").update(json).digest("hex");
+  // "a.b[0].c" → "#n0.#n1[0].#n2"
+  path(path) {
+    return path
+      .split(".")
+      .map((segment) => {
+        const [, name, indexes] = /^([^[\]]+)((?:\[\d+\])*)$/.exec(segment);
+        return this.name(name) + indexes;
+      })
+      .join(".");
   }
+
+  #allocate(prefix) {
+    let placeholder;
+    do {
+      placeholder = `${prefix}${this.#counters[prefix]++}`;
+    } while (this.#taken.has(placeholder));
+    return placeholder;
+  }
+}
+
+function checkPath(path) {
+  const valid =
+    typeof path === "string" &&
+    path.split(".").every((segment) => /^[^[\]]+(?:\[\d+\])*$/.test(segment));
+  if (!valid) {
+    throw new TypeError(`Expression: invalid attribute path "${path}"`);
+  }
+}
+
+function renderCondition(node, placeholders) {
+  if (node.kind === "group") {
+    return `(${node.inner.render("condition", placeholders)})`;
+  }
+  const path = placeholders.path(node.path);
+  const values = node.values.map((v) => placeholders.value(v));
+  switch (node.kind) {
+    case "compare":
+      return `${path} ${node.op} ${values[0]}`;
+    case "between":
+      return `${path} BETWEEN ${values[0]} AND ${values[1]}`;
+    case "in":
+      return `${path} IN (${values.join(", ")})`;
+    case "function":
+      return `${node.fn}(${[path, ...values].join(", ")})`;
+  }
+}
+
+/**
+ * Backend has no such operation (Alternator answers UnknownOperationException)
+ */
+function isUnsupportedOperation(err) {
+  const type = err?.awsType ?? "";
+  return (
+    type.endsWith("UnknownOperationException") ||
+    (type.endsWith("ValidationException") &&
+      /unsupported operation|unknown operation/i.test(err.awsMsg ?? ""))
+  );
+}
+
+// [1, 2, 3, 4, 5], 2 → [[1, 2], [3, 4], [5]]
+function chunk(list, size) {
+  const chunks = [];
+  for (let i = 0; i < list.length; i += size) {
+    chunks.push(list.slice(i, i + size));
+  }
+  return chunks;
+}
+
+// Run worker over items with at most `limit` in flight; stops handing out
+// items once a worker throws
+async function forEachLimit(items, limit, worker) {
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new TypeError("concurrency must be a positive integer");
+  }
+  let next = 0;
+  let failed = false;
+  const lanes = Array.from(
+    { length: Math.min(limit, items.length) },
+    async () => {
+      while (!failed && next < items.length) {
+        try {
+          await worker(items[next++]);
+        } catch (err) {
+          failed = true;
+          throw err;
+        }
+      }
+    }
+  );
+  await Promise.all(lanes);
+}
+
+// Read units for a page: 0.5 per started 4 KB (eventually consistent)
+function estimateReadCapacity(items) {
+  const bytes = Buffer.byteLength(JSON.stringify(items));
+  return Math.max(1, Math.ceil(bytes / 4096)) * 0.5;
+}
+
+// Token bucket over consumed capacity: a request may start while the bucket
+// is positive; its actual cost is charged afterwards, so it can go into debt
+class CapacityLimiter {
+  #perSecond;
+  #available;
+  #updatedAt = Date.now();
+
+  constructor(perSecond) {
+    this.#perSecond = perSecond;
+    this.#available = perSecond;
+  }
+
+  async acquire() {
+    for (this.#refill(); this.#available <= 0; this.#refill()) {
+      const waitMs = Math.ceil((-this.#available / this.#perSecond) * 1000);
+      await new Promise((r) => setTimeout(r, Math.max(waitMs, 1)));
+    }
+  }
+
+  consume(units) {
+    this.#refill();
+    this.#available -= units;
+  }
+
+  #refill() {
+    const now = Date.now();
+    this.#available = Math.min(
+      this.#perSecond,
+      this.#available + ((now - this.#updatedAt) / 1000) * this.#perSecond
+    );
+    this.#updatedAt = now;
+  }
+}
+
+/* ---------- HTTP transport ---------- */
+
+function closedCircuit() {
+  return { state: "closed", failures: 0, openedAt: null, probing: false };
+}
+
+// Answers that mean "try again later": the request was not applied
+const THROTTLING_ERRORS = [
+  "ProvisionedThroughputExceededException",
+  "ThrottlingException",
+  "RequestLimitExceeded",
+];
+
+// Connection never established, so the request was not sent
+const NOT_SENT_CODES = new Set([
+  "ECONNREFUSED",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "EHOSTUNREACH",
+  "ENETUNREACH",
+]);
+
+const READ_TARGETS = new Set([
+  "GetItem",
+  "BatchGetItem",
+  "Query",
+  "Scan",
+  "TransactGetItems",
+  "DescribeTable",
+  "ListTables",
+  "DescribeTimeToLive",
+]);
+
+// Can this request be sent twice without a different outcome?
+function isIdempotent(target, payload) {
+  if (READ_TARGETS.has(target)) return true;
+  switch (target) {
+    case "PutItem":
+    case "DeleteItem":
+      // A replay would fail its condition / return the wrong old item
+      return (
+        !payload.ConditionExpression &&
+        (payload.ReturnValues ?? "NONE") === "NONE"
+      );
+    case "BatchWriteItem":
+      return true; // plain puts and deletes
+    case "TransactWriteItems":
+      return !!payload.ClientRequestToken;
+    default:
+      return false; // UpdateItem (counters, appends), table DDL, ...
+  }
+}
+
+// One HTTP round trip → { status, body }; rejects with code ETIMEDOUT after timeoutMs
+function sendRequest(transport, options, body, { target, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const fail = (err) => {
+      clearTimeout(timer);
+      reject(err);
+    };
+    const req = transport.request(options, (res) => {
+      let data = "";
+      res.setEncoding("utf8");
+      res.on("data", (chunk) => (data += chunk));
+      res.on("error", fail);
+      res.on("end", () => {
+        clearTimeout(timer);
+        resolve({ status: res.statusCode, body: data });
+      });
+    });
+    const timer = setTimeout(() => {
+      const err = new Error(
+        `ScyllaDb ${target} timed out after ${timeoutMs} ms`
+      );
+      err.code = "ETIMEDOUT";
+      req.destroy(err);
+    }, timeoutMs);
+
+    req.on("error", fail);
+    req.write(body);
+    req.end();
+  });
 }
@@ -0,0 +1,208 @@
+import { promises as fs, createReadStream, createWriteStream } from "fs";
+import { once } from "events";
+import { finished } from "stream/promises";
+import readline from "readline";
+import ScyllaDb from "./ScyllaDb.js";
+
+/**
+ * TableTransfer - JSONL export / import of whole tables
+ * For environment cloning, backups before migrations and data requests.
+ * One item per line, either plain JSON or marshalled (DynamoDB attribute
+ * values); items are moved as stored, so encrypted fields stay encrypted.
+ * Marshalled lines are the attribute values as scanned and are written back
+ * as they are, so sets, binary and exact numbers survive the round trip.
+ */
+export default class TableTransfer {
+  static FORMATS = ["plain", "marshalled"];
+
+  /**
+   * Stream every item of table (optionally filtered) to a JSONL file
+   * - format: "plain" (default) or "marshalled"
+   * - type: a row type or list of types
+   * - from / to: inclusive bounds on dateAttribute (default created_at),
+   *   compared as ISO strings; a date-only `to` (2025-06-30) covers that whole day
+   * - segments / maxCapacityPerSecond: as for ScyllaDb.parallelScan
+   * Written to file + ".partial" and renamed once complete.
+   * Returns { exported, scanned }
+   */
+  static async exportTable(table, file, options = {}) {
+    const {
+      format = "plain",
+      type = null,
+      from = null,
+      to = null,
+      dateAttribute = "created_at",
+      ...scanOptions
+    } = options;
+    if (!table || !file) {
+      throw new TypeError("exportTable: table and file are required");
+    }
+    if (!TableTransfer.FORMATS.includes(format)) {
+      throw new TypeError(
+        `exportTable: format must be one of ${TableTransfer.FORMATS.join(", ")}`
+      );
+    }
+
+    const partial = `${file}.partial`;
+    const out = createWriteStream(partial);
+    let exported = 0;
+    try {
+      const { scannedCount } = await ScyllaDb.parallelScan(table, {
+        ...scanOptions,
+        filter: exportFilter({ type, from, to, dateAttribute }),
+        raw: format === "marshalled",
+        onPage: async (items) => {
+          for (const item of items) {
+            if (!out.write(`${JSON.stringify(item)}\n`)) {
+              await once(out, "drain");
+            }
+            exported += 1;
+          }
+        },
+      });
+      out.end();
+      await finished(out);
+      await fs.rename(partial, file);
+      console.log(`Exported ${exported} items from ${table} to ${file}`);
+      return { exported, scanned: scannedCount };
+    } catch (err) {
+      out.destroy();
+      await fs.rm(partial, { force: true });
+      throw err;
+    }
+  }
+
+  /**
+   * Batch-write a JSONL export into table (plain and marshalled lines both accepted)
+   * - chunkSize: lines per batchWriteItem call (default 500); other options go to it
+   * - checkpoint: file recording the last line written, so a failed or
+   *   interrupted import resumes after it (default file + ".checkpoint",
+   *   removed when done; false disables resuming)
+   * Items failing after batchWriteItem's retries stop the import with an error.
+   * Returns { lines, imported, resumedFrom }
+   */
+  static async importTable(table, file, options = {}) {
+    const {
+      chunkSize = 500,
+      checkpoint = `${file}.checkpoint`,
+      ...batchOptions
+    } = options;
+    if (!table || !file) {
+      throw new TypeError("importTable: table and file are required");
+    }
+    if (!Number.isInteger(chunkSize) || chunkSize < 1) {
+      throw new TypeError("importTable: chunkSize must be a positive integer");
+    }
+
+    const resumedFrom = checkpoint
+      ? await readCheckpoint(checkpoint, table)
+      : 0;
+    if (resumedFrom) {
+      console.log(`Resuming import of ${file} after line ${resumedFrom}`);
+    }
+
+    let line = 0;
+    let imported = 0;
+    let pending = [];
+    const flush = async () => {
+      if (!pending.length) return;
+      const { failures } = await ScyllaDb.batchWriteItem(table, pending, {
+        ...batchOptions,
+        raw: true,
+      });
+      if (failures.length) {
+        const err = new Error(
+          `importTable: ${failures.length} items not written (lines up to ${line}); ` +
+            `re-run to resume after line ${line - pending.length}`
+        );
+        err.failures = failures;
+        throw err;
+      }
+      imported += pending.length;
+      pending = [];
+      if (checkpoint) {
+        await fs.writeFile(checkpoint, JSON.stringify({ table, line }));
+      }
+    };
+
+    const lines = readline.createInterface({
+      input: createReadStream(file),
+      crlfDelay: Infinity,
+    });
+    for await (const text of lines) {
+      line += 1;
+      if (line <= resumedFrom || !text.trim()) continue;
+      pending.push(parseLine(text, line));
+      if (pending.length >= chunkSize) await flush();
+    }
+    await flush();
+
+    if (checkpoint) await fs.rm(checkpoint, { force: true });
+    console.log(`Imported ${imported} items from ${file} into ${table}`);
+    return { lines: line, imported, resumedFrom };
+  }
+}
+
+/* ============================================================
+ *  Private helpers
+ * ========================================================== */
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// type / date-range filters → FilterExpression (null = everything)
+function exportFilter({ type, from, to, dateAttribute }) {
+  const types = type === null ? [] : [].concat(type);
+  const conditions = [];
+  if (types.length === 1) conditions.push((e) => e.eq("type", types[0]));
+  if (types.length > 1) conditions.push((e) => e.in("type", types));
+  if (from) conditions.push((e) => e.gte(dateAttribute, from));
+  if (to && DATE_ONLY.test(to)) {
+    // "2025-06-30T12:00..." sorts after "2025-06-30": stop before the next day
+    conditions.push((e) => e.lt(dateAttribute, nextDay(to)));
+  } else if (to) {
+    conditions.push((e) => e.lte(dateAttribute, to));
+  }
+  return conditions.reduce(
+    (expr, add) => add(expr ? expr.and : ScyllaDb.expr),
+    null
+  );
+}
+
+function nextDay(date) {
+  const time = Date.parse(`${date}T00:00:00.000Z`);
+  if (Number.isNaN(time)) {
+    throw new TypeError(`exportTable: invalid date "${date}"`);
+  }
+  return new Date(time + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+function parseLine(text, line) {
+  let row;
+  try {
+    row = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`importTable: line ${line} is not valid JSON`, {
+      cause: err,
+    });
+  }
+  if (!row || typeof row !== "object" || Array.isArray(row)) {
+    throw new Error(`importTable: line ${line} is not an item object`);
+  }
+  return ScyllaDb.isMarshalledItem(row) ? row : ScyllaDb.marshalItem(row);
+}
+
+async function readCheckpoint(checkpoint, table) {
+  let saved;
+  try {
+    saved = JSON.parse(await fs.readFile(checkpoint, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return 0;
+    throw err;
+  }
+  if (saved.table !== table) {
+    throw new Error(
+      `importTable: ${checkpoint} belongs to an import into ${saved.table}`
+    );
+  }
+  return saved.line;
+}
@@ -4,5 +4,6 @@ import Logger from "./UtilityLogger.js";
 import ScyllaDb from "./ScyllaDb.js";
 import DateTime from "./DateTime.js";
 import SafeUtils from "./SafeUtils.js";
+import FieldCipher from "./FieldCipher.js";
 
-export { ErrorHandler, Logger, ScyllaDb, DateTime, SafeUtils };
+export { ErrorHandler, Logger, ScyllaDb, DateTime, SafeUtils, FieldCipher };